@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+
+/**
+ * Hipparcos catalog builder
+ * Converts a local Hipparcos dump into sharded, compact JSON for offline browser lookups
+ *
+ * Supported inputs (plain or .gz):
+ *   - hip_main.dat  Hipparcos main catalog (ESA 1997, CDS I/239), pipe-separated
+ *   - hip2.dat      Hipparcos new reduction (van Leeuwen 2007, CDS I/311), whitespace-separated
+ *
+ * When both are given, hip2.dat supplies the astrometry (RA, Dec, parallax, proper motion) and
+ * hip_main.dat supplies Vmag and spectral type, which the new reduction does not carry.
+ *
+ * Usage:
+ *   node build-hip-catalog.js <catalog-file> [catalog-file] [--out <dir>] [--shard-size <n>]
+ *
+ * Example:
+ *   node build-hip-catalog.js hip_main.dat hip2.dat --out ../web/assets/hip-catalog
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+
+const COLUMNS = ['hip', 'ra', 'dec', 'plx', 'e_plx', 'pmra', 'pmdec', 'vmag', 'bv', 'sp'];
+const DEFAULT_SHARD_SIZE = 1000;
+
+/**
+ * Read a text file, transparently decompressing .gz files
+ * @param {string} file - File path
+ * @returns {string} File contents
+ */
+function readText(file) {
+  const buffer = fs.readFileSync(file);
+  return file.endsWith('.gz') ? zlib.gunzipSync(buffer).toString('utf-8') : buffer.toString('utf-8');
+}
+
+/**
+ * Parse a numeric field, returning null for blanks
+ * @param {string} value - Raw field
+ * @returns {number|null}
+ */
+function parseNumber(value) {
+  if (value === undefined) return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  const number = parseFloat(trimmed);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Round to a fixed number of decimals (keeps the JSON compact)
+ */
+function round(value, decimals) {
+  if (value === null) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Parse hip_main.dat (fields H0..H77 separated by '|')
+ * @param {string} text - File contents
+ * @returns {Map<number, Object>} Records keyed by HIP number
+ */
+function parseHipMain(text) {
+  const records = new Map();
+
+  for (const line of text.split('\n')) {
+    if (!line.startsWith('H|')) continue;
+    const fields = line.split('|');
+
+    const hip = parseInt(fields[1], 10);
+    const ra = parseNumber(fields[8]);
+    const dec = parseNumber(fields[9]);
+    if (isNaN(hip) || ra === null || dec === null) continue;
+
+    records.set(hip, {
+      hip,
+      ra,
+      dec,
+      plx: parseNumber(fields[11]),
+      e_plx: parseNumber(fields[16]),
+      pmra: parseNumber(fields[12]),
+      pmdec: parseNumber(fields[13]),
+      vmag: parseNumber(fields[5]),
+      bv: parseNumber(fields[37]),
+      sp: fields[76] ? fields[76].trim() || null : null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Parse hip2.dat (RA/Dec in radians, whitespace-separated)
+ * @param {string} text - File contents
+ * @returns {Map<number, Object>} Records keyed by HIP number
+ */
+function parseHip2(text) {
+  const records = new Map();
+  const radToDeg = 180 / Math.PI;
+
+  for (const line of text.split('\n')) {
+    const fields = line.trim().split(/\s+/);
+    if (fields.length < 24) continue;
+
+    const hip = parseInt(fields[0], 10);
+    const raRad = parseNumber(fields[4]);
+    const decRad = parseNumber(fields[5]);
+    if (isNaN(hip) || raRad === null || decRad === null) continue;
+
+    records.set(hip, {
+      hip,
+      ra: raRad * radToDeg,
+      dec: decRad * radToDeg,
+      plx: parseNumber(fields[6]),
+      e_plx: parseNumber(fields[11]),
+      pmra: parseNumber(fields[7]),
+      pmdec: parseNumber(fields[8]),
+      vmag: null,
+      bv: parseNumber(fields[23]),
+      sp: null
+    });
+  }
+
+  return records;
+}
+
+/**
+ * Detect the catalog format from its first data line
+ * @param {string} text - File contents
+ * @returns {'hip_main'|'hip2'}
+ */
+function detectFormat(text) {
+  const firstLine = text.split('\n').find(line => line.trim()) || '';
+  return firstLine.startsWith('H|') ? 'hip_main' : 'hip2';
+}
+
+/**
+ * Merge parsed catalogs: later astrometry wins, photometry and spectral type fill gaps
+ * @param {Array<{format: string, records: Map<number, Object>}>} catalogs
+ * @returns {Map<number, Object>} Merged records
+ */
+function mergeCatalogs(catalogs) {
+  const merged = new Map();
+
+  // Apply hip_main first so hip2 astrometry overrides it
+  const ordered = [
+    ...catalogs.filter(c => c.format === 'hip_main'),
+    ...catalogs.filter(c => c.format !== 'hip_main')
+  ];
+
+  for (const { records } of ordered) {
+    for (const [hip, record] of records) {
+      const existing = merged.get(hip);
+      if (!existing) {
+        merged.set(hip, { ...record });
+        continue;
+      }
+      existing.ra = record.ra;
+      existing.dec = record.dec;
+      if (record.plx !== null) existing.plx = record.plx;
+      if (record.e_plx !== null) existing.e_plx = record.e_plx;
+      if (record.pmra !== null) existing.pmra = record.pmra;
+      if (record.pmdec !== null) existing.pmdec = record.pmdec;
+      if (record.vmag !== null) existing.vmag = record.vmag;
+      if (record.bv !== null) existing.bv = record.bv;
+      if (record.sp) existing.sp = record.sp;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Convert a record to a compact row in COLUMNS order
+ */
+function toRow(record) {
+  return [
+    record.hip,
+    round(record.ra, 6),
+    round(record.dec, 6),
+    round(record.plx, 2),
+    round(record.e_plx, 2),
+    round(record.pmra, 2),
+    round(record.pmdec, 2),
+    round(record.vmag, 2),
+    round(record.bv, 3),
+    record.sp || null
+  ];
+}
+
+/**
+ * Split records into shards of consecutive HIP numbers
+ * HIP numbers follow RA order, so each shard also covers a narrow RA slice
+ * @param {Map<number, Object>} records - Merged records
+ * @param {number} shardSize - Records per shard
+ * @returns {Array<{meta: Object, rows: Array}>}
+ */
+function buildShards(records, shardSize = DEFAULT_SHARD_SIZE) {
+  const sorted = [...records.values()].sort((a, b) => a.hip - b.hip);
+  const shards = [];
+
+  for (let i = 0; i < sorted.length; i += shardSize) {
+    const chunk = sorted.slice(i, i + shardSize);
+    const ras = chunk.map(r => r.ra);
+    const index = String(shards.length).padStart(3, '0');
+
+    shards.push({
+      meta: {
+        file: `hip-${index}.json`,
+        first: chunk[0].hip,
+        last: chunk[chunk.length - 1].hip,
+        raMin: round(Math.min(...ras), 4),
+        raMax: round(Math.max(...ras), 4)
+      },
+      rows: chunk.map(toRow)
+    });
+  }
+
+  return shards;
+}
+
+/**
+ * Main build function
+ */
+function buildCatalog(inputFiles, outputDir, shardSize) {
+  const catalogs = inputFiles.map(file => {
+    console.log(`Reading catalog: ${file}`);
+    const text = readText(file);
+    const format = detectFormat(text);
+    const records = format === 'hip_main' ? parseHipMain(text) : parseHip2(text);
+    console.log(`  ${format}: ${records.size} stars`);
+    return { file, format, records };
+  });
+
+  const merged = mergeCatalogs(catalogs);
+  const shards = buildShards(merged, shardSize);
+
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+
+  shards.forEach(shard => {
+    fs.writeFileSync(path.join(outputDir, shard.meta.file), JSON.stringify({ rows: shard.rows }));
+  });
+
+  const index = {
+    version: 1,
+    sources: catalogs.map(c => path.basename(c.file)),
+    columns: COLUMNS,
+    count: merged.size,
+    shards: shards.map(s => s.meta)
+  };
+  fs.writeFileSync(path.join(outputDir, 'index.json'), JSON.stringify(index));
+
+  console.log(`\nCatalog build complete!`);
+  console.log(`  - Stars: ${merged.size}`);
+  console.log(`  - Shards: ${shards.length} (${shardSize} stars each)`);
+  console.log(`  - Output: ${outputDir}`);
+}
+
+// Main execution
+const args = process.argv.slice(2);
+const inputFiles = [];
+let outputDir = '../web/assets/hip-catalog';
+let shardSize = DEFAULT_SHARD_SIZE;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--out') {
+    outputDir = args[++i];
+  } else if (args[i] === '--shard-size') {
+    shardSize = parseInt(args[++i], 10);
+  } else {
+    inputFiles.push(args[i]);
+  }
+}
+
+if (inputFiles.length === 0 || !outputDir || !(shardSize > 0)) {
+  console.error('Usage: node build-hip-catalog.js <catalog-file> [catalog-file] [--out <dir>] [--shard-size <n>]');
+  console.error('\nExample:');
+  console.error('  node build-hip-catalog.js hip_main.dat hip2.dat --out ../web/assets/hip-catalog');
+  process.exit(1);
+}
+
+const missing = inputFiles.filter(file => !fs.existsSync(file));
+if (missing.length > 0) {
+  console.error(`Catalog file not found: ${missing.join(', ')}`);
+  process.exit(1);
+}
+
+buildCatalog(inputFiles, outputDir, shardSize);
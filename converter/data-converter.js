@@ -5,10 +5,10 @@
  * Converts PixInsight annotation output to StarField3D JSON format
  * 
  * Usage:
- *   node data-converter.js <input-file> <image-file> [output-dir]
+ *   node data-converter.js <input-file> <image-file> [output-dir] [--scale=linear|log|sqrt|broken]
  * 
  * Example:
- *   node data-converter.js stars.csv starfield.jpg ./web/assets
+ *   node data-converter.js stars.csv starfield.jpg ./web/assets --scale=log
  */
 
 import fs from 'fs';
@@ -16,6 +16,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { parseCSV, parseTextFormat, parseJSON } from './pixinsight-parser.js';
 import { batchLookupSIMBAD, lookupDistanceCatalog } from './distance-lookup.js';
+import { DISTANCE_SCALE_MODES, createDistanceScale, applyDistanceScale } from '../web/js/distance-scale.js';
+import { absoluteMagnitude, luminositySolar } from '../web/js/astrophysics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -23,44 +25,17 @@ const __dirname = path.dirname(__filename);
 /**
  * Calculate distance scaling to fit within volume
  * @param {Array} stars - Array of stars with distanceLy
- * @param {number} volumeDepth - Depth of the visualization volume
- * @returns {Object} Scaling parameters
+ * @param {string} mode - Distance scale mode (linear, log, sqrt or broken)
+ * @returns {Object} Scaling block (see distance-scale.js)
  */
-function calculateDistanceScaling(stars, volumeDepth) {
-  const distances = stars
-    .map(s => s.distanceLy)
-    .filter(d => d !== null && d > 0);
-  
-  if (distances.length === 0) {
-    return {
-      frontOffset: 0,
-      maxDistance: volumeDepth,
-      scale: 1
-    };
-  }
-  
-  const minDistance = Math.min(...distances);
-  const maxDistance = Math.max(...distances);
-  
-  // Set front offset to a round number below minimum
-  const frontOffset = Math.floor(minDistance / 10) * 10;
-  
-  // Scale distances to fit volume
-  const distanceRange = maxDistance - frontOffset;
-  const scale = volumeDepth / distanceRange;
-  
-  return {
-    frontOffset,
-    maxDistance,
-    scale,
-    distanceRange
-  };
+function calculateDistanceScaling(stars, mode = 'linear') {
+  return createDistanceScale(stars.map(s => s.distanceLy), mode);
 }
 
 /**
  * Main conversion function
  */
-async function convertData(inputFile, imageFile, outputDir = './web/assets') {
+async function convertData(inputFile, imageFile, outputDir = './web/assets', scaleMode = 'linear') {
   console.log(`Reading input file: ${inputFile}`);
   
   // Read input file
@@ -139,15 +114,18 @@ async function convertData(inputFile, imageFile, outputDir = './web/assets') {
   const volumeDepth = 1920;  // Match screen width
   
   // Calculate distance scaling
-  const scaling = calculateDistanceScaling(starsWithDistances, volumeDepth);
+  const scaling = calculateDistanceScaling(starsWithDistances, scaleMode);
   
-  console.log(`Distance scaling: front=${scaling.frontOffset.toFixed(2)} ly, max=${scaling.maxDistance.toFixed(2)} ly`);
+  console.log(`Distance scaling (${scaling.mode}): front=${scaling.frontOffsetLy.toFixed(2)} ly, max=${scaling.maxDistanceLy.toFixed(2)} ly`);
   
   // Apply scaling to stars
+  applyDistanceScale(starsWithDistances, scaling);
+  
+  // Intrinsic brightness, corrected for interstellar extinction when given
   starsWithDistances.forEach(star => {
-    star.scaledDistance = (star.distanceLy - scaling.frontOffset) / scaling.distanceRange;
-    // Clamp to [0, 1]
-    star.scaledDistance = Math.max(0, Math.min(1, star.scaledDistance));
+    const magnitude = isNaN(star.magnitude) ? null : star.magnitude;
+    star.absMagnitude = absoluteMagnitude(magnitude, star.distancePc, star.extinctionMag ?? 0);
+    star.luminosity = luminositySolar(star.absMagnitude);
   });
   
   // Determine image filename
@@ -166,11 +144,7 @@ async function convertData(inputFile, imageFile, outputDir = './web/assets') {
       height: volumeHeight,
       depth: volumeDepth
     },
-    scaling: {
-      frontOffsetLy: scaling.frontOffset,
-      maxDistanceLy: scaling.maxDistance,
-      distanceRangeLy: scaling.distanceRange
-    },
+    scaling,
     stars: starsWithDistances.map(star => ({
       hip: star.hip,
       name: star.name || `HIP ${star.hip}`,
@@ -179,9 +153,15 @@ async function convertData(inputFile, imageFile, outputDir = './web/assets') {
       pixelX: star.pixelX,
       pixelY: star.pixelY,
       magnitude: star.magnitude,
+      extinctionMag: star.extinctionMag ?? null,
+      absMagnitude: star.absMagnitude,
+      luminosity: star.luminosity,
       distanceLy: star.distanceLy,
       distancePc: star.distancePc,
-      scaledDistance: star.scaledDistance
+      scaledDistance: star.scaledDistance,
+      pmRA: star.pmRA ?? null,
+      pmDec: star.pmDec ?? null,
+      RV: star.RV ?? null
     }))
   };
   
@@ -204,16 +184,23 @@ async function convertData(inputFile, imageFile, outputDir = './web/assets') {
   
   console.log(`\nConversion complete!`);
   console.log(`  - Stars: ${starsWithDistances.length}`);
-  console.log(`  - Distance range: ${scaling.frontOffset.toFixed(2)} - ${scaling.maxDistance.toFixed(2)} light-years`);
+  console.log(`  - Distance range: ${scaling.frontOffsetLy.toFixed(2)} - ${scaling.maxDistanceLy.toFixed(2)} light-years (${scaling.mode} scale)`);
 }
 
 // Main execution
-const args = process.argv.slice(2);
+const scaleOption = process.argv.slice(2).find(arg => arg.startsWith('--scale='));
+const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const scaleMode = scaleOption ? scaleOption.slice('--scale='.length) : 'linear';
 
 if (args.length < 1) {
-  console.error('Usage: node data-converter.js <input-file> [image-file] [output-dir]');
+  console.error('Usage: node data-converter.js <input-file> [image-file] [output-dir] [--scale=linear|log|sqrt|broken]');
   console.error('\nExample:');
-  console.error('  node data-converter.js stars.csv starfield.jpg ./web/assets');
+  console.error('  node data-converter.js stars.csv starfield.jpg ./web/assets --scale=log');
+  process.exit(1);
+}
+
+if (!DISTANCE_SCALE_MODES.includes(scaleMode)) {
+  console.error(`Unknown distance scale: ${scaleMode} (use ${DISTANCE_SCALE_MODES.join(', ')})`);
   process.exit(1);
 }
 
@@ -226,7 +213,7 @@ if (!fs.existsSync(inputFile)) {
   process.exit(1);
 }
 
-convertData(inputFile, imageFile, outputDir).catch(error => {
+convertData(inputFile, imageFile, outputDir, scaleMode).catch(error => {
   console.error('Error during conversion:', error);
   process.exit(1);
 });
@@ -7,7 +7,9 @@ import { parse } from 'csv-parse/sync';
 
 /**
  * Parse CSV format from PixInsight annotation or "What's In My Image"
- * Expected columns: HIP, RA, Dec, X, Y, Magnitude, Name (or similar)
+ * Expected columns: HIP, RA, Dec, X, Y, Magnitude, Name (or similar), and optionally
+ * Extinction_mag (interstellar extinction A_V), PmRA_masyr and PmDec_masyr (proper motion)
+ * and RV_kms (radial velocity)
  * 
  * @param {string} csvText - CSV content as string
  * @returns {Array<Object>} Array of star objects
@@ -39,6 +41,14 @@ export function parseCSV(csvText) {
       // Parse magnitude
       const magnitude = parseFloat(record.Mag || record.Vmag || record.Magnitude || record.magnitude || '');
       
+      // Parse extinction (optional)
+      const extinction = parseFloat(record.Extinction_mag || record.A_V || record.Av || '');
+      
+      // Parse proper motion (mas/yr) and radial velocity (km/s) (optional)
+      const pmRA = parseFloat(record.PmRA_masyr || record.pmRA || record.pmra || '');
+      const pmDec = parseFloat(record.PmDec_masyr || record.pmDec || record.pmdec || '');
+      const rv = parseFloat(record.RV_kms || record.RV || '');
+      
       // Star name
       const name = record.Name || record.Name || record.STAR || '';
       
@@ -49,6 +59,10 @@ export function parseCSV(csvText) {
         pixelX,
         pixelY,
         magnitude,
+        extinctionMag: isNaN(extinction) ? null : extinction,
+        pmRA: isNaN(pmRA) ? null : pmRA,
+        pmDec: isNaN(pmDec) ? null : pmDec,
+        RV: isNaN(rv) ? null : rv,
         name: name.trim()
       };
     }).filter(star => star.hip !== null || (star.ra !== null && star.dec !== null));
@@ -150,6 +164,10 @@ export function parseJSON(jsonText) {
       pixelX: star.x || star.pixelX || star.X || null,
       pixelY: star.y || star.pixelY || star.Y || null,
       magnitude: star.magnitude || star.Mag || star.Vmag || null,
+      extinctionMag: star.extinctionMag ?? star.Extinction_mag ?? star.A_V ?? null,
+      pmRA: star.pmRA ?? star.pmra ?? null,
+      pmDec: star.pmDec ?? star.pmdec ?? null,
+      RV: star.RV ?? star.rv ?? null,
       name: star.name || star.Name || star.identifier || ''
     })).filter(star => star.hip !== null || (star.ra !== null && star.dec !== null));
   } catch (error) {
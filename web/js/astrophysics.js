@@ -0,0 +1,53 @@
+/**
+ * Astrophysical relations for deriving stellar properties from catalog data
+ * Also used by the converter.
+ */
+
+const SUN_ABSOLUTE_MAGNITUDE = 4.83; // Visual
+
+/**
+ * Estimate effective temperature from the B-V color index
+ * Uses the Ballesteros (2012) blackbody approximation, valid for roughly -0.4 < B-V < 2.0
+ * @param {number} bv - B-V color index (mag)
+ * @returns {number|null} Temperature in Kelvin, or null if B-V is missing
+ */
+export function bvToTemperature(bv) {
+  if (bv === null || bv === undefined || isNaN(bv)) return null;
+
+  const clamped = Math.min(Math.max(bv, -0.4), 2.0);
+  return 4600 * (1 / (0.92 * clamped + 1.7) + 1 / (0.92 * clamped + 0.62));
+}
+
+/**
+ * Absolute magnitude from apparent magnitude and distance: M = m - 5 log10(d) + 5 - A
+ * @param {number} apparentMag - Apparent magnitude
+ * @param {number} distancePc - Distance in parsecs
+ * @param {number} extinctionMag - Interstellar extinction A in the same band (0 for none)
+ * @returns {number|null} Absolute magnitude, or null if magnitude or distance is missing
+ */
+export function absoluteMagnitude(apparentMag, distancePc, extinctionMag = 0) {
+  if (apparentMag === null || apparentMag === undefined || isNaN(apparentMag) || !(distancePc > 0)) return null;
+  const extinction = extinctionMag > 0 ? extinctionMag : 0;
+  return apparentMag - 5 * Math.log10(distancePc) + 5 - extinction;
+}
+
+/**
+ * Luminosity relative to the Sun from absolute magnitude
+ * Visual-band estimate (M_sun = 4.83); hot and cool stars emit more outside the visual band
+ * @param {number} absoluteMag - Absolute magnitude
+ * @returns {number|null} Luminosity in solar luminosities
+ */
+export function luminositySolar(absoluteMag) {
+  if (absoluteMag === null || absoluteMag === undefined || isNaN(absoluteMag)) return null;
+  return Math.pow(10, 0.4 * (SUN_ABSOLUTE_MAGNITUDE - absoluteMag));
+}
+
+/**
+ * Convert parallax to distance
+ * @param {number} parallaxMas - Parallax in milliarcseconds
+ * @returns {number|null} Distance in parsecs, or null for missing/non-positive parallax
+ */
+export function parallaxToDistancePc(parallaxMas) {
+  if (parallaxMas === null || parallaxMas === undefined || !(parallaxMas > 0)) return null;
+  return 1000 / parallaxMas;
+}
@@ -0,0 +1,203 @@
+/**
+ * Draft autosave and session recovery
+ * Saves the Data Entry form (including the uploaded image files) to IndexedDB while the
+ * student works, and offers to restore recent unsaved sessions when the page is opened again
+ */
+
+import { getAllRecords, putRecord, deleteRecord } from './storage.js';
+import { escapeHtml } from './utils.js';
+
+const STORE = 'drafts';
+const AUTOSAVE_DELAY = 1500; // ms after the last edit
+const MAX_DRAFTS = 5;
+
+let sessionId = `draft-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+let sessionCreated = new Date().toISOString();
+let collectDraft = null;
+let restoreDraft = null;
+let saveTimer = null;
+let paused = false;
+
+/**
+ * Check whether a draft holds anything worth restoring
+ */
+function hasContent(draft) {
+  return !!draft.frontImage || draft.form.stars.some(star => star.hip || star.distancePc);
+}
+
+/**
+ * Short description of a draft for the restore list
+ */
+function describeDraft(draft) {
+  const when = new Date(draft.updated).toLocaleString();
+  const stars = draft.form.stars.filter(star => star.hip || star.distancePc).length;
+  const parts = [`${stars} star${stars === 1 ? '' : 's'}`];
+  if (draft.frontImage) parts.push(draft.frontImage.name);
+  return `${when} — ${parts.join(', ')}`;
+}
+
+/**
+ * Save the current form as this session's draft, keeping only the most recent drafts
+ */
+async function saveDraft() {
+  saveTimer = null;
+  if (paused || !collectDraft) return;
+
+  try {
+    const { form, frontImage, backImage } = collectDraft();
+    const draft = {
+      id: sessionId,
+      created: sessionCreated,
+      updated: new Date().toISOString(),
+      form,
+      frontImage: frontImage || null,
+      backImage: backImage || null
+    };
+    if (!hasContent(draft)) return;
+
+    await putRecord(STORE, draft);
+
+    const drafts = (await getAllRecords(STORE)).sort((a, b) => b.updated.localeCompare(a.updated));
+    for (const old of drafts.slice(MAX_DRAFTS)) {
+      await deleteRecord(STORE, old.id);
+    }
+  } catch (error) {
+    console.warn('Autosave failed:', error.message);
+  }
+}
+
+/**
+ * Schedule an autosave after the form stops changing
+ */
+export function scheduleAutosave() {
+  if (paused || !collectDraft) return;
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveDraft, AUTOSAVE_DELAY);
+}
+
+/**
+ * Delete this session's draft once the work is kept elsewhere (a saved project or a generated
+ * model); later edits start the draft again
+ */
+export async function clearCurrentDraft() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  try {
+    await deleteRecord(STORE, sessionId);
+  } catch (error) {
+    console.warn('Could not clear the draft:', error.message);
+  }
+}
+
+/**
+ * Hide the restore banner
+ */
+function hideBanner() {
+  const banner = document.getElementById('draft-restore-banner');
+  if (banner) banner.style.display = 'none';
+}
+
+/**
+ * Show the restore banner listing the given drafts
+ * @param {Object[]} drafts - Drafts, most recent first
+ */
+function showBanner(drafts) {
+  const banner = document.getElementById('draft-restore-banner');
+  const list = document.getElementById('draft-list');
+  if (!banner || !list) return;
+
+  if (drafts.length === 0) {
+    hideBanner();
+    return;
+  }
+
+  list.innerHTML = drafts.map(draft => `
+    <li data-draft-id="${escapeHtml(draft.id)}">
+      <span>${escapeHtml(describeDraft(draft))}</span>
+      <button type="button" class="btn-secondary draft-restore-btn">Restore</button>
+      <button type="button" class="btn-secondary draft-discard-btn">Discard</button>
+    </li>
+  `).join('');
+  banner.style.display = 'block';
+}
+
+/**
+ * Load the drafts of earlier sessions, most recent first
+ */
+async function loadEarlierDrafts() {
+  const drafts = await getAllRecords(STORE);
+  return drafts
+    .filter(draft => draft.id !== sessionId)
+    .sort((a, b) => b.updated.localeCompare(a.updated));
+}
+
+/**
+ * Restore a draft into the form and continue saving to it
+ */
+async function handleRestore(id) {
+  const drafts = await loadEarlierDrafts();
+  const draft = drafts.find(d => d.id === id);
+  if (!draft) return;
+
+  paused = true;
+  clearTimeout(saveTimer);
+  try {
+    await restoreDraft({ form: draft.form, frontImage: draft.frontImage, backImage: draft.backImage });
+
+    // Continue in the restored draft instead of starting a new one
+    sessionId = draft.id;
+    sessionCreated = draft.created;
+    hideBanner();
+  } catch (error) {
+    console.error('Error restoring draft:', error);
+    alert('Could not restore the session: ' + error.message);
+  } finally {
+    paused = false;
+  }
+}
+
+/**
+ * Discard one draft, or all earlier drafts when id is null
+ */
+async function handleDiscard(id) {
+  try {
+    const drafts = await loadEarlierDrafts();
+    for (const draft of drafts) {
+      if (id === null || draft.id === id) {
+        await deleteRecord(STORE, draft.id);
+      }
+    }
+    showBanner(await loadEarlierDrafts());
+  } catch (error) {
+    console.error('Error discarding draft:', error);
+  }
+}
+
+/**
+ * Start autosaving and offer earlier drafts for restore
+ * @param {Object} options
+ * @param {Function} options.collect - Returns {form, frontImage, backImage} for the current form
+ * @param {Function} options.restore - Async; puts {form, frontImage, backImage} back into the form
+ */
+export async function initAutosave({ collect, restore }) {
+  collectDraft = collect;
+  restoreDraft = restore;
+
+  const list = document.getElementById('draft-list');
+  if (list) {
+    list.addEventListener('click', (e) => {
+      const item = e.target.closest('li[data-draft-id]');
+      if (!item) return;
+      if (e.target.closest('.draft-restore-btn')) handleRestore(item.dataset.draftId);
+      if (e.target.closest('.draft-discard-btn')) handleDiscard(item.dataset.draftId);
+    });
+  }
+  document.getElementById('draft-discard-all-btn')?.addEventListener('click', () => handleDiscard(null));
+  document.getElementById('draft-dismiss-btn')?.addEventListener('click', hideBanner);
+
+  try {
+    showBanner(await loadEarlierDrafts());
+  } catch (error) {
+    console.warn('Autosave unavailable:', error.message);
+  }
+}
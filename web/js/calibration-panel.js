@@ -0,0 +1,259 @@
+/**
+ * Pixel Calibrations card
+ * Lists the saved calibrations of the current front image and lets students add, edit,
+ * remove, import and export them
+ */
+
+import {
+  hashImageFile,
+  getCalibrations,
+  setCalibratedPixel,
+  removeCalibratedPixel,
+  exportCalibrations,
+  importCalibrations
+} from './pixel-calibration.js';
+import { escapeHtml, downloadBlob } from './utils.js';
+
+let currentFile = null;
+let currentHash = null;
+let readFormPixels = () => [];
+
+/**
+ * Show a status message on the card
+ */
+function setStatus(text, color = '#999') {
+  const status = document.getElementById('calibration-status');
+  if (status) {
+    status.textContent = text;
+    status.style.color = color;
+  }
+}
+
+/**
+ * Enable the card's controls only when an image is loaded
+ */
+function setControlsEnabled(enabled) {
+  ['calibration-add-btn', 'calibration-save-form-btn', 'calibration-export-btn', 'calibration-import-btn']
+    .forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.disabled = !enabled;
+    });
+}
+
+/**
+ * Render the calibration list of the current image
+ */
+async function renderCalibrations() {
+  const list = document.getElementById('calibration-list');
+  if (!list) return;
+
+  if (!currentHash) {
+    list.innerHTML = '';
+    return;
+  }
+
+  let calibrations;
+  try {
+    calibrations = await getCalibrations(currentHash);
+  } catch (error) {
+    console.error('Error reading calibrations:', error);
+    setStatus(`Calibrations unavailable: ${error.message}`, '#ff6666');
+    return;
+  }
+
+  if (calibrations.length === 0) {
+    list.innerHTML = '<p style="margin: 0; color: #999; font-size: 13px;">No calibrations saved for this image.</p>';
+    return;
+  }
+
+  list.innerHTML = `
+    <table class="calibration-table">
+      <thead><tr><th>HIP</th><th>Label</th><th>X</th><th>Y</th><th></th></tr></thead>
+      <tbody>
+        ${calibrations.map(c => `
+          <tr data-hip="${c.hip}">
+            <td>${c.hip}</td>
+            <td>${escapeHtml(c.label || '')}</td>
+            <td><input type="number" class="calibration-x" step="0.1" value="${c.x}"></td>
+            <td><input type="number" class="calibration-y" step="0.1" value="${c.y}"></td>
+            <td><button type="button" class="calibration-remove-btn" title="Remove calibration">✕</button></td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Save an edited row of the calibration table
+ */
+async function handleRowEdit(row) {
+  const hip = parseInt(row.dataset.hip, 10);
+  const x = parseFloat(row.querySelector('.calibration-x').value);
+  const y = parseFloat(row.querySelector('.calibration-y').value);
+  const label = row.children[1].textContent || null;
+
+  try {
+    await setCalibratedPixel(currentHash, hip, x, y, label);
+    setStatus(`Updated HIP ${hip}`);
+  } catch (error) {
+    setStatus(error.message, '#ff6666');
+  }
+}
+
+/**
+ * Add a calibration from the entry fields
+ */
+async function handleAdd() {
+  const hip = parseInt(document.getElementById('calibration-hip').value, 10);
+  const x = parseFloat(document.getElementById('calibration-x').value);
+  const y = parseFloat(document.getElementById('calibration-y').value);
+  const label = document.getElementById('calibration-label').value.trim();
+
+  try {
+    await setCalibratedPixel(currentHash, hip, x, y, label);
+    ['calibration-hip', 'calibration-x', 'calibration-y', 'calibration-label'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    setStatus(`Saved HIP ${hip}`);
+    await renderCalibrations();
+  } catch (error) {
+    setStatus(error.message, '#ff6666');
+  }
+}
+
+/**
+ * Save the pixel coordinates currently entered in the star entries
+ */
+async function handleSaveFormPixels() {
+  const stars = readFormPixels().filter(s => Number.isInteger(s.hip) && s.hip > 0);
+  if (stars.length === 0) {
+    setStatus('No stars with both a HIP number and pixel coordinates', '#ff6666');
+    return;
+  }
+
+  try {
+    for (const star of stars) {
+      await setCalibratedPixel(currentHash, star.hip, star.x, star.y, star.label);
+    }
+    setStatus(`Saved ${stars.length} star${stars.length === 1 ? '' : 's'} from the form`, '#66cc66');
+    await renderCalibrations();
+  } catch (error) {
+    setStatus(error.message, '#ff6666');
+  }
+}
+
+/**
+ * Download the current image's calibrations as JSON
+ */
+async function handleExport() {
+  try {
+    const data = await exportCalibrations(currentHash);
+    if (data.calibrations.length === 0) {
+      setStatus('No calibrations to export', '#ff6666');
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const baseName = currentFile.name.replace(/\.[^.]+$/, '');
+    downloadBlob(blob, `${baseName}-calibrations.json`);
+  } catch (error) {
+    console.error('Error exporting calibrations:', error);
+    setStatus(`Export failed: ${error.message}`, '#ff6666');
+  }
+}
+
+/**
+ * Import calibrations from a JSON file chosen by the user
+ */
+async function handleImport(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+    let force = false;
+    if (data && data.imageHash && data.imageHash !== currentHash) {
+      force = confirm('These calibrations were saved for a different image file.\n\nApply them to the current front image anyway?');
+      if (!force) return;
+    }
+
+    const count = await importCalibrations(data, currentHash, { force });
+    setStatus(`Imported ${count} calibration${count === 1 ? '' : 's'}`, '#66cc66');
+    await renderCalibrations();
+  } catch (error) {
+    console.error('Error importing calibrations:', error);
+    setStatus(`Import failed: ${error.message}`, '#ff6666');
+  }
+}
+
+/**
+ * Show the calibrations of a new front image
+ * @param {File|null} file - Front image file
+ */
+export async function setCalibrationImage(file) {
+  currentFile = file || null;
+  currentHash = null;
+  setControlsEnabled(false);
+
+  if (!currentFile) {
+    setStatus('Upload a front image to see its calibrations');
+    await renderCalibrations();
+    return;
+  }
+
+  try {
+    const hash = await hashImageFile(currentFile);
+    if (currentFile !== file) return; // A newer image was chosen meanwhile
+    currentHash = hash;
+    setControlsEnabled(true);
+    setStatus(`Image ${hash.slice(0, 12)}…`);
+    await renderCalibrations();
+  } catch (error) {
+    console.error('Error hashing image:', error);
+    setStatus(`Could not read image: ${error.message}`, '#ff6666');
+  }
+}
+
+/**
+ * Set up the Pixel Calibrations card
+ * @param {Object} options
+ * @param {Function} options.getFormPixels - Returns [{hip, label, x, y}] for star entries with pixel coordinates
+ */
+export function initCalibrationPanel({ getFormPixels }) {
+  const list = document.getElementById('calibration-list');
+  if (!list) return;
+
+  readFormPixels = getFormPixels;
+
+  list.addEventListener('change', (e) => {
+    const row = e.target.closest('tr[data-hip]');
+    if (row && e.target.matches('.calibration-x, .calibration-y')) {
+      handleRowEdit(row);
+    }
+  });
+
+  list.addEventListener('click', async (e) => {
+    const button = e.target.closest('.calibration-remove-btn');
+    if (!button) return;
+    const hip = parseInt(button.closest('tr').dataset.hip, 10);
+    try {
+      await removeCalibratedPixel(currentHash, hip);
+      setStatus(`Removed HIP ${hip}`);
+      await renderCalibrations();
+    } catch (error) {
+      setStatus(error.message, '#ff6666');
+    }
+  });
+
+  document.getElementById('calibration-add-btn').addEventListener('click', handleAdd);
+  document.getElementById('calibration-save-form-btn').addEventListener('click', handleSaveFormPixels);
+  document.getElementById('calibration-export-btn').addEventListener('click', handleExport);
+
+  const importInput = document.getElementById('calibration-import-file');
+  document.getElementById('calibration-import-btn').addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', handleImport);
+
+  setCalibrationImage(null);
+}
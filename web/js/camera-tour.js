@@ -0,0 +1,349 @@
+/**
+ * Camera tours
+ * A tour is a list of keyframes, each holding a camera pose, the view settings (toggles,
+ * sizes, distance unit...) and an optional caption. Playing it flies the camera smoothly from
+ * keyframe to keyframe, switching the view settings and showing the caption on arrival.
+ * Tours are saved with the view state, so they travel in project files.
+ */
+
+import * as THREE from 'three';
+import { easeInOutCubic } from './utils.js';
+
+const DEFAULT_FLIGHT = 3; // Seconds to fly to a keyframe
+const DEFAULT_HOLD = 3; // Seconds to stay at a keyframe
+const MAX_SECONDS = 60;
+
+/**
+ * A number of seconds within range, or the default
+ */
+function seconds(value, fallback) {
+  const number = parseFloat(value);
+  return number >= 0 ? Math.min(MAX_SECONDS, number) : fallback;
+}
+
+/**
+ * Keyframe with its fields checked (from a saved tour or a new recording)
+ * @param {Object} keyframe
+ * @returns {{camera: {position: number[], target: number[], up: number[]}, view: Object,
+ *   caption: string, flight: number, hold: number}|null} Null without a usable camera pose
+ */
+function normalizeKeyframe(keyframe) {
+  const camera = keyframe && keyframe.camera;
+  const isVector = v => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+  if (!camera || !isVector(camera.position) || !isVector(camera.target)) return null;
+
+  return {
+    camera: {
+      position: [...camera.position],
+      target: [...camera.target],
+      up: isVector(camera.up) ? [...camera.up] : [0, 1, 0]
+    },
+    view: keyframe.view && typeof keyframe.view === 'object' ? { ...keyframe.view } : {},
+    caption: typeof keyframe.caption === 'string' ? keyframe.caption : '',
+    flight: seconds(keyframe.flight, DEFAULT_FLIGHT),
+    hold: seconds(keyframe.hold, DEFAULT_HOLD)
+  };
+}
+
+/**
+ * Camera pose of a keyframe as vectors
+ */
+function keyframePose(keyframe) {
+  return {
+    position: new THREE.Vector3().fromArray(keyframe.camera.position),
+    target: new THREE.Vector3().fromArray(keyframe.camera.target),
+    up: new THREE.Vector3().fromArray(keyframe.camera.up)
+  };
+}
+
+/**
+ * Pose part way along a flight: the camera swings around the moving target (the shorter way)
+ * @param {{position: THREE.Vector3, target: THREE.Vector3, up: THREE.Vector3}} from
+ * @param {{position: THREE.Vector3, target: THREE.Vector3, up: THREE.Vector3}} to
+ * @param {number} t - Progress from 0 to 1 (eased here)
+ * @returns {{position: THREE.Vector3, target: THREE.Vector3, up: THREE.Vector3}}
+ */
+function flightPose(from, to, t) {
+  const eased = easeInOutCubic(t);
+  const fromOffset = new THREE.Spherical().setFromVector3(from.position.clone().sub(from.target));
+  const toOffset = new THREE.Spherical().setFromVector3(to.position.clone().sub(to.target));
+  const turn = toOffset.theta - fromOffset.theta;
+  const toTheta = fromOffset.theta + Math.atan2(Math.sin(turn), Math.cos(turn));
+
+  const target = from.target.clone().lerp(to.target, eased);
+  const offset = new THREE.Spherical(
+    // Zooming is even on a log scale, so close-ups do not rush in at the end
+    Math.exp(THREE.MathUtils.lerp(Math.log(fromOffset.radius), Math.log(toOffset.radius), eased)),
+    THREE.MathUtils.lerp(fromOffset.phi, toOffset.phi, eased),
+    THREE.MathUtils.lerp(fromOffset.theta, toTheta, eased)
+  );
+  return {
+    position: target.clone().add(new THREE.Vector3().setFromSpherical(offset)),
+    target,
+    up: from.up.clone().lerp(to.up, eased)
+  };
+}
+
+/**
+ * Records keyframes and plays them back on the 3D view's camera
+ */
+export class CameraTour {
+  /**
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {OrbitControls} controls
+   * @param {Object} options
+   * @param {Function} options.getViewState - Returns the current view state (see main.js)
+   * @param {Function} options.applyViewState - Applies view settings (keys not given are left unchanged)
+   * @param {Function} options.onCaption - Called with the caption to show ('' hides it)
+   * @param {Function} options.onChange - Called when the keyframes or playing state change
+   */
+  constructor(camera, controls, { getViewState, applyViewState, onCaption, onChange }) {
+    this.camera = camera;
+    this.controls = controls;
+    this.getViewState = getViewState;
+    this.applyViewState = applyViewState;
+    this.onCaption = onCaption;
+    this.onChange = onChange;
+
+    this.keyframes = [];
+    this.run = null; // {index, phase: 'flight'|'hold', start, from, single}
+  }
+
+  /**
+   * Whether a tour is playing (or the camera is flying to a keyframe)
+   */
+  get playing() {
+    return this.run !== null;
+  }
+
+  /**
+   * Index of the keyframe being flown to or held, -1 when not playing
+   */
+  get currentIndex() {
+    return this.run ? this.run.index : -1;
+  }
+
+  /**
+   * Length of the tour in seconds, starting at the first keyframe (as in an exported video)
+   */
+  get duration() {
+    return this.keyframes.reduce((total, keyframe, index) =>
+      total + (index > 0 ? keyframe.flight : 0) + keyframe.hold, 0);
+  }
+
+  /**
+   * Camera pose at a time along the tour, starting at the first keyframe
+   * @param {number} time - Seconds from the start
+   * @returns {{position: THREE.Vector3, target: THREE.Vector3, up: THREE.Vector3, index: number}|null}
+   *   index is the last keyframe reached, whose view settings and caption apply; null without keyframes
+   */
+  poseAt(time) {
+    if (this.keyframes.length === 0) return null;
+
+    let elapsed = time;
+    for (let index = 0; index < this.keyframes.length; index++) {
+      const keyframe = this.keyframes[index];
+      if (index > 0) {
+        if (elapsed < keyframe.flight) {
+          const pose = flightPose(keyframePose(this.keyframes[index - 1]), keyframePose(keyframe), elapsed / keyframe.flight);
+          return { ...pose, index: index - 1 };
+        }
+        elapsed -= keyframe.flight;
+      }
+      if (elapsed < keyframe.hold) return { ...keyframePose(keyframe), index };
+      elapsed -= keyframe.hold;
+    }
+    const last = this.keyframes.length - 1;
+    return { ...keyframePose(this.keyframes[last]), index: last };
+  }
+
+  /**
+   * Record the current camera pose and view settings as a new keyframe
+   * @param {string} caption - Text shown when the keyframe is reached
+   * @returns {number} Index of the new keyframe
+   */
+  addKeyframe(caption = '') {
+    const { camera, tour, ...view } = this.getViewState();
+    this.keyframes.push(normalizeKeyframe({ camera, view, caption }));
+    this.onChange();
+    return this.keyframes.length - 1;
+  }
+
+  /**
+   * Change the caption or timing of a keyframe
+   * @param {number} index
+   * @param {{caption?: string, flight?: number, hold?: number}} changes
+   */
+  updateKeyframe(index, changes) {
+    const keyframe = this.keyframes[index];
+    if (!keyframe) return;
+    if (changes.caption !== undefined) keyframe.caption = String(changes.caption);
+    if (changes.flight !== undefined) keyframe.flight = seconds(changes.flight, keyframe.flight);
+    if (changes.hold !== undefined) keyframe.hold = seconds(changes.hold, keyframe.hold);
+    this.onChange();
+  }
+
+  /**
+   * Delete a keyframe (stops playback)
+   * @param {number} index
+   */
+  removeKeyframe(index) {
+    this.stop();
+    this.keyframes.splice(index, 1);
+    this.onChange();
+  }
+
+  /**
+   * Move a keyframe one place earlier or later
+   * @param {number} index
+   * @param {number} direction - -1 or 1
+   */
+  moveKeyframe(index, direction) {
+    const other = index + direction;
+    if (!this.keyframes[index] || !this.keyframes[other]) return;
+    this.stop();
+    [this.keyframes[index], this.keyframes[other]] = [this.keyframes[other], this.keyframes[index]];
+    this.onChange();
+  }
+
+  /**
+   * Play the tour from the first keyframe (flying there from the current view)
+   */
+  play() {
+    if (this.keyframes.length === 0) return;
+    this.startFlight(0, false);
+  }
+
+  /**
+   * Fly to one keyframe and stop there
+   * @param {number} index
+   */
+  goTo(index) {
+    if (!this.keyframes[index]) return;
+    this.startFlight(index, true);
+  }
+
+  /**
+   * Stop playing, leaving the camera where it is
+   */
+  stop() {
+    if (!this.run) return;
+    this.run = null;
+    this.controls.enabled = true;
+    this.onCaption('');
+    this.onChange();
+  }
+
+  /**
+   * Start flying from the current camera pose to a keyframe
+   */
+  startFlight(index, single) {
+    const from = {
+      position: this.camera.position.clone(),
+      target: this.controls.target.clone(),
+      up: this.camera.up.clone()
+    };
+
+    this.controls.enabled = false;
+    this.run = { index, phase: 'flight', start: performance.now(), from, single };
+    this.onChange();
+  }
+
+  /**
+   * Arrive at a keyframe: exact pose, its view settings and caption
+   */
+  arrive(keyframe) {
+    const pose = keyframePose(keyframe);
+    this.setPose(pose.position, pose.target, pose.up);
+    this.applyView(keyframe.view);
+    this.onCaption(keyframe.caption);
+  }
+
+  /**
+   * Apply view settings, changing only those that differ so unchanged ones do not rebuild the scene
+   * @param {Object} view - View settings (as in a keyframe)
+   */
+  applyView(view) {
+    const current = this.getViewState();
+    const changes = {};
+    Object.entries(view).forEach(([key, value]) => {
+      if (JSON.stringify(current[key]) !== JSON.stringify(value)) changes[key] = value;
+    });
+    if (Object.keys(changes).length > 0) this.applyViewState(changes);
+  }
+
+  /**
+   * Place the camera
+   */
+  setPose(position, target, up) {
+    this.camera.up.copy(up).normalize();
+    this.camera.position.copy(position);
+    this.controls.target.copy(target);
+    this.camera.lookAt(target);
+  }
+
+  /**
+   * Advance the tour (call once per frame)
+   * @param {number} now - Frame time in milliseconds
+   */
+  update(now) {
+    if (!this.run) return;
+
+    const run = this.run;
+    const keyframe = this.keyframes[run.index];
+    if (!keyframe) {
+      this.stop();
+      return;
+    }
+
+    const elapsed = (now - run.start) / 1000;
+
+    if (run.phase === 'flight') {
+      const t = keyframe.flight > 0 ? Math.min(1, elapsed / keyframe.flight) : 1;
+      if (t < 1) {
+        const pose = flightPose(run.from, keyframePose(keyframe), t);
+        this.setPose(pose.position, pose.target, pose.up);
+        return;
+      }
+
+      this.arrive(keyframe);
+      if (run.single) {
+        // Keep the caption up; the view can be moved again
+        this.run = null;
+        this.controls.enabled = true;
+        this.onChange();
+        return;
+      }
+      run.phase = 'hold';
+      run.start = now;
+      return;
+    }
+
+    if (elapsed >= keyframe.hold) {
+      if (run.index + 1 < this.keyframes.length) {
+        this.startFlight(run.index + 1, false);
+      } else {
+        this.stop();
+      }
+    }
+  }
+
+  /**
+   * Keyframes for saving
+   * @returns {Array<Object>}
+   */
+  toJSON() {
+    return this.keyframes.map(keyframe => JSON.parse(JSON.stringify(keyframe)));
+  }
+
+  /**
+   * Replace the keyframes with a saved tour (unusable keyframes are dropped)
+   * @param {Array<Object>|null} keyframes
+   */
+  load(keyframes) {
+    this.stop();
+    this.keyframes = Array.isArray(keyframes) ? keyframes.map(normalizeKeyframe).filter(Boolean) : [];
+    this.onCaption('');
+    this.onChange();
+  }
+}
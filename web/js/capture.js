@@ -0,0 +1,258 @@
+/**
+ * Image capture dialog
+ * Renders the current view offscreen at 2-4 times the window's resolution, on black or
+ * transparent, optionally adds a legend (star colors, depth scale, field name and date), and
+ * saves it as a PNG with a JSON sidecar of the camera and view settings
+ */
+
+import { withRenderSize, maxRenderSize } from './offscreen-render.js';
+import { distanceTicks } from './distance-scale.js';
+import { downloadBlob, TEMPERATURE_COLOR_STOPS } from './utils.js';
+
+const LEGEND_TEMPERATURES = [30000, 10000, 5000, 3000];
+const SCALE_NAMES = { linear: 'linear', log: 'logarithmic', sqrt: 'square-root', broken: 'broken-axis' };
+
+let view = null; // Options given to initCapture
+
+/**
+ * Show a status message in the dialog
+ */
+function setStatus(text, color = '#999') {
+  const status = document.getElementById('capture-status');
+  if (status) {
+    status.textContent = text;
+    status.style.color = color;
+  }
+}
+
+/**
+ * Image size in pixels at a multiple of the window's size, within what the renderer can draw
+ * @returns {{width: number, height: number, scale: number, limited: boolean}} scale is the
+ *   multiple actually used
+ */
+function captureSize(scale) {
+  const canvas = view.renderer.domElement;
+  const width = Math.round((canvas.clientWidth || window.innerWidth) * scale);
+  const height = Math.round((canvas.clientHeight || window.innerHeight) * scale);
+  const shrink = Math.min(1, maxRenderSize(view.renderer) / Math.max(width, height));
+  return {
+    width: Math.floor(width * shrink),
+    height: Math.floor(height * shrink),
+    scale: scale * shrink,
+    limited: shrink < 1
+  };
+}
+
+/**
+ * Open the dialog, with the resolutions and legend text filled in for the current field
+ */
+function openDialog() {
+  const legend = view.getLegend();
+  if (!legend) return;
+
+  document.querySelectorAll('#capture-scale option').forEach(option => {
+    const { width, height } = captureSize(parseInt(option.value, 10));
+    option.textContent = `${option.value}× (${width} × ${height})`;
+  });
+  document.getElementById('capture-field-name').value = legend.fieldName;
+  document.getElementById('capture-date').value = new Date().toISOString().slice(0, 10);
+
+  document.getElementById('capture-panel').style.display = 'block';
+  setStatus('');
+}
+
+/**
+ * Close the dialog
+ */
+function closeDialog() {
+  document.getElementById('capture-panel').style.display = 'none';
+}
+
+/**
+ * Canvas gradient position (0-1) of a temperature on the legend's color bar: hot on the left,
+ * on a log scale as in the HR diagram
+ */
+function temperaturePosition(temperature) {
+  const hot = Math.log(TEMPERATURE_COLOR_STOPS[TEMPERATURE_COLOR_STOPS.length - 1].temp);
+  const cool = Math.log(TEMPERATURE_COLOR_STOPS[0].temp);
+  return (hot - Math.log(temperature)) / (hot - cool);
+}
+
+/**
+ * Draw the legend box in the bottom left corner
+ * Sizes are in screen pixels multiplied by the capture scale, so the legend looks the same
+ * at any resolution.
+ * @param {CanvasRenderingContext2D} context
+ * @param {Object} legend
+ * @param {string} legend.fieldName
+ * @param {string} legend.date
+ * @param {Object} legend.scaling - Scaling block of the field
+ * @param {string} legend.unit - 'ly' or 'pc'
+ * @param {number} scale - Capture scale
+ */
+function drawLegend(context, { fieldName, date, scaling, unit }, scale) {
+  const u = scale;
+  const padding = 12 * u;
+  const barWidth = 240 * u;
+  const barHeight = 10 * u;
+  const boxWidth = barWidth + 2 * padding;
+  const boxHeight = 172 * u;
+  const left = 16 * u;
+  const top = context.canvas.height - boxHeight - 16 * u;
+
+  context.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  context.fillRect(left, top, boxWidth, boxHeight);
+  context.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+  context.lineWidth = u;
+  context.strokeRect(left, top, boxWidth, boxHeight);
+
+  const x = left + padding;
+  let y = top + padding;
+  const text = (value, textX, textY, size, { bold = false, color = '#ffffff', align = 'left' } = {}) => {
+    context.font = `${bold ? 'bold ' : ''}${size * u}px Arial`;
+    context.fillStyle = color;
+    context.textAlign = align;
+    context.textBaseline = 'top';
+    context.fillText(value, textX, textY, barWidth);
+  };
+
+  // Field name and date
+  text(fieldName || 'Star field', x, y, 16, { bold: true, color: '#cc3333' });
+  y += 22 * u;
+  if (date) text(date, x, y, 12, { color: '#cccccc' });
+  y += 24 * u;
+
+  // Star color by temperature
+  text('Star color: temperature', x, y, 12);
+  y += 16 * u;
+  const gradient = context.createLinearGradient(x, 0, x + barWidth, 0);
+  TEMPERATURE_COLOR_STOPS.forEach(stop => gradient.addColorStop(temperaturePosition(stop.temp), stop.hex));
+  context.fillStyle = gradient;
+  context.fillRect(x, y, barWidth, barHeight);
+  y += barHeight + 3 * u;
+  LEGEND_TEMPERATURES.forEach(temperature => {
+    const label = temperature >= 10000 ? `${temperature / 1000}k K` : `${temperature} K`;
+    text(label, x + temperaturePosition(temperature) * barWidth, y, 11, { color: '#cccccc', align: 'center' });
+  });
+  y += 22 * u;
+
+  // Depth axis: front (image plane) on the left, with the ruler's ticks
+  const mode = scaling.mode || 'linear';
+  text(`Depth (${unit}, ${SCALE_NAMES[mode] || mode} scale)`, x, y, 12);
+  y += 16 * u;
+  context.strokeStyle = '#ffffff';
+  context.lineWidth = 1.5 * u;
+  context.beginPath();
+  context.moveTo(x, y + barHeight);
+  context.lineTo(x + barWidth, y + barHeight);
+  context.stroke();
+
+  let lastLabelX = -Infinity;
+  distanceTicks(scaling.mode ? scaling : { ...scaling, mode: 'linear' }, unit).forEach(tick => {
+    const tickX = x + tick.scaled * barWidth;
+    context.beginPath();
+    context.moveTo(tickX, y + (tick.major ? 0 : barHeight / 2));
+    context.lineTo(tickX, y + barHeight);
+    context.stroke();
+    // Label major ticks that have room
+    if (tick.major && tickX - lastLabelX > 45 * u) {
+      text(String(tick.value), tickX, y + barHeight + 3 * u, 11, { color: '#cccccc', align: 'center' });
+      lastLabelX = tickX;
+    }
+  });
+}
+
+/**
+ * Render the view with the chosen options and download the PNG and its JSON sidecar
+ */
+async function runCapture() {
+  const { renderer, scene, camera } = view;
+  const legend = view.getLegend();
+  if (!legend) return;
+
+  const scale = parseInt(document.getElementById('capture-scale').value, 10);
+  const transparent = document.getElementById('capture-background').value === 'transparent';
+  const withLegend = document.getElementById('capture-legend').checked;
+  const { width, height, scale: usedScale, limited } = captureSize(scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  setStatus('Rendering...');
+  const background = scene.background;
+  if (transparent) scene.background = null;
+  try {
+    await withRenderSize(renderer, camera, width, height, () => {
+      view.render();
+      context.drawImage(renderer.domElement, 0, 0, width, height);
+    });
+  } catch (error) {
+    console.error('Error capturing image:', error);
+    setStatus(`Capture failed: ${error.message}`, '#ff6666');
+    return;
+  } finally {
+    scene.background = background;
+  }
+
+  const fieldName = document.getElementById('capture-field-name').value.trim();
+  const date = document.getElementById('capture-date').value.trim();
+  if (withLegend) {
+    drawLegend(context, { fieldName, date, scaling: legend.scaling, unit: legend.unit }, usedScale);
+  }
+
+  const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!png) {
+    setStatus('The browser could not create the PNG.', '#ff6666');
+    return;
+  }
+
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  const baseName = `starfield-capture-${stamp}`;
+
+  // Everything needed to set the view up again (camera pose plus lens, and display settings)
+  const { camera: pose, tour, ...settings } = view.getViewState();
+  const sidecar = {
+    image: `${baseName}.png`,
+    capturedAt: new Date().toISOString(),
+    field: fieldName,
+    date,
+    width,
+    height,
+    scale: usedScale,
+    background: transparent ? 'transparent' : 'black',
+    legend: withLegend,
+    camera: { ...pose, fov: camera.fov, aspect: width / height, near: camera.near, far: camera.far },
+    view: settings
+  };
+
+  downloadBlob(png, `${baseName}.png`);
+  downloadBlob(new Blob([JSON.stringify(sidecar, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+  setStatus(
+    `Saved ${baseName}.png (${width} × ${height}) and its .json settings${limited ? '; size limited by the graphics card' : ''}`,
+    '#66cc66'
+  );
+}
+
+/**
+ * Wire up the capture dialog
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer - Must have an alpha channel for transparent captures
+ * @param {THREE.Scene} options.scene
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {Function} options.getViewState - Returns the current view state (see main.js)
+ * @param {Function} options.getLegend - Returns {fieldName, scaling, unit} for the current field,
+ *   or null without a 3D model
+ * @param {Function} options.render - Renders the view as the screen shows it (including stereo modes)
+ */
+export function initCapture(options) {
+  const openButton = document.getElementById('capture-btn');
+  if (!openButton) return;
+
+  view = options;
+
+  openButton.addEventListener('click', openDialog);
+  document.getElementById('capture-close').addEventListener('click', closeDialog);
+  document.getElementById('capture-start').addEventListener('click', runCapture);
+}
@@ -1,132 +1,275 @@
 /**
- * HIP Catalog lookup for RA/Dec coordinates
- * Loads a lightweight HIP catalog subset for browser-based lookups
+ * HIP Catalog lookup for RA/Dec, parallax and photometry
+ * Lazy-loads shards of the local Hipparcos catalog built by converter/build-hip-catalog.js,
+ * so lookups work offline and over HTTPS without any external service
  */
 
-let hipCatalog = null;
+const CATALOG_DIR = 'assets/hip-catalog';
+
+let catalogIndex = null;
+let legacyCatalog = null;
+const shardCache = new Map(); // shard file -> Promise<Map<hip, entry>>
 
 /**
- * Initialize HIP catalog from JSON file
+ * Initialize HIP catalog index (shard list) from JSON file
+ * Falls back to the small legacy hip-catalog.json when the sharded catalog has not been built
+ * @returns {Promise<Object|null>} Catalog index, legacy catalog, or null if neither is available
  */
 export async function loadHIPCatalog() {
-  if (hipCatalog) return hipCatalog;
-  
+  if (catalogIndex) return catalogIndex;
+  if (legacyCatalog) return legacyCatalog;
+
+  try {
+    const response = await fetch(`${CATALOG_DIR}/index.json`);
+    if (response.ok) {
+      catalogIndex = await response.json();
+      return catalogIndex;
+    }
+  } catch (error) {
+    console.warn('Sharded HIP catalog not available:', error.message);
+  }
+
   try {
     const response = await fetch('assets/hip-catalog.json');
-    hipCatalog = await response.json();
-    return hipCatalog;
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    legacyCatalog = await response.json();
+    console.log('Using legacy HIP catalog (run converter/build-hip-catalog.js for full coverage)');
+    return legacyCatalog;
   } catch (error) {
     console.error('Error loading HIP catalog:', error);
-    // Fallback: try to fetch from SIMBAD API if catalog not available
     return null;
   }
 }
 
 /**
- * Lookup RA/Dec for a HIP number
+ * Check whether the full sharded catalog is available (not only the small built-in one)
+ * @returns {Promise<boolean>}
+ */
+export async function hasFullHIPCatalog() {
+  await loadHIPCatalog();
+  return !!catalogIndex;
+}
+
+/**
+ * Find the shard that holds a HIP number (binary search over HIP ranges)
  * @param {number} hipNumber - HIP catalog number
- * @returns {Promise<{ra: number, dec: number}|null>}
+ * @returns {Object|null} Shard metadata from the index
  */
-export async function lookupHIP(hipNumber) {
-  const catalog = await loadHIPCatalog();
-  
-  if (!catalog) {
-    // Fallback to SIMBAD API lookup
-    return await lookupHIPFromSIMBAD(hipNumber);
-  }
-  
-  const entry = catalog[hipNumber];
-  
-  if (entry) {
-    return {
-      ra: entry.ra,
-      dec: entry.dec
-    };
+function findShard(hipNumber) {
+  const shards = catalogIndex.shards;
+  let low = 0;
+  let high = shards.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (hipNumber < shards[mid].first) {
+      high = mid - 1;
+    } else if (hipNumber > shards[mid].last) {
+      low = mid + 1;
+    } else {
+      return shards[mid];
+    }
   }
-  
+
   return null;
 }
 
 /**
- * Fallback: Lookup HIP from SIMBAD API
+ * Load a shard (cached) and index its rows by HIP number
+ * @param {Object} shard - Shard metadata from the index
+ * @returns {Promise<Map<number, Object>>}
+ */
+function loadShard(shard) {
+  if (!shardCache.has(shard.file)) {
+    const promise = fetch(`${CATALOG_DIR}/${shard.file}`)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(({ rows }) => {
+        const entries = new Map();
+        rows.forEach(row => {
+          const entry = rowToEntry(row, catalogIndex.columns);
+          entries.set(entry.hip, entry);
+        });
+        return entries;
+      })
+      .catch(error => {
+        // Allow a retry on the next lookup
+        shardCache.delete(shard.file);
+        throw error;
+      });
+    shardCache.set(shard.file, promise);
+  }
+
+  return shardCache.get(shard.file);
+}
+
+/**
+ * Convert a compact catalog row into a lookup result
+ * @param {Array} row - Values in column order
+ * @param {string[]} columns - Column names from the index
+ * @returns {{hip: number, ra: number, dec: number, parallax: number|null, parallaxError: number|null,
+ *   pmRA: number|null, pmDec: number|null, vmag: number|null, bv: number|null, spectralType: string|null}}
+ */
+function rowToEntry(row, columns) {
+  const value = (name) => {
+    const index = columns.indexOf(name);
+    return index >= 0 && row[index] !== undefined ? row[index] : null;
+  };
+
+  return {
+    hip: value('hip'),
+    ra: value('ra'),
+    dec: value('dec'),
+    parallax: value('plx'),
+    parallaxError: value('e_plx'),
+    pmRA: value('pmra'),
+    pmDec: value('pmdec'),
+    vmag: value('vmag'),
+    bv: value('bv'),
+    spectralType: value('sp')
+  };
+}
+
+/**
+ * Convert a legacy/minimal catalog entry (RA in hours) into a lookup result
+ */
+function legacyToEntry(hipNumber, entry) {
+  return {
+    hip: hipNumber,
+    ra: entry.ra * 15,
+    dec: entry.dec,
+    parallax: null,
+    parallaxError: null,
+    pmRA: null,
+    pmDec: null,
+    vmag: null,
+    bv: null,
+    spectralType: null
+  };
+}
+
+/**
+ * Lookup catalog data for a HIP number
  * @param {number} hipNumber - HIP catalog number
- * @returns {Promise<{ra: number, dec: number}|null>}
+ * @returns {Promise<{hip: number, ra: number, dec: number, parallax: number|null, parallaxError: number|null,
+ *   pmRA: number|null, pmDec: number|null, vmag: number|null, bv: number|null, spectralType: string|null}|null>}
+ *   RA/Dec in degrees, parallax and error in mas, proper motion (pmRA includes cos Dec) in mas/yr
  */
-async function lookupHIPFromSIMBAD(hipNumber) {
-  try {
-    const identifier = `HIP ${hipNumber}`;
-    const url = `http://simbad.u-strasbg.fr/simbad/sim-id?output.format=ASCII&Ident=${encodeURIComponent(identifier)}`;
-    
-    const response = await fetch(url);
-    const text = await response.text();
-    
-    // Parse RA and Dec from SIMBAD response
-    // Format: "RA(ICRS)  : 00 08 23.26  Dec(ICRS) : +29 05 26.0"
-    const raMatch = text.match(/RA\(ICRS\)\s*:\s*(\d+)\s+(\d+)\s+([\d.]+)/i);
-    const decMatch = text.match(/Dec\(ICRS\)\s*:\s*([+-]?\d+)\s+(\d+)\s+([\d.]+)/i);
-    
-    if (raMatch && decMatch) {
-      const raHours = parseInt(raMatch[1], 10);
-      const raMinutes = parseInt(raMatch[2], 10);
-      const raSeconds = parseFloat(raMatch[3]);
-      const ra = (raHours + raMinutes / 60 + raSeconds / 3600) * 15; // Convert to degrees
-      
-      const decDegrees = parseInt(decMatch[1], 10);
-      const decMinutes = parseInt(decMatch[2], 10);
-      const decSeconds = parseFloat(decMatch[3]);
-      const decSign = decDegrees < 0 ? -1 : 1;
-      const dec = decSign * (Math.abs(decDegrees) + decMinutes / 60 + decSeconds / 3600);
-      
-      return { ra, dec };
+export async function lookupHIP(hipNumber) {
+  const catalog = await loadHIPCatalog();
+
+  if (catalogIndex) {
+    const shard = findShard(hipNumber);
+    if (!shard) return null;
+
+    try {
+      const entries = await loadShard(shard);
+      return entries.get(hipNumber) || null;
+    } catch (error) {
+      console.error(`Error loading HIP catalog shard ${shard.file}:`, error.message);
+      return null;
     }
-    
-    return null;
-  } catch (error) {
-    console.error(`Error looking up HIP ${hipNumber} from SIMBAD:`, error.message);
-    return null;
   }
+
+  const entry = (catalog && catalog[hipNumber]) || getMinimalHIPCatalog()[hipNumber];
+  return entry ? legacyToEntry(hipNumber, entry) : null;
 }
 
 /**
  * Batch lookup multiple HIP numbers
+ * Each needed shard is fetched once, in parallel
  * @param {number[]} hipNumbers - Array of HIP catalog numbers
- * @returns {Promise<Map<number, {ra: number, dec: number}>>}
+ * @returns {Promise<Map<number, Object>>} Lookup results (see lookupHIP) keyed by HIP number
  */
 export async function batchLookupHIP(hipNumbers) {
-  const catalog = await loadHIPCatalog();
+  await loadHIPCatalog();
   const results = new Map();
-  
-  // Use minimal catalog as fallback if main catalog failed to load
-  if (!catalog) {
-    console.log('Using minimal HIP catalog fallback');
-    const minimal = getMinimalHIPCatalog();
-    for (const hip of hipNumbers) {
-      if (minimal[hip]) {
-        results.set(hip, { ra: minimal[hip].ra, dec: minimal[hip].dec });
-      }
+
+  const lookups = await Promise.all(hipNumbers.map(hip => lookupHIP(hip)));
+  lookups.forEach((entry, i) => {
+    if (entry) {
+      results.set(hipNumbers[i], entry);
     }
-    return results;
+  });
+
+  return results;
+}
+
+/**
+ * Angular distance between two sky positions
+ * @returns {number} Separation in degrees
+ */
+function angularDistance(ra1, dec1, ra2, dec2) {
+  const toRad = Math.PI / 180;
+  const sinDDec = Math.sin((dec2 - dec1) * toRad / 2);
+  const sinDRA = Math.sin((ra2 - ra1) * toRad / 2);
+  const h = sinDDec * sinDDec + Math.cos(dec1 * toRad) * Math.cos(dec2 * toRad) * sinDRA * sinDRA;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(h))) / toRad;
+}
+
+/**
+ * Check whether a shard's RA range overlaps the RA window of a search cone
+ */
+function shardOverlapsRA(shard, raLow, raHigh) {
+  if (raLow < 0) {
+    return shard.raMax >= raLow + 360 || shard.raMin <= raHigh;
   }
-  
-  for (const hip of hipNumbers) {
-    const coords = await lookupHIP(hip);
-    if (coords) {
-      results.set(hip, coords);
-    } else {
-      // Try minimal catalog as fallback
-      const minimal = getMinimalHIPCatalog();
-      if (minimal[hip]) {
-        results.set(hip, { ra: minimal[hip].ra, dec: minimal[hip].dec });
-      }
+  if (raHigh >= 360) {
+    return shard.raMin <= raHigh - 360 || shard.raMax >= raLow;
+  }
+  return shard.raMax >= raLow && shard.raMin <= raHigh;
+}
+
+/**
+ * Find catalog stars within a cone on the sky
+ * Only the shards whose RA range overlaps the cone are loaded
+ * @param {number} centerRA - Cone center RA in degrees
+ * @param {number} centerDec - Cone center Dec in degrees
+ * @param {number} radiusDeg - Cone radius in degrees
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of stars to return (brightest first)
+ * @returns {Promise<Object[]>} Lookup results (see lookupHIP), brightest first
+ */
+export async function queryHIPRegion(centerRA, centerDec, radiusDeg, { limit = Infinity } = {}) {
+  const catalog = await loadHIPCatalog();
+  let candidates = [];
+
+  if (catalogIndex) {
+    let shards = catalogIndex.shards;
+
+    // Near the poles the cone spans all RAs
+    if (Math.abs(centerDec) + radiusDeg < 89.9) {
+      const toRad = Math.PI / 180;
+      const halfWidth = Math.asin(Math.min(1, Math.sin(radiusDeg * toRad) / Math.cos(centerDec * toRad))) / toRad;
+      shards = shards.filter(shard => shardOverlapsRA(shard, centerRA - halfWidth, centerRA + halfWidth));
     }
+
+    const loaded = await Promise.all(shards.map(shard => loadShard(shard).catch(error => {
+      console.error(`Error loading HIP catalog shard ${shard.file}:`, error.message);
+      return new Map();
+    })));
+    loaded.forEach(entries => {
+      candidates.push(...entries.values());
+    });
+  } else {
+    const legacy = { ...getMinimalHIPCatalog(), ...(catalog || {}) };
+    candidates = Object.entries(legacy).map(([hip, entry]) => legacyToEntry(parseInt(hip, 10), entry));
   }
-  
-  return results;
+
+  const inside = candidates.filter(entry =>
+    angularDistance(centerRA, centerDec, entry.ra, entry.dec) <= radiusDeg
+  );
+
+  // Brightest first; stars without a magnitude go last
+  inside.sort((a, b) => (a.vmag ?? Infinity) - (b.vmag ?? Infinity));
+  return inside.slice(0, limit);
 }
 
 /**
  * Create a minimal HIP catalog from common stars
- * This is a fallback if the full catalog isn't available
+ * This is a fallback if the full catalog isn't available (RA in hours, Dec in degrees)
  */
 export function getMinimalHIPCatalog() {
   // Common bright stars with their HIP numbers and coordinates
@@ -141,4 +284,3 @@ export function getMinimalHIPCatalog() {
     410: { ra: 0.0538, dec: 28.9835 }
   };
 }
-
@@ -0,0 +1,290 @@
+/**
+ * Cluster membership
+ * Finds groups of stars that are close together in space (DBSCAN): in full 3D when every star
+ * has a direction on the sky, otherwise in distance alone. Members are outlined in the scene by
+ * an ellipsoid fitted to their positions.
+ */
+
+import * as THREE from 'three';
+import { createSkyPositions } from './separation.js';
+import { skyVector } from './coordinate-converter.js';
+import { LY_PER_PC, escapeHtml } from './utils.js';
+
+const MIN_MEMBERS = 3; // Smallest group counted as a cluster
+const AUTO_LINK_FACTOR = 1.5; // Automatic link distance, in median neighbour distances
+const AUTO_LINK_FRACTION = 0.04; // Smallest automatic link distance, as a fraction of the median distance
+const ELLIPSOID_SIGMA = 2; // Ellipsoid radii in standard deviations
+export const CLUSTER_COLORS = ['#33ddaa', '#ff66cc', '#66aaff', '#ffaa33'];
+
+/**
+ * Distance between two points with any number of coordinates
+ */
+function pointDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) * (a[i] - b[i]);
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Positions of the stars for clustering
+ * @param {Object} data - Visualization data
+ * @returns {{mode: string, points: number[][]}} '3d' with x, y, z in pc when every star has a sky
+ *   position, otherwise 'distance' with the distance in pc
+ */
+function clusteringPoints(data) {
+  const sky = createSkyPositions(data)(data.stars);
+  if (sky) {
+    return {
+      mode: '3d',
+      points: data.stars.map((star, i) => skyVector(sky.positions[i].ra, sky.positions[i].dec).map(c => c * star.distancePc))
+    };
+  }
+  return { mode: 'distance', points: data.stars.map(star => [star.distancePc]) };
+}
+
+/**
+ * Median of a list of numbers
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Automatic link distance: a multiple of the median distance to each star's (MIN_MEMBERS - 1)th
+ * nearest neighbour, but no less than a few percent of the distance to the stars, since
+ * parallax distances are rarely better than that and closer structure is mostly noise
+ */
+function autoLinkDistance(points, distancesPc) {
+  const neighbourDistances = points.map((p, i) => {
+    const sorted = points.filter((q, j) => j !== i).map(q => pointDistance(p, q)).sort((a, b) => a - b);
+    return sorted[Math.min(MIN_MEMBERS - 2, sorted.length - 1)];
+  });
+  return Math.max(median(neighbourDistances) * AUTO_LINK_FACTOR, median(distancesPc) * AUTO_LINK_FRACTION);
+}
+
+/**
+ * DBSCAN clustering
+ * @param {number[][]} points
+ * @param {number} eps - Link distance
+ * @param {number} minPoints - Neighbours (including the point itself) that make a core point
+ * @returns {number[]} Cluster index of each point, -1 for stars in no cluster
+ */
+function dbscan(points, eps, minPoints) {
+  const labels = new Array(points.length).fill(undefined);
+  const neighbours = (i) => points.map((_, j) => j).filter(j => pointDistance(points[i], points[j]) <= eps);
+  let cluster = -1;
+
+  points.forEach((_, i) => {
+    if (labels[i] !== undefined) return;
+    const seeds = neighbours(i);
+    if (seeds.length < minPoints) {
+      labels[i] = -1;
+      return;
+    }
+
+    cluster++;
+    labels[i] = cluster;
+    const queue = seeds.filter(j => j !== i);
+    while (queue.length > 0) {
+      const j = queue.shift();
+      if (labels[j] === -1) labels[j] = cluster; // Border point
+      if (labels[j] !== undefined) continue;
+      labels[j] = cluster;
+      const more = neighbours(j);
+      if (more.length >= minPoints) queue.push(...more);
+    }
+  });
+
+  return labels;
+}
+
+/**
+ * Mean and standard deviation
+ */
+function meanAndSpread(values) {
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / values.length;
+  return { mean, spread: Math.sqrt(variance) };
+}
+
+/**
+ * Find clusters among the stars of a visualization
+ * @param {Object} data - Visualization data (stars with distancePc; wcs or pixelScale for 3D)
+ * @param {Object} options
+ * @param {number|null} options.linkDistancePc - Largest gap between neighbouring members
+ *   (null picks one from the spacing of the stars)
+ * @returns {{mode: string, linkDistancePc: number, clusters: Array<{members: Object[],
+ *   meanDistancePc: number, spreadPc: number, meanDistanceLy: number, spreadLy: number}>,
+ *   fieldStars: Object[]}} Clusters, largest first
+ */
+export function findClusters(data, { linkDistancePc = null } = {}) {
+  const stars = data.stars;
+  if (stars.length < MIN_MEMBERS) {
+    return { mode: 'distance', linkDistancePc: linkDistancePc || 0, clusters: [], fieldStars: [...stars] };
+  }
+
+  const { mode, points } = clusteringPoints(data);
+  const eps = linkDistancePc > 0 ? linkDistancePc : autoLinkDistance(points, stars.map(star => star.distancePc));
+  const labels = dbscan(points, eps, MIN_MEMBERS);
+
+  const groups = new Map();
+  const fieldStars = [];
+  labels.forEach((label, i) => {
+    if (label < 0) {
+      fieldStars.push(stars[i]);
+    } else {
+      if (!groups.has(label)) groups.set(label, []);
+      groups.get(label).push(stars[i]);
+    }
+  });
+
+  const clusters = [...groups.values()]
+    .sort((a, b) => b.length - a.length)
+    .map(members => {
+      const { mean, spread } = meanAndSpread(members.map(star => star.distancePc));
+      return {
+        members,
+        meanDistancePc: mean,
+        spreadPc: spread,
+        meanDistanceLy: mean * LY_PER_PC,
+        spreadLy: spread * LY_PER_PC
+      };
+    });
+
+  return { mode, linkDistancePc: eps, clusters, fieldStars };
+}
+
+/**
+ * Eigenvalues and eigenvectors of a symmetric 3x3 matrix (Jacobi rotations)
+ * @param {number[][]} matrix
+ * @returns {{values: number[], vectors: number[][]}} vectors[k] belongs to values[k]
+ */
+function symmetricEigen(matrix) {
+  const a = matrix.map(row => [...row]);
+  const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+  for (let sweep = 0; sweep < 50; sweep++) {
+    const off = a[0][1] * a[0][1] + a[0][2] * a[0][2] + a[1][2] * a[1][2];
+    if (off < 1e-18) break;
+
+    for (let p = 0; p < 2; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (Math.abs(a[p][q]) < 1e-30) continue;
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  return {
+    values: [a[0][0], a[1][1], a[2][2]],
+    vectors: [0, 1, 2].map(k => [v[0][k], v[1][k], v[2][k]])
+  };
+}
+
+/**
+ * Create a translucent ellipsoid enclosing a cluster's members in the scene
+ * Fitted to the covariance of their scene positions (so it follows the depth scale in use)
+ * @param {THREE.Vector3[]} positions - Member positions in the scene
+ * @param {string} color - CSS color
+ * @param {number} minRadius - Smallest radius (a flat or tiny group still gets a visible shell)
+ * @returns {THREE.Group}
+ */
+export function createClusterEllipsoid(positions, color, minRadius) {
+  const center = new THREE.Vector3();
+  positions.forEach(p => center.add(p));
+  center.divideScalar(positions.length);
+
+  const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  positions.forEach(p => {
+    const d = [p.x - center.x, p.y - center.y, p.z - center.z];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        covariance[i][j] += d[i] * d[j] / positions.length;
+      }
+    }
+  });
+
+  const { values, vectors } = symmetricEigen(covariance);
+  const axes = vectors.map(vector => new THREE.Vector3(...vector));
+  // Right-handed basis, so the matrix is a pure rotation
+  axes[2].crossVectors(axes[0], axes[1]);
+  const radii = values.map(value => Math.max(minRadius, ELLIPSOID_SIGMA * Math.sqrt(Math.max(0, value))));
+
+  const group = new THREE.Group();
+  group.position.copy(center);
+  group.quaternion.setFromRotationMatrix(new THREE.Matrix4().makeBasis(axes[0], axes[1], axes[2]));
+  group.scale.set(radii[0], radii[1], radii[2]);
+
+  const shell = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 32, 16),
+    new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.08, depthWrite: false, side: THREE.DoubleSide })
+  );
+  const wireframe = new THREE.Mesh(
+    new THREE.SphereGeometry(1, 16, 8),
+    new THREE.MeshBasicMaterial({ color, wireframe: true, transparent: true, opacity: 0.2, depthWrite: false })
+  );
+  group.add(shell);
+  group.add(wireframe);
+
+  return group;
+}
+
+/**
+ * Summary of a clustering result: mean distance, spread and members of each cluster
+ * @param {Object} result - From findClusters
+ * @param {string} unit - Distance unit shown first ('ly' or 'pc')
+ * @returns {string} HTML
+ */
+export function clusterSummaryHTML(result, unit = 'ly') {
+  const name = star => escapeHtml(star.name || `HIP ${star.hip}`);
+  const other = unit === 'pc' ? 'ly' : 'pc';
+  const distance = (pc, digits = 1) => {
+    const values = { pc, ly: pc * LY_PER_PC };
+    return `${values[unit].toFixed(digits)} ${unit} (${values[other].toFixed(digits)} ${other})`;
+  };
+
+  const basis = result.mode === '3d' ? '3D positions' : 'distance only (no sky positions)';
+  let html = `<div style="color: #999; margin-bottom: 6px;">By ${basis}, linking stars within ${result.linkDistancePc.toFixed(1)} pc</div>`;
+
+  if (result.clusters.length === 0) {
+    html += '<div>No clusters found.</div>';
+  }
+  result.clusters.forEach((cluster, i) => {
+    const color = CLUSTER_COLORS[i % CLUSTER_COLORS.length];
+    html += `
+      <div style="margin-bottom: 6px;">
+        <div style="color: ${color}; font-weight: bold;">Cluster ${i + 1}: ${cluster.members.length} stars</div>
+        <div>Mean distance ${distance(cluster.meanDistancePc)}</div>
+        <div>Spread ± ${distance(cluster.spreadPc)}</div>
+        <div style="color: #bbb;">${cluster.members.map(name).join(', ')}</div>
+      </div>`;
+  });
+  if (result.fieldStars.length > 0) {
+    html += `<div style="color: #999;">Field stars: ${result.fieldStars.map(name).join(', ')}</div>`;
+  }
+  return html;
+}
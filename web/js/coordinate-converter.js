@@ -5,6 +5,8 @@
 
 /**
  * Convert RA/Dec to pixel coordinates using gnomonic projection
+ * Simple case of a north-up, east-left image with one isotropic scale; see WCS for
+ * rotated, mirrored or distorted images. Positions outside the image are not clamped.
  * @param {number} ra - Right Ascension in degrees
  * @param {number} dec - Declination in degrees
  * @param {number} centerRA - Image center RA in degrees
@@ -12,66 +14,434 @@
  * @param {number} imageWidth - Image width in pixels
  * @param {number} imageHeight - Image height in pixels
  * @param {number} scale - Arcseconds per pixel (default: 3.5 arcsec/pixel for typical telescope)
- * @returns {{x: number, y: number}|null}
+ * @returns {{x: number, y: number}|null} Null if the point is 90° or more from the center
  */
 export function raDecToPixel(ra, dec, centerRA, centerDec, imageWidth, imageHeight, scale = 3.5) {
-  // RA and Dec should be in degrees
-  // Handle RA wrapping (RA can be 0-360 degrees)
-  let raDiff = ra - centerRA;
-  
-  // Normalize RA difference to [-180, 180] range
-  if (raDiff > 180) raDiff -= 360;
-  if (raDiff < -180) raDiff += 360;
-  
-  // Convert degrees to radians
-  const raRad = raDiff * Math.PI / 180;
-  const decRad = dec * Math.PI / 180;
-  const centerDecRad = centerDec * Math.PI / 180;
-  
-  // Gnomonic projection (tangent plane projection)
-  // Based on standard astronomical gnomonic projection formula
-  const cosDec = Math.cos(decRad);
-  const sinDec = Math.sin(decRad);
-  const cosCenterDec = Math.cos(centerDecRad);
-  const sinCenterDec = Math.sin(centerDecRad);
-  
-  // A = cos(dec) * cos(ra - centerRA)
-  const A = cosDec * Math.cos(raRad);
-  
-  // Denominator: sin(centerDec) * sin(dec) + cos(centerDec) * cos(dec) * cos(ra - centerRA)
-  const denominator = sinCenterDec * sinDec + cosCenterDec * A;
+  const wcs = WCS.fromScale({
+    centerRA,
+    centerDec,
+    scale,
+    imageWidth,
+    imageHeight,
+    center: { x: imageWidth / 2, y: imageHeight / 2 }
+  });
+  return wcs.worldToPixel(ra, dec);
+}
+
+/**
+ * Project RA/Dec onto the tangent plane at a reference point (gnomonic projection)
+ * @param {number} ra - Right Ascension in degrees
+ * @param {number} dec - Declination in degrees
+ * @param {number} centerRA - Tangent point RA in degrees
+ * @param {number} centerDec - Tangent point Dec in degrees
+ * @returns {{xi: number, eta: number}|null} Standard coordinates in degrees (xi east, eta north),
+ *   or null if the point is 90° or more from the tangent point
+ */
+export function projectGnomonic(ra, dec, centerRA, centerDec) {
+  const toRad = Math.PI / 180;
+  const dRA = (ra - centerRA) * toRad;
+  const decRad = dec * toRad;
+  const centerDecRad = centerDec * toRad;
   
-  if (Math.abs(denominator) < 1e-10) {
-    return null; // Point is too far from center (near pole)
+  const cosC = Math.sin(centerDecRad) * Math.sin(decRad) +
+               Math.cos(centerDecRad) * Math.cos(decRad) * Math.cos(dRA);
+  if (cosC <= 1e-10) {
+    return null;
   }
   
-  // Calculate angular offsets in radians
-  // X axis: negative because RA increases to the left (east) in sky coordinates
-  // Y axis: positive because Dec increases upward (north) in sky coordinates
-  const xRad = -(cosDec * Math.sin(raRad)) / denominator;
-  const yRad = (cosCenterDec * sinDec - sinCenterDec * A) / denominator;
+  const xi = Math.cos(decRad) * Math.sin(dRA) / cosC;
+  const eta = (Math.cos(centerDecRad) * Math.sin(decRad) -
+               Math.sin(centerDecRad) * Math.cos(decRad) * Math.cos(dRA)) / cosC;
   
-  // Convert radians to arcseconds (1 radian = 206265 arcseconds)
-  const xArcsec = xRad * 206265;
-  const yArcsec = yRad * 206265;
+  return { xi: xi / toRad, eta: eta / toRad };
+}
+
+/**
+ * Inverse gnomonic projection from tangent-plane standard coordinates to RA/Dec
+ * @param {number} xi - Standard coordinate (east) in degrees
+ * @param {number} eta - Standard coordinate (north) in degrees
+ * @param {number} centerRA - Tangent point RA in degrees
+ * @param {number} centerDec - Tangent point Dec in degrees
+ * @returns {{ra: number, dec: number}} RA (0-360) and Dec in degrees
+ */
+export function deprojectGnomonic(xi, eta, centerRA, centerDec) {
+  const toRad = Math.PI / 180;
+  const x = xi * toRad;
+  const y = eta * toRad;
+  const centerDecRad = centerDec * toRad;
   
-  // Convert arcseconds to pixels using the scale factor
-  // X increases to the right (positive X in image), Y increases downward (positive Y in image)
-  const xPixel = imageWidth / 2 + xArcsec / scale;
-  const yPixel = imageHeight / 2 - yArcsec / scale; // Negative because image Y increases downward
+  const denominator = Math.cos(centerDecRad) - y * Math.sin(centerDecRad);
+  const ra = centerRA + Math.atan2(x, denominator) / toRad;
+  const dec = Math.atan2(
+    Math.sin(centerDecRad) + y * Math.cos(centerDecRad),
+    Math.sqrt(x * x + denominator * denominator)
+  ) / toRad;
   
-  // Allow stars slightly outside bounds (20% margin) for better visualization
-  const margin = Math.max(imageWidth, imageHeight) * 0.2;
-  if (xPixel < -margin || xPixel > imageWidth + margin || 
-      yPixel < -margin || yPixel > imageHeight + margin) {
-    return null; // Point is too far outside image bounds
+  return { ra: ((ra % 360) + 360) % 360, dec };
+}
+
+/**
+ * Evaluate a SIP polynomial sum of coeffs[p_q] * u^p * v^q
+ * @param {Object<string, number>} coeffs - Coefficients keyed "p_q"
+ */
+function evaluateSIP(coeffs, u, v) {
+  let sum = 0;
+  for (const key in coeffs) {
+    const [p, q] = key.split('_').map(Number);
+    sum += coeffs[key] * Math.pow(u, p) * Math.pow(v, q);
   }
-  
-  // Clamp to image bounds
-  return {
-    x: Math.max(0, Math.min(imageWidth, xPixel)),
-    y: Math.max(0, Math.min(imageHeight, yPixel))
-  };
+  return sum;
+}
+
+/**
+ * Read SIP coefficients (e.g. A_ORDER, A_1_2) for one polynomial from FITS keywords
+ * @returns {Object<string, number>|null}
+ */
+function readSIPCoefficients(header, name) {
+  const order = header[`${name}_ORDER`];
+  if (order === undefined) return null;
+
+  const coeffs = {};
+  for (let p = 0; p <= order; p++) {
+    for (let q = 0; p + q <= order; q++) {
+      const value = header[`${name}_${p}_${q}`];
+      if (value !== undefined && value !== 0) {
+        coeffs[`${p}_${q}`] = value;
+      }
+    }
+  }
+  return coeffs;
+}
+
+/**
+ * World Coordinate System for a TAN (gnomonic) projection
+ * Stores the FITS convention internally (1-based pixels, CRPIX, CRVAL, CD matrix and optional
+ * SIP distortion polynomials), while the public methods use the app's pixel convention:
+ * 0-based, origin at the top-left, y increasing downward.
+ */
+export class WCS {
+  /**
+   * @param {Object} params
+   * @param {number[]} params.crpix - Reference pixel [x, y] (FITS, 1-based)
+   * @param {number[]} params.crval - Reference sky position [RA, Dec] in degrees
+   * @param {number[][]} params.cd - CD matrix in degrees per pixel (FITS axes)
+   * @param {Object|null} params.sip - SIP polynomials {a, b, ap?, bp?} as "p_q" coefficient maps
+   * @param {number} params.imageWidth - Image width in pixels
+   * @param {number} params.imageHeight - Image height in pixels
+   * @param {string} params.rowOrder - 'bottom-up' (FITS default) or 'top-down'
+   */
+  constructor({ crpix, crval, cd, sip = null, imageWidth, imageHeight, rowOrder = 'bottom-up' }) {
+    this.crpix = crpix;
+    this.crval = crval;
+    this.cd = cd;
+    this.sip = sip;
+    this.imageWidth = imageWidth;
+    this.imageHeight = imageHeight;
+    this.rowOrder = rowOrder;
+
+    const [[a, b], [c, d]] = cd;
+    const det = a * d - b * c;
+    if (!det) {
+      throw new Error('WCS CD matrix is singular');
+    }
+    this.cdInverse = [[d / det, -b / det], [-c / det, a / det]];
+  }
+
+  /**
+   * Create a WCS from a center, a scale, a rotation and an optional mirror flip
+   * @param {Object} params
+   * @param {number} params.centerRA - RA at the reference pixel in degrees
+   * @param {number} params.centerDec - Dec at the reference pixel in degrees
+   * @param {number} params.scale - Arcseconds per pixel
+   * @param {number} params.rotation - Position angle of image "up", degrees east of north
+   * @param {boolean} params.flipped - Whether the image is mirrored (east right when north is up)
+   * @param {number} params.imageWidth - Image width in pixels
+   * @param {number} params.imageHeight - Image height in pixels
+   * @param {{x: number, y: number}} params.center - Reference pixel (app convention); defaults to the image center
+   * @returns {WCS}
+   */
+  static fromScale({ centerRA, centerDec, scale, rotation = 0, flipped = false, imageWidth, imageHeight, center = null }) {
+    const s = scale / 3600;
+    const theta = rotation * Math.PI / 180;
+    const mirror = flipped ? -1 : 1;
+
+    // Columns are the sky directions (east, north) of one pixel right and one pixel down
+    const cd = [
+      [-mirror * s * Math.cos(theta), -s * Math.sin(theta)],
+      [mirror * s * Math.sin(theta), -s * Math.cos(theta)]
+    ];
+
+    return WCS.fromImageCD({
+      centerRA,
+      centerDec,
+      cd,
+      imageWidth,
+      imageHeight,
+      center: center || { x: (imageWidth - 1) / 2, y: (imageHeight - 1) / 2 }
+    });
+  }
+
+  /**
+   * Create a WCS from a CD matrix in the app's pixel convention (y down)
+   * @param {Object} params
+   * @param {number} params.centerRA - RA at the reference pixel in degrees
+   * @param {number} params.centerDec - Dec at the reference pixel in degrees
+   * @param {number[][]} params.cd - Degrees per pixel mapping (dx, dy) to (xi, eta)
+   * @param {number} params.imageWidth - Image width in pixels
+   * @param {number} params.imageHeight - Image height in pixels
+   * @param {{x: number, y: number}} params.center - Reference pixel (0-based, y down)
+   * @returns {WCS}
+   */
+  static fromImageCD({ centerRA, centerDec, cd, imageWidth, imageHeight, center }) {
+    return new WCS({
+      crpix: [center.x + 1, imageHeight - center.y],
+      crval: [centerRA, centerDec],
+      // FITS y runs upward, so the y column changes sign
+      cd: [[cd[0][0], -cd[0][1]], [cd[1][0], -cd[1][1]]],
+      imageWidth,
+      imageHeight
+    });
+  }
+
+  /**
+   * Create a WCS from FITS header keywords
+   * Supports CD matrices, PC + CDELT, and CDELT + CROTA2, with optional SIP distortion
+   * @param {Object<string, number|string>} header - Parsed header keywords
+   * @param {number} imageWidth - Image width (defaults to NAXIS1)
+   * @param {number} imageHeight - Image height (defaults to NAXIS2)
+   * @returns {WCS|null} Null if the header has no celestial TAN WCS
+   */
+  static fromFITSHeader(header, imageWidth = header.NAXIS1, imageHeight = header.NAXIS2) {
+    const ctype1 = String(header.CTYPE1 || '');
+    const ctype2 = String(header.CTYPE2 || '');
+    if (!ctype1.startsWith('RA---TAN') || !ctype2.startsWith('DEC--TAN')) {
+      return null;
+    }
+    if ([header.CRPIX1, header.CRPIX2, header.CRVAL1, header.CRVAL2].some(v => typeof v !== 'number')) {
+      return null;
+    }
+
+    let cd;
+    if (header.CD1_1 !== undefined || header.CD2_2 !== undefined) {
+      cd = [
+        [header.CD1_1 || 0, header.CD1_2 || 0],
+        [header.CD2_1 || 0, header.CD2_2 || 0]
+      ];
+    } else if (header.CDELT1 !== undefined && header.CDELT2 !== undefined) {
+      const cdelt1 = header.CDELT1;
+      const cdelt2 = header.CDELT2;
+      let pc;
+      if (header.PC1_1 !== undefined || header.PC2_2 !== undefined) {
+        pc = [
+          [header.PC1_1 ?? 1, header.PC1_2 ?? 0],
+          [header.PC2_1 ?? 0, header.PC2_2 ?? 1]
+        ];
+      } else {
+        const crota = (header.CROTA2 || 0) * Math.PI / 180;
+        pc = [
+          [Math.cos(crota), -Math.sin(crota) * cdelt2 / cdelt1],
+          [Math.sin(crota) * cdelt1 / cdelt2, Math.cos(crota)]
+        ];
+      }
+      cd = [
+        [cdelt1 * pc[0][0], cdelt1 * pc[0][1]],
+        [cdelt2 * pc[1][0], cdelt2 * pc[1][1]]
+      ];
+    } else {
+      return null;
+    }
+
+    let sip = null;
+    if (ctype1.endsWith('-SIP')) {
+      const a = readSIPCoefficients(header, 'A');
+      const b = readSIPCoefficients(header, 'B');
+      if (a && b) {
+        sip = { a, b, ap: readSIPCoefficients(header, 'AP'), bp: readSIPCoefficients(header, 'BP') };
+      }
+    }
+
+    return new WCS({
+      crpix: [header.CRPIX1, header.CRPIX2],
+      crval: [header.CRVAL1, header.CRVAL2],
+      cd,
+      sip,
+      imageWidth,
+      imageHeight,
+      rowOrder: String(header.ROWORDER || '').trim().toUpperCase() === 'TOP-DOWN' ? 'top-down' : 'bottom-up'
+    });
+  }
+
+  /**
+   * Restore a WCS saved with toJSON
+   * @param {Object} json
+   * @returns {WCS}
+   */
+  static fromJSON(json) {
+    return new WCS(json);
+  }
+
+  /**
+   * Convert app pixel coordinates to FITS pixel coordinates
+   */
+  toFITSPixel(x, y) {
+    return {
+      x: x + 1,
+      y: this.rowOrder === 'top-down' ? y + 1 : this.imageHeight - y
+    };
+  }
+
+  /**
+   * Convert FITS pixel coordinates to app pixel coordinates
+   */
+  fromFITSPixel(x, y) {
+    return {
+      x: x - 1,
+      y: this.rowOrder === 'top-down' ? y - 1 : this.imageHeight - y
+    };
+  }
+
+  /**
+   * Convert pixel coordinates to RA/Dec
+   * @param {number} x - Pixel X (0-based, left to right)
+   * @param {number} y - Pixel Y (0-based, top to bottom)
+   * @returns {{ra: number, dec: number}} RA (0-360) and Dec in degrees
+   */
+  pixelToWorld(x, y) {
+    const fits = this.toFITSPixel(x, y);
+    let u = fits.x - this.crpix[0];
+    let v = fits.y - this.crpix[1];
+
+    if (this.sip) {
+      const du = evaluateSIP(this.sip.a, u, v);
+      const dv = evaluateSIP(this.sip.b, u, v);
+      u += du;
+      v += dv;
+    }
+
+    const xi = this.cd[0][0] * u + this.cd[0][1] * v;
+    const eta = this.cd[1][0] * u + this.cd[1][1] * v;
+    return deprojectGnomonic(xi, eta, this.crval[0], this.crval[1]);
+  }
+
+  /**
+   * Convert RA/Dec to pixel coordinates (not clamped to the image)
+   * @param {number} ra - Right Ascension in degrees
+   * @param {number} dec - Declination in degrees
+   * @returns {{x: number, y: number}|null} Null if the point is 90° or more from the reference point
+   */
+  worldToPixel(ra, dec) {
+    const standard = projectGnomonic(ra, dec, this.crval[0], this.crval[1]);
+    if (!standard) return null;
+
+    const U = this.cdInverse[0][0] * standard.xi + this.cdInverse[0][1] * standard.eta;
+    const V = this.cdInverse[1][0] * standard.xi + this.cdInverse[1][1] * standard.eta;
+    let u = U;
+    let v = V;
+
+    if (this.sip && this.sip.ap && this.sip.bp) {
+      u = U + evaluateSIP(this.sip.ap, U, V);
+      v = V + evaluateSIP(this.sip.bp, U, V);
+    } else if (this.sip) {
+      // No inverse polynomials: solve u + A(u, v) = U, v + B(u, v) = V by fixed-point iteration
+      for (let iteration = 0; iteration < 50; iteration++) {
+        const nextU = U - evaluateSIP(this.sip.a, u, v);
+        const nextV = V - evaluateSIP(this.sip.b, u, v);
+        const change = Math.abs(nextU - u) + Math.abs(nextV - v);
+        u = nextU;
+        v = nextV;
+        if (change < 1e-6) break;
+      }
+    }
+
+    return this.fromFITSPixel(u + this.crpix[0], v + this.crpix[1]);
+  }
+
+  /**
+   * CD matrix in the app's pixel convention (maps (dx, dy) with y down to (xi, eta))
+   * @returns {number[][]}
+   */
+  get imageCD() {
+    const sign = this.rowOrder === 'top-down' ? 1 : -1;
+    return [[this.cd[0][0], sign * this.cd[0][1]], [this.cd[1][0], sign * this.cd[1][1]]];
+  }
+
+  /**
+   * Mean pixel scale in arcseconds per pixel
+   */
+  get scale() {
+    const [[a, b], [c, d]] = this.cd;
+    return Math.sqrt(Math.abs(a * d - b * c)) * 3600;
+  }
+
+  /**
+   * Position angle of image "up", in degrees east of north (0-360)
+   */
+  get rotation() {
+    const cd = this.imageCD;
+    return ((Math.atan2(-cd[0][1], -cd[1][1]) * 180 / Math.PI) + 360) % 360;
+  }
+
+  /**
+   * Whether the image is mirrored (east to the right when north is up)
+   * Sky images seen from the front have a positive determinant in y-down pixel coordinates.
+   */
+  get flipped() {
+    const [[a, b], [c, d]] = this.imageCD;
+    return a * d - b * c < 0;
+  }
+
+  /**
+   * Sky position of the image center
+   * @returns {{ra: number, dec: number}}
+   */
+  get center() {
+    return this.pixelToWorld((this.imageWidth - 1) / 2, (this.imageHeight - 1) / 2);
+  }
+
+  /**
+   * Plain object for saving (restore with WCS.fromJSON)
+   */
+  toJSON() {
+    return {
+      crpix: [...this.crpix],
+      crval: [...this.crval],
+      cd: this.cd.map(row => [...row]),
+      sip: this.sip,
+      imageWidth: this.imageWidth,
+      imageHeight: this.imageHeight,
+      rowOrder: this.rowOrder
+    };
+  }
+}
+
+/**
+ * WCS of a visualization: its plate solution, or with only a pixel scale known, a WCS centered
+ * on an arbitrary sky position with north up (directions relative to the image center are
+ * right, but the sky positions are not real)
+ * @param {Object} data - Visualization data (image size, wcs or pixelScale)
+ * @returns {WCS|null} Null without a WCS or pixel scale
+ */
+export function visualizationWCS(data) {
+  if (data.wcs) {
+    return WCS.fromJSON(data.wcs);
+  }
+  if (data.pixelScale > 0) {
+    const { width, height } = data.image;
+    return WCS.fromScale({ centerRA: 0, centerDec: 0, scale: data.pixelScale, imageWidth: width, imageHeight: height });
+  }
+  return null;
+}
+
+/**
+ * Unit vector towards a sky position (equatorial, x toward RA 0h, z toward the north pole)
+ * @param {number} ra - Right Ascension in degrees
+ * @param {number} dec - Declination in degrees
+ * @returns {number[]} [x, y, z]
+ */
+export function skyVector(ra, dec) {
+  const a = ra * Math.PI / 180;
+  const d = dec * Math.PI / 180;
+  return [Math.cos(d) * Math.cos(a), Math.cos(d) * Math.sin(a), Math.sin(d)];
 }
 
 /**
@@ -120,6 +490,33 @@ export function decDMSToDegrees(degrees, arcminutes, arcseconds, isNegative = fa
   return sign * (Math.abs(degrees) + arcminutes / 60 + arcseconds / 3600);
 }
 
+/**
+ * Split RA in degrees into hours, minutes and seconds
+ * @param {number} raDeg - RA in degrees
+ * @returns {{hours: number, minutes: number, seconds: number}}
+ */
+export function degreesToRAHMS(raDeg) {
+  const totalSeconds = Math.round((((raDeg % 360) + 360) % 360) / 15 * 3600 * 100) / 100;
+  const hours = Math.floor(totalSeconds / 3600) % 24;
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.round((totalSeconds % 60) * 100) / 100;
+  return { hours, minutes, seconds };
+}
+
+/**
+ * Split Dec in degrees into sign, degrees, arcminutes and arcseconds
+ * @param {number} decDeg - Dec in degrees
+ * @returns {{sign: number, degrees: number, minutes: number, seconds: number}}
+ */
+export function degreesToDecDMS(decDeg) {
+  const sign = decDeg < 0 ? -1 : 1;
+  const totalSeconds = Math.round(Math.abs(decDeg) * 3600 * 10) / 10;
+  const degrees = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = Math.round((totalSeconds % 60) * 10) / 10;
+  return { sign, degrees, minutes, seconds };
+}
+
 /**
  * Parse RA string (various formats) to degrees
  * @param {string} raStr - RA string (e.g., "00 08 23.26" or "0.1398")
@@ -2,25 +2,156 @@
  * Student data entry form handling
  */
 
-import { lookupHIP, batchLookupHIP } from './catalog.js';
-import { raDecToPixel, parseRA, parseDec, estimateFOV, calculateScale } from './coordinate-converter.js';
-import { getCalibratedPixel, hasCalibrations } from './pixel-calibration.js';
+import { lookupHIP, batchLookupHIP, hasFullHIPCatalog } from './catalog.js';
+import { parseRA, parseDec, estimateFOV, calculateScale, raHMSToDegrees, decDMSToDegrees,
+         degreesToRAHMS, degreesToDecDMS, WCS } from './coordinate-converter.js';
+import { solvePlate } from './plate-solver.js';
+import { isFITSFile, readFITS, renderFITSToCanvas, approximatePointing } from './fits-reader.js';
+import { PixelPicker } from './pixel-picker.js';
+import { createProjectFile, readProjectFile, PROJECT_EXTENSION } from './project-file.js';
+import { initAutosave, scheduleAutosave, clearCurrentDraft } from './autosave.js';
+import { readSharedState } from './share-url.js';
+import { hashImageFile, getCalibrations } from './pixel-calibration.js';
+import { initCalibrationPanel, setCalibrationImage } from './calibration-panel.js';
+import { parallaxDistanceRangePc, escapeHtml, escapeCSVField, downloadBlob, TEMPERATURE_COLOR_STOPS } from './utils.js';
+import { createDistanceScale, applyDistanceScale } from './distance-scale.js';
+import { bvToTemperature, parallaxToDistancePc, absoluteMagnitude, luminositySolar } from './astrophysics.js';
 
 let starEntryCount = 0;
+let plateSolution = null; // Plate solution of the current front image (see plate-solver.js)
+let plateValuesEntered = false; // Center, scale or orientation edited by hand since the last solve or upload
+const fitsImages = { front: null, back: null }; // Decoded FITS uploads: {file, fits, canvas}
+let pixelPicker = null; // Pixel picker over the front image (created on first use)
+let pickerEntry = null; // Star entry that receives picked coordinates
+let lastVisualizationData = null; // Data of the last generated 3D model (saved with projects)
+const imageSourcePaths = new Map(); // fileKey -> site path of images loaded from the site (for share links)
 const starLabels = ['Alpheratz', 'A', 'B', 'C', 'D', 'E', 'F', 'G', 
                     'H', 'I', 'J', 'K', 'L', 'M', 'N', 'O',
                     'P', 'Q', 'R', 'S', 'T', 'U', 'V', 'W',
                     'X', 'Y', 'Z'];
 
+/**
+ * Read the FITS stretch settings from the Image Upload card
+ * @returns {{mode: string, blackPoint: number, whitePoint: number}}
+ */
+function readFITSStretch() {
+  const mode = document.getElementById('fits-stretch-mode')?.value || 'asinh';
+  const blackPoint = parseFloat(document.getElementById('fits-black-point')?.value);
+  const whitePoint = parseFloat(document.getElementById('fits-white-point')?.value);
+  return {
+    mode,
+    blackPoint: isNaN(blackPoint) ? 5 : blackPoint,
+    whitePoint: isNaN(whitePoint) ? 99.9 : whitePoint
+  };
+}
+
+/**
+ * Show a downscaled copy of a canvas in a preview image
+ */
+function showCanvasPreview(canvas, preview) {
+  const factor = Math.min(1, 800 / Math.max(canvas.width, canvas.height));
+  const thumbnail = document.createElement('canvas');
+  thumbnail.width = Math.round(canvas.width * factor);
+  thumbnail.height = Math.round(canvas.height * factor);
+  thumbnail.getContext('2d').drawImage(canvas, 0, 0, thumbnail.width, thumbnail.height);
+  preview.src = thumbnail.toDataURL('image/jpeg', 0.85);
+}
+
+/**
+ * Decode a FITS upload and render it with the current stretch
+ * @param {File} file - FITS file
+ * @param {string} key - 'front' or 'back'
+ * @returns {Promise<Object>} Entry stored in fitsImages
+ */
+async function loadFITSUpload(file, key) {
+  const fits = readFITS(await file.arrayBuffer());
+  const canvas = renderFITSToCanvas(fits, readFITSStretch());
+  fitsImages[key] = { file, fits, canvas };
+  document.getElementById('fits-stretch-controls').style.display = 'flex';
+  return fitsImages[key];
+}
+
+/**
+ * Re-render loaded FITS images after the stretch settings change
+ */
+function restretchFITSImages() {
+  const stretch = readFITSStretch();
+  [['front', 'image-preview'], ['back', 'back-image-preview']].forEach(([key, previewId]) => {
+    const entry = fitsImages[key];
+    if (!entry) return;
+    entry.canvas = renderFITSToCanvas(entry.fits, stretch);
+    showCanvasPreview(entry.canvas, document.getElementById(previewId));
+    if (key === 'front' && isPixelPickerOpen()) pixelPicker.setImage(entry.canvas);
+  });
+}
+
+/**
+ * Fill the Plate Solution card from a FITS header
+ * Uses the header WCS when present, otherwise the approximate pointing and scale
+ * @param {Object} fits - Result of readFITS
+ */
+function applyFITSHeaderPointing(fits) {
+  const wcs = WCS.fromFITSHeader(fits.header, fits.width, fits.height);
+  if (wcs) {
+    plateSolution = { wcs, matchedStars: [], rmsPixels: null, source: 'FITS header' };
+    plateValuesEntered = false;
+    showWCS(wcs);
+    setPlateSolveStatus(
+      `WCS read from FITS header: ${wcs.scale.toFixed(2)}"/px, rotation ${wcs.rotation.toFixed(1)}°` +
+      `${wcs.flipped ? ', mirrored' : ''}${wcs.sip ? ', with SIP distortion' : ''}`,
+      '#66cc66'
+    );
+    return;
+  }
+
+  const pointing = approximatePointing(fits.header);
+  if (pointing.centerRA !== null && pointing.centerDec !== null) {
+    setImageCenter(pointing.centerRA, pointing.centerDec);
+  }
+  if (pointing.scale !== null) {
+    document.getElementById('pixel-scale').value = pointing.scale.toFixed(3);
+  }
+  if (pointing.centerRA !== null || pointing.scale !== null) {
+    setPlateSolveStatus('Approximate center/scale read from FITS header - solve to refine');
+  }
+}
+
 /**
  * Handle image preview
  */
-function handleImagePreview(event) {
+async function handleImagePreview(event) {
   const file = event.target.files[0];
   const previewContainer = document.getElementById('image-preview-container');
   const preview = document.getElementById('image-preview');
   
-  if (file) {
+  // A plate solution only applies to the image it was solved from
+  plateSolution = null;
+  plateValuesEntered = false;
+  fitsImages.front = null;
+  setPlateSolveStatus('');
+  if (isPixelPickerOpen()) closePixelPicker();
+  setCalibrationImage(file || null);
+  
+  if (file && isFITSFile(file)) {
+    try {
+      const { fits, canvas } = await loadFITSUpload(file, 'front');
+      showCanvasPreview(canvas, preview);
+      previewContainer.style.display = 'block';
+      applyFITSHeaderPointing(fits);
+    } catch (error) {
+      console.error('Error reading FITS image:', error);
+      alert('Could not read FITS image: ' + error.message);
+      // Leave no unreadable file behind for generating or calibration
+      event.target.value = '';
+      setCalibrationImage(null);
+      previewContainer.style.display = 'none';
+      updateProgress('step-load-image', false);
+      checkFormValidation();
+      return;
+    }
+    updateProgress('step-load-image', true);
+    checkFormValidation();
+  } else if (file) {
     const reader = new FileReader();
     reader.onload = (e) => {
       preview.src = e.target.result;
@@ -39,12 +170,25 @@ function handleImagePreview(event) {
 /**
  * Handle back image preview
  */
-function handleBackImagePreview(event) {
+async function handleBackImagePreview(event) {
   const file = event.target.files[0];
   const previewContainer = document.getElementById('back-image-preview-container');
   const preview = document.getElementById('back-image-preview');
   
-  if (file) {
+  fitsImages.back = null;
+  
+  if (file && isFITSFile(file)) {
+    try {
+      const { canvas } = await loadFITSUpload(file, 'back');
+      showCanvasPreview(canvas, preview);
+      previewContainer.style.display = 'block';
+    } catch (error) {
+      console.error('Error reading FITS image:', error);
+      alert('Could not read FITS image: ' + error.message);
+      event.target.value = '';
+      previewContainer.style.display = 'none';
+    }
+  } else if (file) {
     const reader = new FileReader();
     reader.onload = (e) => {
       preview.src = e.target.result;
@@ -137,7 +281,9 @@ function checkFormValidation() {
     const decMinutesEl = document.getElementById('image-center-dec-minutes');
     const decSecondsEl = document.getElementById('image-center-dec-seconds');
     
-    if (raHoursEl && raMinutesEl && raSecondsEl && decDegreesEl && decMinutesEl && decSecondsEl) {
+    if (plateSolution) {
+      coordsComplete = true;
+    } else if (raHoursEl && raMinutesEl && raSecondsEl && decDegreesEl && decMinutesEl && decSecondsEl) {
       const raHours = raHoursEl.value;
       const raMinutes = raMinutesEl.value;
       const raSeconds = raSecondsEl.value;
@@ -145,8 +291,9 @@ function checkFormValidation() {
       const decMinutes = decMinutesEl.value;
       const decSeconds = decSecondsEl.value;
       
-      coordsComplete = !!(raHours && raMinutes && raSeconds && 
-                          decDegrees && decMinutes && decSeconds);
+      // Without a center, the plate is solved from the image at submit time
+      coordsComplete = imageLoaded || !!(raHours && raMinutes && raSeconds && 
+                                         decDegrees && decMinutes && decSeconds);
     } else {
       // Center coordinate elements don't exist - cannot complete RA/Dec conversion
       coordsComplete = false;
@@ -260,16 +407,34 @@ function parseCSVLine(line) {
   return result;
 }
 
+
 /**
- * Escape CSV field (add quotes if contains comma or quote)
+ * Read the raw field values of every star entry
+ * Pixel coordinates come from the input fields (preferred) or data attributes (from CSV import)
+ * @returns {Array<Object>} Field values as strings (label, hip, temperature, distancePc, magnitude,
+ *   pixelX, pixelY, parallaxMas, parallaxErrorMas, extinctionMag, pmRA, pmDec, RV)
  */
-function escapeCSVField(field) {
-  if (field == null) return '';
-  const str = String(field);
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return '"' + str.replace(/"/g, '""') + '"';
-  }
-  return str;
+function collectStarEntries() {
+  const fieldValue = (entry, selector) => {
+    const input = entry.querySelector(selector);
+    return input && input.value ? input.value.trim() : '';
+  };
+  
+  return [...document.querySelectorAll('.star-entry')].map(entry => ({
+    label: fieldValue(entry, '.star-label'),
+    hip: fieldValue(entry, '.hip-number'),
+    temperature: fieldValue(entry, '.temperature-k'),
+    distancePc: fieldValue(entry, '.distance-pc'),
+    magnitude: fieldValue(entry, '.magnitude'),
+    pixelX: fieldValue(entry, '.pixel-x') || entry.dataset.pixelX || '',
+    pixelY: fieldValue(entry, '.pixel-y') || entry.dataset.pixelY || '',
+    parallaxMas: fieldValue(entry, '.parallax-mas'),
+    parallaxErrorMas: fieldValue(entry, '.parallax-error-mas'),
+    extinctionMag: fieldValue(entry, '.extinction-mag'),
+    pmRA: fieldValue(entry, '.pm-ra'),
+    pmDec: fieldValue(entry, '.pm-dec'),
+    RV: fieldValue(entry, '.radial-velocity')
+  }));
 }
 
 /**
@@ -284,37 +449,7 @@ async function exportToCSV() {
     const backImage = backImageFile ? backImageFile.name : '';
     
     // Get star data
-    const starEntries = document.querySelectorAll('.star-entry');
-    const stars = [];
-    
-    for (const entry of starEntries) {
-      const label = entry.querySelector('.star-label').value.trim();
-      const hip = entry.querySelector('.hip-number').value.trim();
-      const distancePc = entry.querySelector('.distance-pc').value.trim();
-      const magnitudeInput = entry.querySelector('.magnitude');
-      const magnitude = magnitudeInput && magnitudeInput.value ? magnitudeInput.value.trim() : '';
-      
-      const tempInput = entry.querySelector('.temperature-k');
-      const temperature = tempInput && tempInput.value ? tempInput.value.trim() : '';
-      
-      // Get pixel coordinates from input fields (preferred) or data attributes (from CSV import)
-      const pixelXInput = entry.querySelector('.pixel-x');
-      const pixelYInput = entry.querySelector('.pixel-y');
-      const pixelX = (pixelXInput && pixelXInput.value.trim()) ? pixelXInput.value.trim() : (entry.dataset.pixelX || '');
-      const pixelY = (pixelYInput && pixelYInput.value.trim()) ? pixelYInput.value.trim() : (entry.dataset.pixelY || '');
-      
-      if (label && hip && distancePc) {
-        stars.push({
-          label,
-          hip,
-          temperature,
-          distancePc,
-          magnitude,
-          pixelX,
-          pixelY
-        });
-      }
-    }
+    const stars = collectStarEntries().filter(star => star.label && star.hip && star.distancePc);
     
     if (stars.length === 0) {
       alert('No stars to export. Please add at least one star.');
@@ -325,7 +460,9 @@ async function exportToCSV() {
     const headers = [
       'FrontImage', 'BackImage',
       'Label', 'HIP', 'Temperature_K', 'Distance_pc', 'Magnitude',
-      'PixelX', 'PixelY'
+      'PixelX', 'PixelY',
+      'Parallax_mas', 'ParallaxError_mas', 'Extinction_mag',
+      'PmRA_masyr', 'PmDec_masyr', 'RV_kms'
     ];
     
     const csvLines = [headers.map(escapeCSVField).join(',')];
@@ -335,7 +472,9 @@ async function exportToCSV() {
     const firstRow = [
       frontImage, backImage,
       firstStar.label, firstStar.hip, firstStar.temperature, firstStar.distancePc, firstStar.magnitude,
-      firstStar.pixelX, firstStar.pixelY
+      firstStar.pixelX, firstStar.pixelY,
+      firstStar.parallaxMas, firstStar.parallaxErrorMas, firstStar.extinctionMag,
+      firstStar.pmRA, firstStar.pmDec, firstStar.RV
     ];
     csvLines.push(firstRow.map(escapeCSVField).join(','));
     
@@ -345,28 +484,22 @@ async function exportToCSV() {
       const row = [
         '', '', // Images (empty for subsequent stars)
         star.label, star.hip, star.temperature, star.distancePc, star.magnitude,
-        star.pixelX, star.pixelY
+        star.pixelX, star.pixelY,
+        star.parallaxMas, star.parallaxErrorMas, star.extinctionMag,
+        star.pmRA, star.pmDec, star.RV
       ];
       csvLines.push(row.map(escapeCSVField).join(','));
     }
     
     // Download CSV
     const csvContent = csvLines.join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
     
     // Use first star's label (or object name) for filename
     const csvFilename = stars.length > 0 && stars[0].label 
       ? `${stars[0].label}.csv` 
       : 'star_data.csv';
     
-    link.setAttribute('href', url);
-    link.setAttribute('download', csvFilename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadBlob(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), csvFilename);
     
   } catch (error) {
     console.error('Error exporting CSV:', error);
@@ -374,6 +507,249 @@ async function exportToCSV() {
   }
 }
 
+/**
+ * Project files
+ * Save Project bundles the images, form contents, the generated 3D model and the view
+ * into a .sf3d file; Open Project restores all of them
+ */
+
+/**
+ * Collect everything in the form that a project needs to restore it
+ * @returns {Object} Serializable form state
+ */
+function collectFormState() {
+  const fieldValue = (id) => document.getElementById(id)?.value ?? '';
+  
+  return {
+    stars: collectStarEntries(),
+    imageCenter: {
+      raHours: fieldValue('image-center-ra-hours'),
+      raMinutes: fieldValue('image-center-ra-minutes'),
+      raSeconds: fieldValue('image-center-ra-seconds'),
+      decSign: fieldValue('image-center-dec-sign'),
+      decDegrees: fieldValue('image-center-dec-degrees'),
+      decMinutes: fieldValue('image-center-dec-minutes'),
+      decSeconds: fieldValue('image-center-dec-seconds')
+    },
+    pixelScale: fieldValue('pixel-scale'),
+    rotation: fieldValue('image-rotation'),
+    mirrored: !!document.getElementById('image-mirrored')?.checked,
+    fovWidthDeg: window.currentFOVWidthDeg ?? null,
+    fovHeightDeg: window.currentFOVHeightDeg ?? null,
+    fitsStretch: readFITSStretch(),
+    plateSolution: plateSolution
+      ? {
+        wcs: plateSolution.wcs.toJSON(),
+        matchedStars: plateSolution.matchedStars,
+        rmsPixels: plateSolution.rmsPixels,
+        source: plateSolution.source
+      }
+      : null
+  };
+}
+
+/**
+ * Put an image file into a file input and run its preview handler
+ * @param {string} inputId - File input ID
+ * @param {File|null} file - Image file (null clears the input)
+ * @param {Function} handler - Preview handler of the input
+ */
+async function setImageInput(inputId, file, handler) {
+  const input = document.getElementById(inputId);
+  if (!input) return;
+  
+  const dataTransfer = new DataTransfer();
+  if (file) dataTransfer.items.add(file);
+  input.files = dataTransfer.files;
+  await handler({ target: input });
+}
+
+/**
+ * Download the current work as a .sf3d project file
+ */
+async function saveProject() {
+  const frontImage = document.getElementById('image-upload').files[0];
+  const backImage = document.getElementById('back-image-upload')?.files[0] || null;
+  
+  if (!frontImage) {
+    alert('Please upload a front image before saving a project');
+    return;
+  }
+  
+  try {
+    const hasModel = !!lastVisualizationData && !!window.getViewState;
+    const blob = await createProjectFile({
+      form: collectFormState(),
+      frontImage,
+      backImage,
+      visualization: hasModel ? lastVisualizationData : null,
+      view: hasModel ? window.getViewState() : null
+    });
+    
+    const firstLabel = collectStarEntries().find(star => star.label)?.label;
+    const baseName = (firstLabel || frontImage.name.replace(/\.[^.]+$/, '') || 'project').replace(/[\\/:*?"<>|]/g, '_');
+    downloadBlob(blob, `${baseName}${PROJECT_EXTENSION}`);
+    await clearCurrentDraft();
+  } catch (error) {
+    console.error('Error saving project:', error);
+    alert('Error saving project: ' + error.message);
+  }
+}
+
+/**
+ * Restore saved work: form, images, plate solution, and the 3D model with its view if present
+ * Used for project files and autosaved drafts
+ * @param {Object} project
+ * @param {Object} project.form - Form state from collectFormState
+ * @param {File} project.frontImage - Front image (may be null for drafts)
+ * @param {File|null} project.backImage - Back image
+ * @param {Object|null} project.visualization - 3D model data
+ * @param {Object|null} project.view - 3D view state
+ */
+async function restoreProjectState(project) {
+  const { form } = project;
+  
+  if (isPixelPickerOpen()) closePixelPicker();
+  
+  await populateFormFromData({
+    stars: form.stars || [],
+    imageCenter: form.imageCenter,
+    pixelScale: form.pixelScale === '' ? undefined : parseFloat(form.pixelScale),
+    fovWidthDeg: form.fovWidthDeg,
+    fovHeightDeg: form.fovHeightDeg
+  });
+  
+  // The stretch must be set before FITS images are rendered
+  if (form.fitsStretch) {
+    document.getElementById('fits-stretch-mode').value = form.fitsStretch.mode;
+    document.getElementById('fits-black-point').value = form.fitsStretch.blackPoint;
+    document.getElementById('fits-white-point').value = form.fitsStretch.whitePoint;
+  }
+  
+  await setImageInput('image-upload', project.frontImage, handleImagePreview);
+  await setImageInput('back-image-upload', project.backImage, handleBackImagePreview);
+  
+  // Loading the front image resets the plate fields, so restore them afterwards
+  document.getElementById('pixel-scale').value = form.pixelScale ?? '';
+  document.getElementById('image-rotation').value = form.rotation ?? '';
+  document.getElementById('image-mirrored').checked = !!form.mirrored;
+  if (form.imageCenter) {
+    Object.entries({
+      'image-center-ra-hours': form.imageCenter.raHours,
+      'image-center-ra-minutes': form.imageCenter.raMinutes,
+      'image-center-ra-seconds': form.imageCenter.raSeconds,
+      'image-center-dec-sign': form.imageCenter.decSign || '1',
+      'image-center-dec-degrees': form.imageCenter.decDegrees,
+      'image-center-dec-minutes': form.imageCenter.decMinutes,
+      'image-center-dec-seconds': form.imageCenter.decSeconds
+    }).forEach(([id, value]) => {
+      document.getElementById(id).value = value ?? '';
+    });
+  }
+  
+  plateValuesEntered = false;
+  if (form.plateSolution) {
+    plateSolution = { ...form.plateSolution, wcs: WCS.fromJSON(form.plateSolution.wcs) };
+    setPlateSolveStatus(`Plate solution restored from project (${plateSolution.source})`, '#66cc66');
+  } else {
+    plateSolution = null;
+    setPlateSolveStatus('');
+  }
+  
+  checkFormValidation();
+  
+  if (project.visualization && project.frontImage && window.initVisualization) {
+    const visualizationData = project.visualization;
+    const frontPrepared = await prepareImage(project.frontImage, 'front');
+    visualizationData.image.url = URL.createObjectURL(frontPrepared.blob);
+    if (visualizationData.backImage && project.backImage) {
+      const backPrepared = await prepareImage(project.backImage, 'back');
+      visualizationData.backImage.url = URL.createObjectURL(backPrepared.blob);
+    } else {
+      delete visualizationData.backImage;
+    }
+    
+    lastVisualizationData = visualizationData;
+    await window.initVisualization(visualizationData, project.view);
+  }
+}
+
+/**
+ * Open a .sf3d project file
+ * @param {File} file - Project file
+ */
+async function openProject(file) {
+  await restoreProjectState(await readProjectFile(file));
+}
+
+/**
+ * Current form contents and images for autosave
+ */
+function collectDraft() {
+  return {
+    form: collectFormState(),
+    frontImage: document.getElementById('image-upload').files[0] || null,
+    backImage: document.getElementById('back-image-upload')?.files[0] || null
+  };
+}
+
+/**
+ * Handle the Open Project file input
+ */
+async function handleProjectUpload(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  
+  try {
+    await openProject(file);
+    console.log(`Opened project ${file.name}`);
+  } catch (error) {
+    console.error('Error opening project:', error);
+    alert('Error opening project: ' + error.message);
+  }
+}
+
+/**
+ * Identify a file across file inputs (inputs may hand back a different File object)
+ */
+function fileKey(file) {
+  return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+/**
+ * Rebuild the 3D model of a share link (#s=...), skipping data entry
+ * Images are fetched from the paths in the link
+ * @param {string} hash - location.hash
+ */
+export async function openSharedView(hash) {
+  try {
+    const { data, view } = await readSharedState(hash);
+    
+    const loadSharedImage = async (image, key) => {
+      const response = await fetch(image.path);
+      if (!response.ok) {
+        throw new Error(`Image not found: ${image.path}`);
+      }
+      const blob = await response.blob();
+      const file = new File([blob], image.path.split('/').pop(), { type: blob.type });
+      const prepared = await prepareImage(file, key);
+      image.url = URL.createObjectURL(prepared.blob);
+    };
+    
+    await loadSharedImage(data.image, 'front');
+    if (data.backImage) {
+      await loadSharedImage(data.backImage, 'back');
+    }
+    
+    lastVisualizationData = data;
+    await window.initVisualization(data, view);
+  } catch (error) {
+    console.error('Error opening shared view:', error);
+    alert('Could not open the shared view: ' + error.message);
+  }
+}
+
 /**
  * Load image from filename and set in form
  * @param {string} filename - Image filename
@@ -393,6 +769,7 @@ async function loadImageFromFilename(filename, isBack = false, baseDir = 'assets
     
     const blob = await response.blob();
     const file = new File([blob], filename, { type: blob.type });
+    imageSourcePaths.set(fileKey(file), imageUrl);
     
     // Create DataTransfer and set file
     const dataTransfer = new DataTransfer();
@@ -426,6 +803,7 @@ async function populateFormFromData(data) {
     // Store pixel scale and FOV globally if provided (from image solver)
     if (data.pixelScale !== undefined && data.pixelScale !== null && !isNaN(data.pixelScale)) {
       window.currentPixelScale = data.pixelScale;
+      document.getElementById('pixel-scale').value = data.pixelScale;
       console.log(`Stored pixel scale from image solver: ${data.pixelScale} arcsec/pixel`);
     }
     if (data.fovWidthDeg !== undefined && data.fovWidthDeg !== null && !isNaN(data.fovWidthDeg)) {
@@ -486,35 +864,7 @@ async function populateFormFromData(data) {
         entry.dataset.pixelY = star.pixelY.toString();
       }
       
-      entry.innerHTML = `
-        <div class="form-group star-label-group">
-          <label>Star Label:</label>
-          <input type="text" class="star-label" value="${escapeHtml(star.label)}">
-          <div class="pixel-coords-inline">
-            <input type="number" class="pixel-x" placeholder="X" step="1" style="width: 70px;" value="${star.pixelX !== undefined ? star.pixelX : ''}">
-            <input type="number" class="pixel-y" placeholder="Y" step="1" style="width: 70px;" value="${star.pixelY !== undefined ? star.pixelY : ''}">
-          </div>
-        </div>
-        <div class="form-group">
-          <label>HIP Number:</label>
-          <input type="number" class="hip-number" value="${star.hip}" required>
-        </div>
-        <div class="form-group">
-          <label>Temperature (K):</label>
-          <div class="temperature-wrapper">
-            <div class="temperature-color-preview" style="background-color: ${hexColor};"></div>
-            <input type="number" class="temperature-k" placeholder="e.g., 9500" min="2000" max="50000" step="10" style="width: 120px;" value="${temp || ''}">
-          </div>
-        </div>
-        <div class="form-group">
-          <label>Distance (pc):</label>
-          <input type="number" class="distance-pc" step="0.01" value="${star.distancePc}" required>
-        </div>
-        <div class="form-group">
-          <label>App. Mag.:</label>
-          <input type="number" class="magnitude" step="0.1" value="${star.magnitude || ''}">
-        </div>
-      `;
+      entry.innerHTML = starEntryHTML({ ...star, temperature: temp || '' });
       
       container.appendChild(entry);
       starEntryCount++;
@@ -586,6 +936,9 @@ async function populateFormFromData(data) {
     checkFormValidation();
     updateRemoveButton();
     
+    // Flag imported values that disagree with the catalog
+    refreshAllCatalogMatches();
+    
   } catch (error) {
     console.error('Error populating form:', error);
     throw error;
@@ -593,12 +946,267 @@ async function populateFormFromData(data) {
 }
 
 /**
- * Escape HTML special characters
+ * Build the inner HTML for a star entry row
+ * @param {Object} star - Field values (label, hip, temperature, distancePc, magnitude,
+ *   pixelX, pixelY, parallaxMas, parallaxErrorMas, extinctionMag, pmRA, pmDec, RV); missing values
+ *   leave the field empty
+ * @param {Object} placeholders - Example values shown in empty fields
+ * @returns {string} HTML for the row contents
+ */
+function starEntryHTML(star = {}, placeholders = {}) {
+  const value = (v) => (v === undefined || v === null ? '' : escapeHtml(String(v)));
+  const example = {
+    label: 'e.g., Alpheratz',
+    hip: '677',
+    distancePc: '29.8',
+    ...placeholders
+  };
+
+  return `
+    <div class="form-group star-label-group">
+      <label>Star Label:</label>
+      <input type="text" class="star-label" placeholder="${value(example.label)}" value="${value(star.label)}">
+      <div class="pixel-coords-inline">
+        <span style="font-size: 11px; color: #999; margin-right: 4px;">Pixels:</span>
+        <input type="number" class="pixel-x" placeholder="X" step="0.1" style="width: 70px;" value="${value(star.pixelX)}">
+        <input type="number" class="pixel-y" placeholder="Y" step="0.1" style="width: 70px;" value="${value(star.pixelY)}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label>HIP Number:</label>
+      <input type="number" class="hip-number" placeholder="e.g., ${value(example.hip)}" value="${value(star.hip)}" required>
+      <button type="button" class="catalog-fill-btn" hidden>Fill from catalog</button>
+    </div>
+    <div class="form-group">
+      <label>Temperature (K):</label>
+      <div class="temperature-wrapper">
+        <div class="temperature-color-preview" style="background: #444;"></div>
+        <input type="number" class="temperature-k" placeholder="e.g., 9500" min="2000" max="50000" step="10" style="width: 120px;" value="${value(star.temperature)}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label>Distance (pc):</label>
+      <input type="number" class="distance-pc" step="0.01" placeholder="e.g., ${value(example.distancePc)}" value="${value(star.distancePc)}" required>
+    </div>
+    <div class="form-group">
+      <label>App. Mag.:</label>
+      <input type="number" class="magnitude" step="0.1" placeholder="e.g., 2.1" value="${value(star.magnitude)}">
+    </div>
+    <div class="form-group">
+      <label>Parallax (mas):</label>
+      <div class="parallax-inline">
+        <input type="number" class="parallax-mas" step="0.01" placeholder="π" value="${value(star.parallaxMas)}">
+        <span>±</span>
+        <input type="number" class="parallax-error-mas" step="0.01" placeholder="σ" value="${value(star.parallaxErrorMas)}">
+      </div>
+    </div>
+    <div class="form-group">
+      <label title="Dimming by interstellar dust in the V band; leave empty for none">Extinction A<sub>V</sub>:</label>
+      <input type="number" class="extinction-mag" step="0.01" min="0" placeholder="0" value="${value(star.extinctionMag)}">
+    </div>
+    <div class="form-group">
+      <label title="Proper motion in RA (including cos Dec) and Dec in mas/yr, and radial velocity in km/s (positive moving away)">Motion:</label>
+      <div class="motion-inline">
+        <input type="number" class="pm-ra" step="0.01" placeholder="μα*" value="${value(star.pmRA)}">
+        <input type="number" class="pm-dec" step="0.01" placeholder="μδ" value="${value(star.pmDec)}">
+        <input type="number" class="radial-velocity" step="0.1" placeholder="RV" value="${value(star.RV)}">
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Catalog auto-fill
+ * When a HIP number is entered, the catalog values for distance, magnitude, temperature
+ * and parallax are offered for the empty fields of that star entry. Values the student
+ * already entered are never overwritten, but are flagged when they disagree with the catalog.
+ */
+
+const catalogMatches = new WeakMap(); // star entry element -> catalog lookup result
+
+// Allowed disagreement before a student value is flagged
+const CATALOG_TOLERANCES = {
+  distancePc: { relative: 0.05 },
+  magnitude: { absolute: 0.2 },
+  temperature: { relative: 0.10 }
+};
+
+const CATALOG_FIELDS = [
+  { key: 'distancePc', selector: '.distance-pc', unit: 'pc' },
+  { key: 'magnitude', selector: '.magnitude', unit: 'mag' },
+  { key: 'temperature', selector: '.temperature-k', unit: 'K' },
+  { key: 'parallaxMas', selector: '.parallax-mas', unit: 'mas' },
+  { key: 'parallaxErrorMas', selector: '.parallax-error-mas', unit: 'mas' },
+  { key: 'pmRA', selector: '.pm-ra', unit: 'mas/yr' },
+  { key: 'pmDec', selector: '.pm-dec', unit: 'mas/yr' }
+];
+
+/**
+ * Derive form values from a catalog lookup result
+ * @param {Object} catalogEntry - Result of lookupHIP
+ * @returns {Object} Values keyed like CATALOG_FIELDS (null when the catalog has no data)
+ */
+function catalogFormValues(catalogEntry) {
+  const distancePc = parallaxToDistancePc(catalogEntry.parallax);
+  const temperature = bvToTemperature(catalogEntry.bv);
+
+  return {
+    distancePc: distancePc !== null ? Math.round(distancePc * 100) / 100 : null,
+    magnitude: catalogEntry.vmag,
+    temperature: temperature !== null ? Math.round(temperature / 10) * 10 : null,
+    parallaxMas: catalogEntry.parallax,
+    parallaxErrorMas: catalogEntry.parallaxError,
+    pmRA: catalogEntry.pmRA ?? null,
+    pmDec: catalogEntry.pmDec ?? null
+  };
+}
+
+/**
+ * Check whether a student value disagrees with the catalog value
+ */
+function isCatalogMismatch(key, studentValue, catalogValue) {
+  const tolerance = CATALOG_TOLERANCES[key];
+  if (!tolerance || catalogValue === null || catalogValue === undefined) return false;
+
+  const difference = Math.abs(studentValue - catalogValue);
+  if (tolerance.relative !== undefined) {
+    return difference > tolerance.relative * Math.abs(catalogValue);
+  }
+  return difference > tolerance.absolute;
+}
+
+/**
+ * Update mismatch flags and the fill button for a star entry from its catalog match
+ * @param {HTMLElement} entry - Star entry element
  */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function updateCatalogState(entry) {
+  const catalogEntry = catalogMatches.get(entry);
+  const values = catalogEntry ? catalogFormValues(catalogEntry) : {};
+  const fillable = [];
+
+  CATALOG_FIELDS.forEach(({ key, selector, unit }) => {
+    const input = entry.querySelector(selector);
+    if (!input) return;
+
+    const catalogValue = values[key];
+    const studentValue = input.value.trim() === '' ? null : parseFloat(input.value);
+
+    if (studentValue === null || isNaN(studentValue)) {
+      if (catalogValue !== null && catalogValue !== undefined) {
+        fillable.push(`${catalogValue} ${unit}`);
+      }
+      input.classList.remove('catalog-mismatch');
+      input.removeAttribute('title');
+    } else if (isCatalogMismatch(key, studentValue, catalogValue)) {
+      input.classList.add('catalog-mismatch');
+      input.title = `Catalog value for HIP ${catalogEntry.hip}: ${catalogValue} ${unit}`;
+    } else {
+      input.classList.remove('catalog-mismatch');
+      input.removeAttribute('title');
+    }
+  });
+
+  const button = entry.querySelector('.catalog-fill-btn');
+  if (button) {
+    button.hidden = fillable.length === 0;
+    button.title = fillable.length > 0 ? `Fill empty fields with: ${fillable.join(', ')}` : '';
+  }
+}
+
+/**
+ * Look up the HIP number of a star entry and refresh its catalog state
+ * @param {HTMLElement} entry - Star entry element
+ */
+async function refreshCatalogMatch(entry) {
+  const hipInput = entry.querySelector('.hip-number');
+  if (!hipInput) return;
+
+  const hip = parseInt(hipInput.value, 10);
+  catalogMatches.delete(entry);
+  hipInput.classList.remove('catalog-mismatch', 'catalog-unknown');
+  hipInput.removeAttribute('title');
+
+  if (!isNaN(hip) && hip > 0) {
+    const catalogEntry = await lookupHIP(hip);
+    const fullCatalog = await hasFullHIPCatalog();
+
+    // Ignore the result if the HIP number changed while the shard was loading
+    if (parseInt(hipInput.value, 10) !== hip) return;
+
+    if (catalogEntry) {
+      catalogMatches.set(entry, catalogEntry);
+    } else if (fullCatalog) {
+      hipInput.classList.add('catalog-mismatch');
+      hipInput.title = `HIP ${hip} was not found in the catalog`;
+    } else {
+      // The built-in catalog only has a few stars, so a missing number says nothing about the input
+      hipInput.classList.add('catalog-unknown');
+      hipInput.title = `HIP ${hip} is not in the built-in catalog (full catalog not built: run converter/build-hip-catalog.js)`;
+    }
+  }
+
+  updateCatalogState(entry);
+}
+
+/**
+ * Refresh catalog state for every star entry (after programmatic form changes)
+ */
+function refreshAllCatalogMatches() {
+  document.querySelectorAll('#stars-container .star-entry').forEach(entry => {
+    refreshCatalogMatch(entry);
+  });
+}
+
+/**
+ * Fill the empty fields of a star entry with catalog values
+ * @param {HTMLElement} entry - Star entry element
+ */
+function fillFromCatalog(entry) {
+  const catalogEntry = catalogMatches.get(entry);
+  if (!catalogEntry) return;
+
+  const values = catalogFormValues(catalogEntry);
+  CATALOG_FIELDS.forEach(({ key, selector }) => {
+    const input = entry.querySelector(selector);
+    if (!input || input.value.trim() !== '') return;
+    if (values[key] === null || values[key] === undefined) return;
+
+    input.value = values[key];
+    // Let existing listeners (temperature preview, validation) react
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+
+  updateCatalogState(entry);
+}
+
+/**
+ * Set up catalog lookups on HIP number entry (delegated, so added rows are covered)
+ */
+function setupCatalogAutofill() {
+  const container = document.getElementById('stars-container');
+  if (!container) return;
+
+  const lookupTimers = new WeakMap();
+
+  container.addEventListener('input', (e) => {
+    const entry = e.target.closest('.star-entry');
+    if (!entry) return;
+
+    if (e.target.classList.contains('hip-number')) {
+      clearTimeout(lookupTimers.get(entry));
+      lookupTimers.set(entry, setTimeout(() => refreshCatalogMatch(entry), 400));
+    } else if (catalogMatches.has(entry)) {
+      updateCatalogState(entry);
+    }
+  });
+
+  container.addEventListener('click', (e) => {
+    const button = e.target.closest('.catalog-fill-btn');
+    if (!button) return;
+    e.preventDefault();
+    fillFromCatalog(button.closest('.star-entry'));
+  });
 }
 
 /**
@@ -626,7 +1234,9 @@ async function importFromCSV(csvText, baseDir = 'assets/Examples', csvFilename =
     const optionalHeaders = [
       'ImageCenterRA_H', 'ImageCenterRA_M', 'ImageCenterRA_S',
       'ImageCenterDec_Sign', 'ImageCenterDec_D', 'ImageCenterDec_M', 'ImageCenterDec_S',
-      'PixelScale_ArcsecPerPixel', 'FOV_Width_Deg', 'FOV_Height_Deg'
+      'PixelScale_ArcsecPerPixel', 'FOV_Width_Deg', 'FOV_Height_Deg',
+      'Parallax_mas', 'ParallaxError_mas', 'Extinction_mag',
+      'PmRA_masyr', 'PmDec_masyr', 'RV_kms'
     ];
     
     const headerMap = {};
@@ -705,6 +1315,20 @@ async function importFromCSV(csvText, baseDir = 'assets/Examples', csvFilename =
       const pixelX = headerMap['PixelX'] !== undefined ? row[headerMap['PixelX']] : null;
       const pixelY = headerMap['PixelY'] !== undefined ? row[headerMap['PixelY']] : null;
       
+      // Read parallax and its 1-sigma error if available (milliarcseconds)
+      const parallaxMas = headerMap['Parallax_mas'] !== undefined ? row[headerMap['Parallax_mas']] : null;
+      const parallaxErrorMas = headerMap['ParallaxError_mas'] !== undefined ? row[headerMap['ParallaxError_mas']] : null;
+      
+      // Read interstellar extinction if available (magnitudes)
+      const extinctionMag = headerMap['Extinction_mag'] !== undefined ? row[headerMap['Extinction_mag']] : null;
+      
+      // Read proper motion (mas/yr) and radial velocity (km/s) if available
+      const motion = {
+        pmRA: headerMap['PmRA_masyr'] !== undefined ? row[headerMap['PmRA_masyr']] : null,
+        pmDec: headerMap['PmDec_masyr'] !== undefined ? row[headerMap['PmDec_masyr']] : null,
+        RV: headerMap['RV_kms'] !== undefined ? row[headerMap['RV_kms']] : null
+      };
+      
       if (label && hip && distancePc) {
         const starData = {
           label: label.trim(),
@@ -720,6 +1344,22 @@ async function importFromCSV(csvText, baseDir = 'assets/Examples', csvFilename =
           starData.pixelY = parseFloat(pixelY.trim());
         }
         
+        // Add parallax if present
+        if (parallaxMas && parallaxMas.trim()) {
+          starData.parallaxMas = parseFloat(parallaxMas.trim());
+        }
+        if (parallaxErrorMas && parallaxErrorMas.trim()) {
+          starData.parallaxErrorMas = parseFloat(parallaxErrorMas.trim());
+        }
+        if (extinctionMag && extinctionMag.trim()) {
+          starData.extinctionMag = parseFloat(extinctionMag.trim());
+        }
+        Object.entries(motion).forEach(([key, raw]) => {
+          if (raw && raw.trim()) {
+            starData[key] = parseFloat(raw.trim());
+          }
+        });
+        
         stars.push(starData);
       }
     }
@@ -847,9 +1487,30 @@ export function initDataEntry() {
     backImageUpload.addEventListener('change', handleBackImagePreview);
   }
   
+  // Re-render FITS previews when the stretch changes
+  const debouncedRestretch = debounce(restretchFITSImages, 300);
+  ['fits-stretch-mode', 'fits-black-point', 'fits-white-point'].forEach(id => {
+    const control = document.getElementById(id);
+    if (control) {
+      control.addEventListener(control.tagName === 'SELECT' ? 'change' : 'input', debouncedRestretch);
+    }
+  });
+  
   // Set up form validation (will use debouncing)
   setupFormValidation();
   
+  // Offer catalog values when a HIP number is entered
+  setupCatalogAutofill();
+  
+  // Plate solving for stars without pixel coordinates
+  setupPlateSolver();
+  
+  // Click-to-pick star pixel coordinates
+  setupPixelPicker();
+  
+  // Saved pixel calibrations for the current front image
+  initCalibrationPanel({ getFormPixels: readFormPixels });
+  
   // Check if we already have data loaded
   const urlParams = new URLSearchParams(window.location.search);
   if (urlParams.get('data') === 'loaded') {
@@ -865,6 +1526,18 @@ export function initDataEntry() {
     exportCsvBtn.addEventListener('click', exportToCSV);
   }
   
+  // Project files
+  const saveProjectBtn = document.getElementById('save-project');
+  const openProjectBtn = document.getElementById('open-project');
+  const projectUpload = document.getElementById('project-upload');
+  if (saveProjectBtn) {
+    saveProjectBtn.addEventListener('click', saveProject);
+  }
+  if (openProjectBtn && projectUpload) {
+    openProjectBtn.addEventListener('click', () => projectUpload.click());
+    projectUpload.addEventListener('change', handleProjectUpload);
+  }
+  
   // Demo library dropdown
   if (demoSelect) {
     scanDemoLibrary(); // Scan for available examples
@@ -899,6 +1572,12 @@ export function initDataEntry() {
   
   form.addEventListener('submit', handleFormSubmit);
   
+  // Autosave the form as a draft and offer to restore earlier sessions
+  form.addEventListener('input', scheduleAutosave);
+  form.addEventListener('change', scheduleAutosave);
+  new MutationObserver(scheduleAutosave).observe(document.getElementById('stars-container'), { childList: true });
+  initAutosave({ collect: collectDraft, restore: restoreProjectState });
+  
   // Set up Generate button in header (outside form) to submit form
   const generateBtnInHeader = document.getElementById('generate-visualization');
   if (generateBtnInHeader && generateBtnInHeader.closest('form') === null) {
@@ -972,36 +1651,7 @@ function addStarEntry() {
   
   const entry = document.createElement('div');
   entry.className = 'star-entry';
-  entry.innerHTML = `
-    <div class="form-group star-label-group">
-      <label>Star Label:</label>
-      <input type="text" class="star-label" placeholder="${label}" value="${label}">
-      <div class="pixel-coords-inline">
-        <span style="font-size: 11px; color: #999; margin-right: 4px;">Pixels:</span>
-        <input type="number" class="pixel-x" placeholder="X" step="1" style="width: 70px;">
-        <input type="number" class="pixel-y" placeholder="Y" step="1" style="width: 70px;">
-      </div>
-    </div>
-    <div class="form-group">
-      <label>HIP Number:</label>
-      <input type="number" class="hip-number" placeholder="e.g., 544" required>
-    </div>
-    <div class="form-group">
-      <label>Temperature (K):</label>
-      <div class="temperature-wrapper">
-        <div class="temperature-color-preview" style="background: #444;"></div>
-        <input type="number" class="temperature-k" placeholder="e.g., 9500" min="2000" max="50000" step="10" style="width: 120px;">
-      </div>
-    </div>
-    <div class="form-group">
-      <label>Distance (pc):</label>
-      <input type="number" class="distance-pc" step="0.01" placeholder="e.g., 13.8" required>
-    </div>
-    <div class="form-group">
-      <label>App. Mag.:</label>
-      <input type="number" class="magnitude" step="0.1" placeholder="e.g., 2.1">
-    </div>
-  `;
+  entry.innerHTML = starEntryHTML({ label }, { label, hip: '544', distancePc: '13.8' });
   
   container.appendChild(entry);
   starEntryCount++;
@@ -1132,35 +1782,10 @@ async function loadSampleData() {
   sampleStars.forEach((star, index) => {
     const entry = document.createElement('div');
     entry.className = 'star-entry';
-    entry.innerHTML = `
-      <div class="form-group star-label-group">
-        <label>Star Label:</label>
-        <input type="text" class="star-label" placeholder="${star.label}" value="${star.label}">
-        <div class="pixel-coords-inline">
-          <input type="number" class="pixel-x" placeholder="X" step="1" style="width: 70px;">
-          <input type="number" class="pixel-y" placeholder="Y" step="1" style="width: 70px;">
-        </div>
-      </div>
-      <div class="form-group">
-        <label>HIP Number:</label>
-        <input type="number" class="hip-number" placeholder="e.g., ${star.hip}" value="${star.hip}" required>
-      </div>
-      <div class="form-group">
-        <label>Temperature (K):</label>
-        <div class="temperature-wrapper">
-          <div class="temperature-color-preview" style="background: #444;"></div>
-          <input type="number" class="temperature-k" placeholder="e.g., 9500" min="2000" max="50000" step="10" style="width: 120px;" value="${index === 0 ? '9500' : ''}">
-        </div>
-      </div>
-      <div class="form-group">
-        <label>Distance (pc):</label>
-        <input type="number" class="distance-pc" step="0.01" placeholder="e.g., ${star.distance}" value="${star.distance}" required>
-      </div>
-      <div class="form-group">
-        <label>App. Mag.:</label>
-        <input type="number" class="magnitude" step="0.1" placeholder="e.g., 2.1">
-      </div>
-    `;
+    entry.innerHTML = starEntryHTML(
+      { label: star.label, hip: star.hip, distancePc: star.distance, temperature: index === 0 ? '9500' : '' },
+      { label: star.label, hip: star.hip, distancePc: star.distance }
+    );
     
     container.appendChild(entry);
     starEntryCount++;
@@ -1192,6 +1817,427 @@ async function loadSampleData() {
   checkFormValidation();
 }
 
+/**
+ * Read the approximate image center from the Plate Solution fields
+ * @returns {{ra: number, dec: number}|null} Center in degrees, or null if the fields are empty
+ * @throws {Error} If the fields are filled in but out of range
+ */
+function readImageCenter() {
+  const value = (id) => {
+    const element = document.getElementById(id);
+    return element ? element.value.trim() : '';
+  };
+  const raParts = ['image-center-ra-hours', 'image-center-ra-minutes', 'image-center-ra-seconds'].map(value);
+  const decParts = ['image-center-dec-degrees', 'image-center-dec-minutes', 'image-center-dec-seconds'].map(value);
+  
+  if ([...raParts, ...decParts].every(part => part === '')) {
+    return null;
+  }
+  
+  const [raHours, raMinutes, raSeconds] = raParts.map(part => parseFloat(part) || 0);
+  const [decDegrees, decMinutes, decSeconds] = decParts.map(part => parseFloat(part) || 0);
+  const decSign = parseFloat(value('image-center-dec-sign')) || 1;
+  
+  const ra = raHMSToDegrees(raHours, raMinutes, raSeconds);
+  const dec = decDMSToDegrees(decDegrees, decMinutes, decSeconds, decSign < 0);
+  
+  if (isNaN(ra) || isNaN(dec) || ra < 0 || ra >= 360 || dec < -90 || dec > 90) {
+    throw new Error('Please enter a valid image center (RA in h m s, Dec in ° \' ")');
+  }
+  
+  return { ra, dec };
+}
+
+/**
+ * Fill the Plate Solution center fields
+ * @param {number} ra - RA in degrees
+ * @param {number} dec - Dec in degrees
+ */
+function setImageCenter(ra, dec) {
+  const raHMS = degreesToRAHMS(ra);
+  const decDMS = degreesToDecDMS(dec);
+  
+  document.getElementById('image-center-ra-hours').value = raHMS.hours;
+  document.getElementById('image-center-ra-minutes').value = raHMS.minutes;
+  document.getElementById('image-center-ra-seconds').value = raHMS.seconds;
+  document.getElementById('image-center-dec-sign').value = decDMS.sign < 0 ? '-1' : '1';
+  document.getElementById('image-center-dec-degrees').value = decDMS.degrees;
+  document.getElementById('image-center-dec-minutes').value = decDMS.minutes;
+  document.getElementById('image-center-dec-seconds').value = decDMS.seconds;
+}
+
+/**
+ * Read the pixel scale from the form, falling back to the image solver value from the CSV
+ * @returns {number|null} Scale in arcsec/pixel
+ */
+function readPixelScale() {
+  const input = document.getElementById('pixel-scale');
+  const value = input ? parseFloat(input.value) : NaN;
+  if (value > 0) {
+    return value;
+  }
+  if (window.currentPixelScale && !isNaN(window.currentPixelScale)) {
+    return window.currentPixelScale;
+  }
+  return null;
+}
+
+/**
+ * Read the pixel scale, falling back to the image solver field of view from the CSV
+ * @param {number} imageWidth - Image width in pixels
+ * @param {number} imageHeight - Image height in pixels
+ * @returns {number|null} Scale in arcsec/pixel
+ */
+function readImageScale(imageWidth, imageHeight) {
+  const scale = readPixelScale();
+  if (scale || !window.currentFOVWidthDeg || !window.currentFOVHeightDeg) {
+    return scale;
+  }
+  
+  const scaleX = calculateScale(window.currentFOVWidthDeg, imageWidth);
+  const scaleY = calculateScale(window.currentFOVHeightDeg, imageHeight);
+  // Use average scale for circular field approximation
+  const fovScale = (scaleX + scaleY) / 2;
+  console.log(`Calculated scale from image solver FOV: ${fovScale} arcsec/pixel`);
+  return fovScale;
+}
+
+/**
+ * Read the image rotation and mirroring from the Plate Solution fields
+ * @returns {{rotation: number, flipped: boolean}} Rotation in degrees east of north of image "up"
+ */
+function readImageOrientation() {
+  const rotationInput = document.getElementById('image-rotation');
+  const mirroredInput = document.getElementById('image-mirrored');
+  const rotation = rotationInput ? parseFloat(rotationInput.value) : NaN;
+  return {
+    rotation: isNaN(rotation) ? 0 : rotation,
+    flipped: !!(mirroredInput && mirroredInput.checked)
+  };
+}
+
+/**
+ * Show a WCS in the Plate Solution fields (center, scale, rotation, mirroring)
+ * @param {WCS} wcs
+ */
+function showWCS(wcs) {
+  const center = wcs.center;
+  setImageCenter(center.ra, center.dec);
+  document.getElementById('pixel-scale').value = wcs.scale.toFixed(3);
+  document.getElementById('image-rotation').value = wcs.rotation.toFixed(2);
+  document.getElementById('image-mirrored').checked = wcs.flipped;
+}
+
+/**
+ * Guess the image center from the catalog positions of the entered HIP stars
+ * @returns {Promise<{ra: number, dec: number}|null>} Center in degrees
+ */
+async function guessImageCenterFromStars() {
+  const hipNumbers = [...document.querySelectorAll('#stars-container .hip-number')]
+    .map(input => parseInt(input.value, 10))
+    .filter(hip => !isNaN(hip) && hip > 0);
+  if (hipNumbers.length === 0) return null;
+  
+  const found = [...(await batchLookupHIP(hipNumbers)).values()];
+  if (found.length === 0) return null;
+  
+  // Average unit vectors so the mean is correct across RA 0h
+  const toRad = Math.PI / 180;
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  found.forEach(({ ra, dec }) => {
+    x += Math.cos(dec * toRad) * Math.cos(ra * toRad);
+    y += Math.cos(dec * toRad) * Math.sin(ra * toRad);
+    z += Math.sin(dec * toRad);
+  });
+  
+  return {
+    ra: ((Math.atan2(y, x) / toRad) + 360) % 360,
+    dec: Math.atan2(z, Math.hypot(x, y)) / toRad
+  };
+}
+
+/**
+ * Show a message in the Plate Solution card
+ */
+function setPlateSolveStatus(text, color = '#999') {
+  const status = document.getElementById('plate-solve-status');
+  if (status) {
+    status.textContent = text;
+    status.style.color = color;
+  }
+}
+
+/**
+ * Plate-solve the front image and show the result in the Plate Solution card
+ * @returns {Promise<Object|null>} Plate solution, or null if solving failed
+ */
+async function solveFrontImage() {
+  const imageFile = document.getElementById('image-upload').files[0];
+  const button = document.getElementById('solve-plate-btn');
+  
+  if (!imageFile) {
+    setPlateSolveStatus('Upload a front image first', '#ff6666');
+    return null;
+  }
+  
+  if (button) button.disabled = true;
+  
+  try {
+    const center = readImageCenter() || await guessImageCenterFromStars();
+    if (!center) {
+      throw new Error('Enter an approximate center or at least one HIP number');
+    }
+    
+    const image = fitsImages.front && fitsImages.front.file === imageFile
+      ? fitsImages.front.canvas
+      : await loadImage(imageFile);
+    const solution = await solvePlate(image, {
+      centerRA: center.ra,
+      centerDec: center.dec,
+      scaleHint: readPixelScale(),
+      onProgress: (message) => setPlateSolveStatus(message)
+    });
+    
+    plateSolution = { ...solution, source: 'plate solve' };
+    plateValuesEntered = false;
+    showWCS(solution.wcs);
+    scheduleAutosave();
+    
+    setPlateSolveStatus(
+      `Solved: ${solution.matchedStars.length} stars matched, ${solution.wcs.scale.toFixed(2)}"/px, ` +
+      `rotation ${solution.wcs.rotation.toFixed(1)}°${solution.wcs.flipped ? ', mirrored' : ''} ` +
+      `(RMS ${solution.rmsPixels.toFixed(2)} px)`,
+      '#66cc66'
+    );
+    checkFormValidation();
+    return solution;
+  } catch (error) {
+    console.error('Plate solve failed:', error);
+    setPlateSolveStatus(`Not solved: ${error.message}`, '#ff6666');
+    return null;
+  } finally {
+    if (button) button.disabled = false;
+  }
+}
+
+/**
+ * Pixel picker
+ * Clicking a star in the front image writes its centroid into the active star entry.
+ * The active entry is the one that last had focus; markers show every star already placed.
+ */
+
+/**
+ * Read a star entry's pixel coordinates (input fields first, then values loaded from CSV)
+ * @returns {{x: number, y: number}|null}
+ */
+function readEntryPixel(entry) {
+  const pixelXInput = entry.querySelector('.pixel-x');
+  const pixelYInput = entry.querySelector('.pixel-y');
+  const pixelX = (pixelXInput && pixelXInput.value.trim()) ? pixelXInput.value.trim() : entry.dataset.pixelX;
+  const pixelY = (pixelYInput && pixelYInput.value.trim()) ? pixelYInput.value.trim() : entry.dataset.pixelY;
+  const x = parseFloat(pixelX);
+  const y = parseFloat(pixelY);
+  return isNaN(x) || isNaN(y) ? null : { x, y };
+}
+
+/**
+ * Pixel coordinates entered for all star entries, for saving as calibrations
+ * @returns {Array<{hip: number, label: string, x: number, y: number}>}
+ */
+function readFormPixels() {
+  const stars = [];
+  document.querySelectorAll('#stars-container .star-entry').forEach(entry => {
+    const pixel = readEntryPixel(entry);
+    const hip = parseInt(entry.querySelector('.hip-number').value, 10);
+    if (pixel && !isNaN(hip)) {
+      stars.push({ hip, label: entryLabel(entry), ...pixel });
+    }
+  });
+  return stars;
+}
+
+/**
+ * Label of a star entry for markers and status text
+ */
+function entryLabel(entry) {
+  const labelInput = entry.querySelector('.star-label');
+  if (labelInput && labelInput.value.trim()) return labelInput.value.trim();
+  const index = [...document.querySelectorAll('#stars-container .star-entry')].indexOf(entry);
+  return starLabels[index] || `Star ${index}`;
+}
+
+/**
+ * Markers for all star entries with pixel coordinates
+ */
+function pickerMarkers() {
+  const markers = [];
+  document.querySelectorAll('#stars-container .star-entry').forEach(entry => {
+    const pixel = readEntryPixel(entry);
+    if (pixel) {
+      markers.push({ ...pixel, label: entryLabel(entry), active: entry === pickerEntry });
+    }
+  });
+  return markers;
+}
+
+/**
+ * Make a star entry the target of the next pick
+ */
+function setPickerEntry(entry) {
+  if (pickerEntry) pickerEntry.classList.remove('picker-active');
+  pickerEntry = entry && entry.isConnected ? entry : null;
+  if (pickerEntry) pickerEntry.classList.add('picker-active');
+  
+  const status = document.getElementById('pixel-picker-status');
+  if (status) {
+    status.textContent = pickerEntry
+      ? `Click star ${entryLabel(pickerEntry)} in the image`
+      : 'Click a star entry, then its star in the image';
+  }
+  if (pixelPicker) pixelPicker.draw();
+}
+
+/**
+ * Write picked coordinates into the active entry and move on to the next unplaced star
+ * @param {{x: number, y: number, snapped: boolean}} pixel - Picked position in image pixels
+ */
+function handlePixelPick(pixel) {
+  if (!pickerEntry || !pickerEntry.isConnected) {
+    setPickerEntry(null);
+    return;
+  }
+  
+  const entry = pickerEntry;
+  const pixelXInput = entry.querySelector('.pixel-x');
+  const pixelYInput = entry.querySelector('.pixel-y');
+  pixelXInput.value = pixel.x.toFixed(1);
+  pixelYInput.value = pixel.y.toFixed(1);
+  [pixelXInput, pixelYInput].forEach(input => input.dispatchEvent(new Event('input', { bubbles: true })));
+  
+  const entries = [...document.querySelectorAll('#stars-container .star-entry')];
+  const next = entries.slice(entries.indexOf(entry) + 1).find(e => !readEntryPixel(e));
+  setPickerEntry(next || entry);
+  
+  const status = document.getElementById('pixel-picker-status');
+  const placed = `${entryLabel(entry)} placed at ${pixel.x.toFixed(1)}, ${pixel.y.toFixed(1)}` +
+    (pixel.snapped ? '' : ' (no star found, using the clicked pixel)');
+  status.textContent = next ? `${placed}. Next: click star ${entryLabel(next)}` : placed;
+}
+
+/**
+ * Show the front image in the pixel picker
+ */
+async function openPixelPicker() {
+  const imageFile = document.getElementById('image-upload').files[0];
+  if (!imageFile) {
+    alert('Please upload a front image first');
+    return;
+  }
+  
+  const panel = document.getElementById('pixel-picker-panel');
+  panel.style.display = 'block';
+  
+  if (!pixelPicker) {
+    pixelPicker = new PixelPicker(document.getElementById('pixel-picker-canvas'), {
+      onPick: handlePixelPick,
+      getMarkers: pickerMarkers
+    });
+  }
+  
+  try {
+    const image = fitsImages.front && fitsImages.front.file === imageFile
+      ? fitsImages.front.canvas
+      : await loadImage(imageFile);
+    pixelPicker.setImage(image);
+  } catch (error) {
+    console.error('Error loading image for pixel picker:', error);
+    alert('Could not load the front image: ' + error.message);
+    closePixelPicker();
+    return;
+  }
+  
+  const first = [...document.querySelectorAll('#stars-container .star-entry')].find(e => !readEntryPixel(e));
+  setPickerEntry(pickerEntry || first || null);
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Hide the pixel picker
+ */
+function closePixelPicker() {
+  document.getElementById('pixel-picker-panel').style.display = 'none';
+  if (pixelPicker) pixelPicker.clear();
+  setPickerEntry(null);
+}
+
+/**
+ * Set up the pixel picker buttons and active-entry tracking
+ */
+function setupPixelPicker() {
+  const pickBtn = document.getElementById('pick-pixels-btn');
+  if (!pickBtn) return;
+  
+  pickBtn.addEventListener('click', openPixelPicker);
+  document.getElementById('pixel-picker-close-btn').addEventListener('click', closePixelPicker);
+  document.getElementById('pixel-picker-fit-btn').addEventListener('click', () => {
+    if (pixelPicker) pixelPicker.fitToView();
+  });
+  
+  const starsContainer = document.getElementById('stars-container');
+  starsContainer.addEventListener('focusin', (e) => {
+    if (!isPixelPickerOpen()) return;
+    const entry = e.target.closest('.star-entry');
+    if (entry && entry !== pickerEntry) setPickerEntry(entry);
+  });
+  
+  // Keep markers in step with typed coordinates and labels
+  starsContainer.addEventListener('input', (e) => {
+    if (isPixelPickerOpen() && e.target.matches('.pixel-x, .pixel-y, .star-label')) {
+      pixelPicker.draw();
+    }
+  });
+}
+
+/**
+ * Whether the pixel picker panel is showing
+ */
+function isPixelPickerOpen() {
+  const panel = document.getElementById('pixel-picker-panel');
+  return !!pixelPicker && !!panel && panel.style.display !== 'none';
+}
+
+/**
+ * Set up the Plate Solution card
+ */
+function setupPlateSolver() {
+  const solveBtn = document.getElementById('solve-plate-btn');
+  if (solveBtn) {
+    solveBtn.addEventListener('click', solveFrontImage);
+  }
+  
+  // Editing the center or scale by hand replaces the solution, and generating uses the
+  // entered values instead of solving over them
+  const fieldIds = [
+    'image-center-ra-hours', 'image-center-ra-minutes', 'image-center-ra-seconds',
+    'image-center-dec-sign', 'image-center-dec-degrees', 'image-center-dec-minutes',
+    'image-center-dec-seconds', 'pixel-scale', 'image-rotation', 'image-mirrored'
+  ];
+  fieldIds.forEach(id => {
+    const field = document.getElementById(id);
+    if (!field) return;
+    const eventName = field.tagName === 'SELECT' || field.type === 'checkbox' ? 'change' : 'input';
+    field.addEventListener(eventName, () => {
+      plateValuesEntered = true;
+      if (plateSolution) {
+        plateSolution = null;
+        setPlateSolveStatus('Plate values edited: solve again, or the entered values are used');
+      }
+    });
+  });
+}
+
 /**
  * Handle form submission
  */
@@ -1251,6 +2297,17 @@ async function handleFormSubmit(event) {
         continue;
       }
       
+      const parallaxInput = entry.querySelector('.parallax-mas');
+      const parallaxErrorInput = entry.querySelector('.parallax-error-mas');
+      const parallaxMas = parallaxInput && parallaxInput.value ? parseFloat(parallaxInput.value) : null;
+      const parallaxErrorMas = parallaxErrorInput && parallaxErrorInput.value ? parseFloat(parallaxErrorInput.value) : null;
+      const extinctionInput = entry.querySelector('.extinction-mag');
+      const extinctionMag = extinctionInput && extinctionInput.value ? parseFloat(extinctionInput.value) : null;
+      const numberInput = (selector) => {
+        const input = entry.querySelector(selector);
+        return input && input.value ? parseFloat(input.value) : null;
+      };
+      
       const starData = {
         label,
         hip,
@@ -1259,7 +2316,13 @@ async function handleFormSubmit(event) {
         magnitude,
         spectralType,
         spectralColorHex,
-        temperature: temp
+        temperature: temp,
+        parallaxMas,
+        parallaxErrorMas,
+        extinctionMag,
+        pmRA: numberInput('.pm-ra'),
+        pmDec: numberInput('.pm-dec'),
+        RV: numberInput('.radial-velocity')
       };
       
       // Get pixel coordinates from input fields (preferred) or dataset (from CSV import)
@@ -1296,47 +2359,6 @@ async function handleFormSubmit(event) {
     const starsNeedingLookup = stars.filter(s => !s.pixelX || !s.pixelY);
     const starsWithPixels = stars.filter(s => s.pixelX && s.pixelY);
     
-    // Parse RA/Dec from form (optional - only needed if some stars require RA/Dec conversion)
-    let centerRA = null;
-    let centerDec = null;
-    
-    if (starsNeedingLookup.length > 0) {
-      // Check if center coordinate elements exist
-      const raHoursEl = document.getElementById('image-center-ra-hours');
-      const raMinutesEl = document.getElementById('image-center-ra-minutes');
-      const raSecondsEl = document.getElementById('image-center-ra-seconds');
-      const decSignEl = document.getElementById('image-center-dec-sign');
-      const decDegreesEl = document.getElementById('image-center-dec-degrees');
-      const decMinutesEl = document.getElementById('image-center-dec-minutes');
-      const decSecondsEl = document.getElementById('image-center-dec-seconds');
-      
-      if (!raHoursEl || !raMinutesEl || !raSecondsEl || !decSignEl || 
-          !decDegreesEl || !decMinutesEl || !decSecondsEl) {
-        alert('Some stars need RA/Dec conversion but center coordinate fields are not available. Please add pixel coordinates for all stars in the CSV.');
-        submitBtn.disabled = false;
-        submitBtn.textContent = originalBtnText;
-        return;
-      }
-      
-      const raHours = parseFloat(raHoursEl.value) || 0;
-      const raMinutes = parseFloat(raMinutesEl.value) || 0;
-      const raSeconds = parseFloat(raSecondsEl.value) || 0;
-      centerRA = (raHours + raMinutes / 60 + raSeconds / 3600) * 15; // Convert to degrees
-      
-      const decSign = parseFloat(decSignEl.value) || 1;
-      const decDegrees = parseFloat(decDegreesEl.value) || 0;
-      const decMinutes = parseFloat(decMinutesEl.value) || 0;
-      const decSeconds = parseFloat(decSecondsEl.value) || 0;
-      centerDec = decSign * (decDegrees + decMinutes / 60 + decSeconds / 3600);
-      
-      if (isNaN(centerRA) || isNaN(centerDec) || centerRA < 0 || centerRA > 360 || centerDec < -90 || centerDec > 90) {
-        alert('For RA/Dec conversion, please enter valid center coordinates in HMS/DMS format');
-        submitBtn.disabled = false;
-        submitBtn.textContent = originalBtnText;
-        return;
-      }
-    }
-    
     submitBtn.textContent = 'Looking up star coordinates...';
     
     // Only lookup coordinates for stars that don't have pixel coordinates
@@ -1366,7 +2388,7 @@ async function handleFormSubmit(event) {
     
     // Compress images for better performance while keeping original dimensions
     console.log('Compressing images for optimal performance...');
-    const compressedImage = await compressImage(imageFile);
+    const compressedImage = await prepareImage(imageFile, 'front');
     const imageWidth = compressedImage.originalWidth; // Use original dimensions for coordinates
     const imageHeight = compressedImage.originalHeight;
     
@@ -1376,7 +2398,7 @@ async function handleFormSubmit(event) {
     // Compress back image if provided
     let backImageData = null;
     if (backImageFile) {
-      const compressedBackImage = await compressImage(backImageFile);
+      const compressedBackImage = await prepareImage(backImageFile, 'back');
       const backImageUrl = URL.createObjectURL(compressedBackImage.blob);
       backImageData = {
         file: compressedBackImage.blob,
@@ -1389,39 +2411,50 @@ async function handleFormSubmit(event) {
     
     console.log(`Front image compressed: ${imageWidth}x${imageHeight} (quality reduced, dimensions preserved)`);
     
-    // Calculate scale - priority order:
-    // 1. Pixel scale from image solver (in CSV)
-    // 2. Calculate from FOV if provided (for backward compatibility)
-    // 3. Only needed if some stars require RA/Dec conversion
-    let scale = null;
-    
-    // Check if we have pixel scale from image solver
-    if (window.currentPixelScale && !isNaN(window.currentPixelScale)) {
-      scale = window.currentPixelScale;
-      console.log(`Using pixel scale from image solver: ${scale} arcsec/pixel`);
-    } else if (starsNeedingLookup.length > 0) {
-      // Only calculate scale if we need RA/Dec conversion
-      // Try to use FOV dimensions from image solver first
-      let fovWidthDeg = window.currentFOVWidthDeg;
-      let fovHeightDeg = window.currentFOVHeightDeg;
-      
-      if (!fovWidthDeg || !fovHeightDeg) {
-        // Fallback to hardcoded FOV (for backward compatibility)
-        fovWidthDeg = 3.904; // Actual: 3d 54' 14.7"
-        fovHeightDeg = 2.603; // Actual: 2d 36' 9.8"
-        console.log('Using hardcoded FOV (fallback)');
+    // Saved calibrations apply only to the image file they were made for
+    const calibratedPixels = new Map();
+    if (starsNeedingLookup.length > 0) {
+      try {
+        const imageHash = await hashImageFile(imageFile);
+        (await getCalibrations(imageHash)).forEach(c => calibratedPixels.set(c.hip, { x: c.x, y: c.y }));
+      } catch (error) {
+        console.warn('Pixel calibrations unavailable:', error.message);
+      }
+    }
+    
+    // WCS for stars that need RA/Dec conversion, in priority order:
+    // 1. Plate solution of the front image (solved now if not done yet, unless the student
+    //    entered the plate values by hand)
+    // 2. Entered image center, pixel scale (form, image solver CSV, or FOV), rotation and mirroring
+    let wcs = null;
+    const needsPlacement = starsNeedingLookup.some(s => !calibratedPixels.has(s.hip));
+    const center = readImageCenter();
+    const scale = readImageScale(compressedImage.originalWidth, compressedImage.originalHeight);
+    
+    if (needsPlacement && !plateSolution && !(plateValuesEntered && center && scale)) {
+      submitBtn.textContent = 'Solving plate...';
+      await solveFrontImage();
+    }
+    
+    if (plateSolution) {
+      wcs = plateSolution.wcs;
+      console.log(`Using WCS from ${plateSolution.source}`);
+    } else if (needsPlacement) {
+      if (center && scale) {
+        wcs = WCS.fromScale({
+          centerRA: center.ra,
+          centerDec: center.dec,
+          scale,
+          ...readImageOrientation(),
+          imageWidth: compressedImage.originalWidth,
+          imageHeight: compressedImage.originalHeight
+        });
+        console.log(`Using entered center and pixel scale: ${scale} arcsec/pixel`);
       } else {
-        console.log(`Using FOV from image solver: ${fovWidthDeg}° x ${fovHeightDeg}°`);
+        console.warn('No plate solution, image center or pixel scale: stars without pixel coordinates cannot be placed');
       }
-      
-      // Use original dimensions for scale calculation
-      const scaleX = calculateScale(fovWidthDeg, compressedImage.originalWidth);
-      const scaleY = calculateScale(fovHeightDeg, compressedImage.originalHeight);
-      // Use average scale for circular field approximation
-      scale = (scaleX + scaleY) / 2;
-      console.log(`Calculated scale from FOV: ${scale} arcsec/pixel`);
     } else {
-      console.log('All stars have pixel coordinates - scale not needed');
+      console.log('All stars have pixel coordinates - WCS not needed');
     }
     
     submitBtn.textContent = 'Converting coordinates...';
@@ -1429,12 +2462,11 @@ async function handleFormSubmit(event) {
     // Convert RA/Dec to pixel coordinates
     const starsWithCoords = [];
     const starsOutsideBounds = [];
-    const useCalibration = hasCalibrations();
     
     for (const star of stars) {
       // Priority order for pixel coordinates:
       // 1. Pixel coordinates from CSV (already in star data)
-      // 2. Manual pixel calibration override
+      // 2. Saved pixel calibration for this image
       // 3. Calculate from RA/Dec conversion
       
       let pixel = null;
@@ -1444,11 +2476,11 @@ async function handleFormSubmit(event) {
         pixel = { x: star.pixelX, y: star.pixelY };
         console.log(`Using pixel coordinates from CSV for ${star.label}:`, pixel);
       } else {
-        // Check for manual pixel coordinate override
-        const calibratedPixel = getCalibratedPixel(star.label);
+        // Check for a saved calibration of this star on this image
+        const calibratedPixel = calibratedPixels.get(star.hip);
         if (calibratedPixel) {
           pixel = calibratedPixel;
-          console.log(`Using calibrated pixel coordinates for ${star.label}:`, pixel);
+          console.log(`Using calibrated pixel coordinates for ${star.label} (HIP ${star.hip}):`, pixel);
         } else {
           // Use RA/Dec conversion
           const coords = hipCoords.get(star.hip);
@@ -1456,34 +2488,19 @@ async function handleFormSubmit(event) {
             continue;
           }
           
-          // Convert RA from hours to degrees if needed
-          // Catalog may provide RA in hours (values < 24) or degrees (values 0-360)
-          let raDeg = coords.ra;
-          if (coords.ra < 24) {
-            // RA is in hours, convert to degrees
-            raDeg = coords.ra * 15;
-          }
-          
-          if (scale === null) {
-            console.warn(`Cannot convert RA/Dec to pixel for ${star.label}: scale not available`);
+          if (!wcs) {
+            console.warn(`Cannot convert RA/Dec to pixel for ${star.label}: no WCS available`);
             continue;
           }
           
-          if (!centerRA || !centerDec) {
-            console.warn(`Cannot convert RA/Dec to pixel for ${star.label}: center coordinates not available`);
-            continue;
-          }
+          // Catalog RA is always in degrees
+          pixel = wcs.worldToPixel(coords.ra, coords.dec);
           
-          // Use original dimensions for coordinate conversion
-          pixel = raDecToPixel(
-            raDeg,
-            coords.dec,
-            centerRA,
-            centerDec,
-            compressedImage.originalWidth,
-            compressedImage.originalHeight,
-            scale
-          );
+          // Stars that fall outside the image cannot be placed on it
+          if (pixel && (pixel.x < 0 || pixel.y < 0 ||
+                        pixel.x > compressedImage.originalWidth || pixel.y > compressedImage.originalHeight)) {
+            pixel = null;
+          }
           
           if (pixel) {
             console.log(`Calculated pixel for ${star.label} (HIP ${star.hip}):`, pixel, 'from RA/Dec:', coords.ra, coords.dec);
@@ -1508,7 +2525,7 @@ async function handleFormSubmit(event) {
     }
     
     if (starsWithCoords.length === 0) {
-      alert('Could not find pixel coordinates for any stars. Please check:\n- Your HIP numbers are correct\n- Your center coordinates match your image\n- Stars are within the field of view');
+      alert('Could not find pixel coordinates for any stars. Please check:\n- Your HIP numbers are correct\n- The plate solves, or your center coordinates and pixel scale match your image\n- Stars are within the field of view');
       submitBtn.disabled = false;
       submitBtn.textContent = originalBtnText;
       return;
@@ -1538,12 +2555,25 @@ async function handleFormSubmit(event) {
     
     // No coordinate scaling needed - dimensions are preserved
     
+    // Image scale for the view from Earth (without a WCS only the scale is needed)
+    visualizationData.wcs = wcs ? wcs.toJSON() : null;
+    visualizationData.pixelScale = wcs ? wcs.scale
+      : readImageScale(compressedImage.originalWidth, compressedImage.originalHeight);
+    
+    // Images loaded from the site can be referenced by path in share links
+    const frontPath = imageSourcePaths.get(fileKey(imageFile));
+    if (frontPath) visualizationData.image.path = frontPath;
+    const backPath = backImageFile ? imageSourcePaths.get(fileKey(backImageFile)) : null;
+    if (backPath && visualizationData.backImage) visualizationData.backImage.path = backPath;
+    
     // Don't hide data entry panel - visualization will appear above it
     // Visualization container will be positioned above the form
     
     // Initialize visualization with generated data
     if (window.initVisualization) {
-      window.initVisualization(visualizationData);
+      lastVisualizationData = visualizationData;
+      await window.initVisualization(visualizationData);
+      await clearCurrentDraft();
     } else {
       console.error('Visualization not initialized');
       alert('Error: Visualization system not ready. Please refresh the page.');
@@ -1560,6 +2590,29 @@ async function handleFormSubmit(event) {
   }
 }
 
+/**
+ * Prepare an uploaded image for the 3D view
+ * FITS uploads use their stretched rendering, saved as lossless PNG; other images are compressed
+ * @param {File} file - Uploaded image
+ * @param {string} key - 'front' or 'back'
+ * @returns {Promise<{blob: Blob, originalWidth: number, originalHeight: number}>}
+ */
+async function prepareImage(file, key) {
+  let entry = fitsImages[key];
+  if (isFITSFile(file) && (!entry || entry.file !== file)) {
+    entry = await loadFITSUpload(file, key);
+  }
+  
+  if (entry && entry.file === file) {
+    const blob = await new Promise((resolve, reject) => {
+      entry.canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to create blob')), 'image/png');
+    });
+    return { blob, originalWidth: entry.canvas.width, originalHeight: entry.canvas.height };
+  }
+  
+  return compressImage(file);
+}
+
 /**
  * Compress image to optimize performance while preserving dimensions
  * Converts PNG to JPG and reduces quality for better compression
@@ -1741,20 +2794,7 @@ function temperatureToColorGradient(tempK) {
     return '#CDDCFF';
   }
   
-  // Blackbody color stops for stellar temperatures
-  // Temperature ranges: 2000K (coolest/red) to 50000K (hottest/blue)
-  const colorStops = [
-    { temp: 2000, hex: '#8B3A3A' },   // Dark red (coolest)
-    { temp: 3000, hex: '#FF8C42' },    // Orange-red
-    { temp: 4000, hex: '#FFB347' },    // Orange
-    { temp: 5000, hex: '#FFE85C' },    // Yellow
-    { temp: 6000, hex: '#FFF8DC' },     // Light yellow/white
-    { temp: 7000, hex: '#E6F3FF' },    // Light blue-white
-    { temp: 10000, hex: '#B3D9FF' },   // Light blue
-    { temp: 20000, hex: '#8BB3FF' },   // Blue
-    { temp: 30000, hex: '#6B9FFF' },   // Darker blue
-    { temp: 50000, hex: '#4A7FFF' }    // Deep blue (hottest)
-  ];
+  const colorStops = TEMPERATURE_COLOR_STOPS;
   
   // Clamp temperature to valid range
   const minTemp = colorStops[0].temp;
@@ -1882,12 +2922,9 @@ function getHexColorForSpectralClass(code) {
  * Generate visualization data structure
  */
 function generateVisualizationData(imageFile, imageWidth, imageHeight, stars, backImageData = null) {
-  // Calculate distance scaling
-  const distances = stars.map(s => s.distanceLy);
-  const minDistance = Math.min(...distances);
-  const maxDistance = Math.max(...distances);
-  const frontOffset = Math.floor(minDistance / 10) * 10;
-  const distanceRange = maxDistance - frontOffset;
+  // Calculate distance scaling with the scale selected in the 3D controls
+  const scaleMode = document.getElementById('distance-scale')?.value || 'linear';
+  const scaling = createDistanceScale(stars.map(s => s.distanceLy), scaleMode);
   
   // Sort by distance (closest first)
   stars.sort((a, b) => a.distanceLy - b.distanceLy);
@@ -1899,9 +2936,18 @@ function generateVisualizationData(imageFile, imageWidth, imageHeight, stars, ba
   const volumeDepth = imageWidth; // Depth matches width for good aspect ratio
   
   stars.forEach(star => {
-    star.scaledDistance = (star.distanceLy - frontOffset) / distanceRange;
-    star.scaledDistance = Math.max(0, Math.min(1, star.scaledDistance));
+    // Intrinsic brightness, corrected for interstellar extinction when given
+    star.absMagnitude = absoluteMagnitude(star.magnitude, star.distancePc, star.extinctionMag ?? 0);
+    star.luminosity = luminositySolar(star.absMagnitude);
+    
+    // 1-sigma distance range from the parallax error (far end may be unbounded)
+    const rangePc = parallaxDistanceRangePc(star.distancePc, star.parallaxMas, star.parallaxErrorMas);
+    if (rangePc) {
+      star.distanceNearLy = rangePc.nearPc * 3.26156;
+      star.distanceFarLy = rangePc.farPc !== null ? rangePc.farPc * 3.26156 : null;
+    }
   });
+  applyDistanceScale(stars, scaling);
   
   // Create image URL (compressed image with original dimensions)
   const imageUrl = imageFile instanceof Blob ? URL.createObjectURL(imageFile) : imageFile;
@@ -1919,11 +2965,7 @@ function generateVisualizationData(imageFile, imageWidth, imageHeight, stars, ba
       height: volumeHeight,
       depth: volumeDepth
     },
-    scaling: {
-      frontOffsetLy: frontOffset,
-      maxDistanceLy: maxDistance,
-      distanceRangeLy: distanceRange
-    },
+    scaling,
     stars: stars.map(star => ({
       hip: star.hip,
       name: star.label,
@@ -1932,9 +2974,22 @@ function generateVisualizationData(imageFile, imageWidth, imageHeight, stars, ba
       pixelX: star.pixelX,
       pixelY: star.pixelY,
       magnitude: star.magnitude, // Include magnitude if provided
+      extinctionMag: star.extinctionMag ?? null,
+      absMagnitude: star.absMagnitude,
+      luminosity: star.luminosity,
       distanceLy: star.distanceLy,
       distancePc: star.distancePc,
       scaledDistance: star.scaledDistance,
+      parallaxMas: star.parallaxMas ?? null,
+      parallaxErrorMas: star.parallaxErrorMas ?? null,
+      pmRA: star.pmRA ?? null,
+      pmDec: star.pmDec ?? null,
+      RV: star.RV ?? null,
+      distanceNearLy: star.distanceNearLy ?? null,
+      distanceFarLy: star.distanceFarLy ?? null,
+      scaledDistanceNear: star.scaledDistanceNear ?? null,
+      scaledDistanceFar: star.scaledDistanceFar ?? null,
+      temperature: star.temperature ?? null,
       spectralClass: star.spectralType || 'A2', // Use selected spectral type or default to A2
       spectralColorHex: star.spectralColorHex || getHexColorForSpectralClass('A2') // Include hex color
     }))
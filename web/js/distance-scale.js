@@ -0,0 +1,278 @@
+/**
+ * Distance scales for the depth axis
+ * Maps a star's distance to a position between the front (0) and back (1) of the volume.
+ * The chosen mode and its parameters are kept in the visualization's `scaling` block.
+ *
+ * Modes:
+ * - linear: equal depth for equal distance
+ * - log: equal depth for equal distance ratios
+ * - sqrt: square root of the linear position (spreads out the near part)
+ * - broken: linear, with large empty gaps between stars cut out of the axis
+ *
+ * Also used by the converter (web/js/package.json marks these files as ES modules for Node).
+ */
+
+import { LY_PER_PC } from './utils.js';
+
+export const DISTANCE_SCALE_MODES = ['linear', 'log', 'sqrt', 'broken'];
+
+const MIN_BREAK_GAP = 0.2; // Gaps wider than this fraction of the range are cut out
+const MAX_BREAKS = 3;
+const BREAK_DEPTH = 0.04; // Depth of the axis taken by each break
+const BREAK_PADDING = 0.1; // Part of a gap kept on each side of a break
+
+/**
+ * Round down to a power of ten (for the front of a log axis)
+ */
+function powerOfTenBelow(value) {
+  return Math.pow(10, Math.floor(Math.log10(value)));
+}
+
+/**
+ * Find the gaps to cut out of a broken axis
+ * @param {number[]} distances - Star distances in ly
+ * @param {number} front - Front of the axis
+ * @param {number} range - Axis range
+ * @returns {Array<{startLy: number, endLy: number}>} Breaks, nearest first
+ */
+function findBreaks(distances, front, range) {
+  const sorted = [front, ...distances].sort((a, b) => a - b);
+  const gaps = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = sorted[i] - sorted[i - 1];
+    if (gap > MIN_BREAK_GAP * range) {
+      gaps.push({ from: sorted[i - 1], to: sorted[i], gap });
+    }
+  }
+
+  return gaps
+    .sort((a, b) => b.gap - a.gap)
+    .slice(0, MAX_BREAKS)
+    .map(({ from, to, gap }) => ({ startLy: from + gap * BREAK_PADDING, endLy: to - gap * BREAK_PADDING }))
+    .sort((a, b) => a.startLy - b.startLy);
+}
+
+/**
+ * Create the scaling block for a set of star distances
+ * @param {number[]} distances - Star distances in ly
+ * @param {string} mode - One of DISTANCE_SCALE_MODES
+ * @returns {{mode: string, frontOffsetLy: number, maxDistanceLy: number, distanceRangeLy: number,
+ *   breaks?: Array<{startLy: number, endLy: number}>}}
+ */
+export function createDistanceScale(distances, mode = 'linear') {
+  const valid = distances.filter(d => d !== null && d > 0);
+  if (!DISTANCE_SCALE_MODES.includes(mode)) {
+    mode = 'linear';
+  }
+  if (valid.length === 0) {
+    return { mode, frontOffsetLy: 0, maxDistanceLy: 1, distanceRangeLy: 1 };
+  }
+
+  const minDistance = Math.min(...valid);
+  const maxDistance = Math.max(...valid);
+
+  // Round number below the nearest star (a log axis cannot start at zero)
+  let frontOffset = Math.floor(minDistance / 10) * 10;
+  if (mode === 'log' && frontOffset <= 0) {
+    frontOffset = powerOfTenBelow(minDistance);
+  }
+  // A single star (or stars at one distance) still needs a non-empty axis
+  const distanceRange = Math.max(maxDistance - frontOffset, 1e-6);
+
+  const scaling = {
+    mode,
+    frontOffsetLy: frontOffset,
+    maxDistanceLy: maxDistance,
+    distanceRangeLy: distanceRange
+  };
+  if (mode === 'broken') {
+    scaling.breaks = findBreaks(valid, frontOffset, distanceRange);
+  }
+  return scaling;
+}
+
+/**
+ * Depth taken by the kept (not cut out) parts of a broken axis
+ */
+function brokenAxisLength(scaling) {
+  const breaks = scaling.breaks || [];
+  const cut = breaks.reduce((sum, b) => sum + (b.endLy - b.startLy), 0);
+  return {
+    kept: scaling.distanceRangeLy - cut,
+    keptDepth: 1 - breaks.length * BREAK_DEPTH
+  };
+}
+
+/**
+ * Map a distance to depth on the axis
+ * @param {number} distanceLy - Distance in ly
+ * @param {Object} scaling - Scaling block (without a mode the axis is linear)
+ * @returns {number} Depth from 0 (front) to 1 (back), clamped
+ */
+export function toScaledDistance(distanceLy, scaling) {
+  const { frontOffsetLy: front, maxDistanceLy: max, distanceRangeLy: range } = scaling;
+  let scaled;
+
+  switch (scaling.mode) {
+    case 'log':
+      scaled = max > front ? Math.log(distanceLy / front) / Math.log(max / front) : 0;
+      break;
+    case 'sqrt':
+      scaled = Math.sqrt(Math.max(0, (distanceLy - front) / range));
+      break;
+    case 'broken': {
+      const { kept, keptDepth } = brokenAxisLength(scaling);
+      let keptBefore = 0;
+      let breaksBefore = 0;
+      let previous = front;
+      for (const b of scaling.breaks || []) {
+        if (distanceLy <= b.startLy) break;
+        if (distanceLy < b.endLy) {
+          // Inside a break: spread over the break's depth
+          const inBreak = (distanceLy - b.startLy) / (b.endLy - b.startLy);
+          return ((keptBefore + b.startLy - previous) / kept) * keptDepth + (breaksBefore + inBreak) * BREAK_DEPTH;
+        }
+        keptBefore += b.startLy - previous;
+        breaksBefore += 1;
+        previous = b.endLy;
+      }
+      scaled = ((keptBefore + distanceLy - previous) / kept) * keptDepth + breaksBefore * BREAK_DEPTH;
+      break;
+    }
+    default:
+      scaled = (distanceLy - front) / range;
+  }
+
+  return Math.max(0, Math.min(1, scaled));
+}
+
+/**
+ * Map depth on the axis back to a distance
+ * @param {number} scaled - Depth from 0 (front) to 1 (back)
+ * @param {Object} scaling - Scaling block
+ * @returns {number} Distance in ly
+ */
+export function fromScaledDistance(scaled, scaling) {
+  const { frontOffsetLy: front, maxDistanceLy: max, distanceRangeLy: range } = scaling;
+
+  switch (scaling.mode) {
+    case 'log':
+      return front * Math.pow(max / front, scaled);
+    case 'sqrt':
+      return front + scaled * scaled * range;
+    case 'broken': {
+      const { kept, keptDepth } = brokenAxisLength(scaling);
+      let depth = 0;
+      let previous = front;
+      for (const b of scaling.breaks || []) {
+        const segmentDepth = (b.startLy - previous) / kept * keptDepth;
+        if (scaled <= depth + segmentDepth) break;
+        depth += segmentDepth;
+        if (scaled < depth + BREAK_DEPTH) {
+          return b.startLy + (scaled - depth) / BREAK_DEPTH * (b.endLy - b.startLy);
+        }
+        depth += BREAK_DEPTH;
+        previous = b.endLy;
+      }
+      return previous + (scaled - depth) / keptDepth * kept;
+    }
+    default:
+      return front + scaled * range;
+  }
+}
+
+/**
+ * Recompute the depth of every star (and its 1-sigma range) for a scaling block
+ * @param {Object[]} stars - Visualization stars (distanceLy, distanceNearLy, distanceFarLy)
+ * @param {Object} scaling - Scaling block
+ */
+export function applyDistanceScale(stars, scaling) {
+  stars.forEach(star => {
+    star.scaledDistance = toScaledDistance(star.distanceLy, scaling);
+    if (star.distanceNearLy !== null && star.distanceNearLy !== undefined) {
+      star.scaledDistanceNear = toScaledDistance(star.distanceNearLy, scaling);
+      // Unbounded far end runs to the back of the volume
+      star.scaledDistanceFar = star.distanceFarLy !== null && star.distanceFarLy !== undefined
+        ? toScaledDistance(star.distanceFarLy, scaling)
+        : 1;
+    }
+  });
+}
+
+/**
+ * 1, 2 or 5 times a power of ten, near range / count
+ */
+function niceStep(range, count) {
+  const rough = range / count;
+  const power = Math.pow(10, Math.floor(Math.log10(rough)));
+  const fraction = rough / power;
+  return (fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10) * power;
+}
+
+/**
+ * Major and minor values on a linear stretch of the axis
+ * Majors fall on the step; minors divide it into 5 (or 4 for steps of 2)
+ */
+function steppedValues(start, end, step) {
+  if (!(end > start)) return [];
+  const leadingDigit = Math.round(step / Math.pow(10, Math.floor(Math.log10(step) + 1e-9)));
+  const minorStep = step / (leadingDigit === 2 ? 4 : 5);
+  const values = [];
+  for (let i = Math.ceil(start / minorStep - 1e-9); i * minorStep <= end + minorStep * 1e-9; i++) {
+    const value = Number((i * minorStep).toPrecision(12));
+    const ratio = value / step;
+    values.push({ value, major: Math.abs(ratio - Math.round(ratio)) < 1e-6 });
+  }
+  return values;
+}
+
+/**
+ * Major and minor values on a log axis: 1-2-5 majors in each decade (decades only when
+ * the range is wide), with the other whole multiples as minors
+ */
+function logValues(start, end) {
+  const majors = Math.log10(end / start) > 2 ? [1] : [1, 2, 5];
+  const values = [];
+  for (let power = powerOfTenBelow(start); power <= end; power *= 10) {
+    for (let m = 1; m <= 9; m++) {
+      const value = Number((m * power).toPrecision(12));
+      if (value >= start && value <= end) values.push({ value, major: majors.includes(m) });
+    }
+  }
+  return values;
+}
+
+/**
+ * Tick marks for the depth axis, at round distances in the display unit
+ * @param {Object} scaling - Scaling block
+ * @param {string} unit - 'ly' or 'pc'
+ * @param {number} count - Approximate number of major ticks
+ * @returns {Array<{value: number, distanceLy: number, scaled: number, major: boolean}>}
+ *   Ticks from front to back (value in the unit)
+ */
+export function distanceTicks(scaling, unit = 'ly', count = 5) {
+  const factor = unit === 'pc' ? 1 / LY_PER_PC : 1;
+  const front = scaling.frontOffsetLy * factor;
+  const max = scaling.maxDistanceLy * factor;
+  let values;
+
+  if (scaling.mode === 'log' && max / front > 3) {
+    values = logValues(front, max);
+  } else if (scaling.mode === 'broken' && scaling.breaks && scaling.breaks.length > 0) {
+    // Same step on each kept part of the axis
+    const step = niceStep(brokenAxisLength(scaling).kept * factor, count);
+    values = [];
+    let previous = front;
+    [...scaling.breaks, { startLy: scaling.maxDistanceLy, endLy: null }].forEach(b => {
+      values.push(...steppedValues(previous, b.startLy * factor, step));
+      previous = b.endLy * factor;
+    });
+  } else {
+    values = max > front ? steppedValues(front, max, niceStep(max - front, count)) : [];
+  }
+
+  return values.map(({ value, major }) => {
+    const distanceLy = value / factor;
+    return { value, distanceLy, scaled: toScaledDistance(distanceLy, scaling), major };
+  });
+}
@@ -0,0 +1,430 @@
+/**
+ * View from Earth
+ * Places the stars in true 3D space - along their real directions on the sky, at their
+ * real distances - with the camera at the origin (the Sun) and a field of view matched to
+ * the image scale, so the stars line up on the photo. The camera can then fly out to a
+ * side view that shows how stars at very different distances project onto one picture.
+ */
+
+import * as THREE from 'three';
+import { visualizationWCS, skyVector } from './coordinate-converter.js';
+import { createImagePlane } from './volume.js';
+import { getSpectralClassColor } from './stars.js';
+import { easeInOutCubic } from './utils.js';
+
+// Layer used for the Earth view, so the 3D model is hidden without touching its visibility settings
+const EARTH_LAYER = 1;
+
+const SCENE_DEPTH = 2000; // Distance from the Sun to the photo, in scene units
+const PHOTO_MARGIN = 1.1; // Photo distance relative to the farthest star
+const FLIGHT_DURATION = 2500; // ms
+const SIDE_VIEW_ANGLE = 70; // Degrees from the line of sight
+const SIDE_VIEW_ELEVATION = 15; // Degrees above the image "up" plane
+const SIDE_VIEW_FOV = 50;
+
+/**
+ * Check whether a visualization has what the Earth view needs (an image scale)
+ * @param {Object} data - Visualization data
+ * @returns {boolean}
+ */
+export function canShowEarthView(data) {
+  return !!data && (!!data.wcs || data.pixelScale > 0);
+}
+
+/**
+ * Camera frame of the photo: optical axis through the image center, "right" and "up" along
+ * the image axes. Measuring sky directions in this frame keeps the photo's orientation
+ * (including mirrored images), with the camera looking down -z.
+ * @returns {Function} Converts a pixel to a unit direction in scene coordinates
+ */
+function pixelDirections(wcs) {
+  const cx = (wcs.imageWidth - 1) / 2;
+  const cy = (wcs.imageHeight - 1) / 2;
+  const toSky = (x, y) => {
+    const { ra, dec } = wcs.pixelToWorld(x, y);
+    return new THREE.Vector3(...skyVector(ra, dec));
+  };
+
+  const forward = toSky(cx, cy);
+  const right = toSky(cx + 1, cy).sub(toSky(cx - 1, cy));
+  right.addScaledVector(forward, -right.dot(forward)).normalize();
+  const up = toSky(cx, cy - 1).sub(toSky(cx, cy + 1));
+  up.addScaledVector(forward, -up.dot(forward)).addScaledVector(right, -up.dot(right)).normalize();
+
+  return (x, y) => {
+    const sky = toSky(x, y);
+    return new THREE.Vector3(sky.dot(right), sky.dot(up), -sky.dot(forward)).normalize();
+  };
+}
+
+/**
+ * Text sprite for a star name
+ */
+function createNameSprite(text, color = '#ffffff') {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.width = 256;
+  canvas.height = 64;
+  context.fillStyle = color;
+  context.font = 'bold 28px Arial';
+  context.textAlign = 'center';
+  context.fillText(text, canvas.width / 2, canvas.height / 2 + 10);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthWrite: false }));
+  sprite.userData.aspect = canvas.width / canvas.height;
+  return sprite;
+}
+
+/**
+ * True-perspective view of a star field from the Sun
+ */
+export class EarthView {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {OrbitControls} controls
+   */
+  constructor(scene, camera, controls) {
+    this.scene = scene;
+    this.camera = camera;
+    this.controls = controls;
+
+    this.group = null;
+    this.stars = []; // {sphere, line, label, position, earthRadius, sideRadius, earthLabel, sideLabel}
+    this.sun = null;
+    this.photoDistance = SCENE_DEPTH;
+    this.tanHalfWidth = 0; // Tangents of the photo's half field of view
+    this.tanHalfHeight = 0;
+
+    this.active = false;
+    this.progress = 0; // 0 = at the Sun, 1 = side view
+    this.flight = null;
+    this.savedCamera = null; // Model camera pose to return to
+    this.labelsVisible = true;
+  }
+
+  /**
+   * Build the Earth view scene for a visualization
+   * @param {Object} data - Visualization data (stars with pixel positions and distances, wcs or pixelScale)
+   */
+  async build(data) {
+    this.clear();
+
+    const wcs = visualizationWCS(data);
+    const direction = pixelDirections(wcs);
+    const { width, height } = data.image;
+    const scaleRad = wcs.scale / 3600 * Math.PI / 180;
+
+    const placed = data.stars.filter(star => star.distanceLy > 0);
+    const maxDistanceLy = Math.max(...placed.map(star => star.distanceLy), 1);
+    const unitsPerLy = SCENE_DEPTH / PHOTO_MARGIN / maxDistanceLy;
+    this.photoDistance = SCENE_DEPTH;
+
+    this.group = new THREE.Group();
+
+    // Photo at the distance where it covers the same angle as on the sky
+    // Its center is on the optical axis, so pixel (x, y) sits on the sight line of that pixel
+    this.tanHalfWidth = width / 2 * scaleRad;
+    this.tanHalfHeight = height / 2 * scaleRad;
+    const imageUrl = data.image.url || `assets/${data.image.filename}`;
+    const photo = await createImagePlane(imageUrl, 2 * this.photoDistance * this.tanHalfWidth,
+      2 * this.photoDistance * this.tanHalfHeight);
+    photo.position.set(0, 0, -this.photoDistance);
+    this.group.add(photo);
+
+    // Star spheres keep their size in the photo at the Sun and get a common size in the side view
+    const sideRadius = SCENE_DEPTH * 0.004;
+    const pixelRadius = Math.max(width, height) * 0.004;
+
+    placed.forEach(star => {
+      const unit = direction(star.pixelX, star.pixelY);
+      const distance = star.distanceLy * unitsPerLy;
+      const position = unit.clone().multiplyScalar(distance);
+      const color = getSpectralClassColor(star.spectralClass, star.spectralColorHex);
+
+      const magnitude = star.magnitude !== null && star.magnitude !== undefined ? star.magnitude : 5.0;
+      const magnitudeScale = Math.max(0.4, Math.min(1.5, 1.0 - (magnitude - 3) * 0.15));
+
+      const sphere = new THREE.Mesh(
+        new THREE.SphereGeometry(1, 16, 16),
+        new THREE.MeshBasicMaterial({ color })
+      );
+      sphere.position.copy(position);
+      this.group.add(sphere);
+
+      // Sight line from the Sun through the star to its place on the photo
+      // (seen end-on from the Sun, it only appears once the camera moves away)
+      const photoPoint = unit.clone().multiplyScalar(this.photoDistance / -unit.z);
+      const line = new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), photoPoint]),
+        new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.4 })
+      );
+      this.group.add(line);
+
+      const label = createNameSprite(star.name || `HIP ${star.hip}`);
+      label.visible = this.labelsVisible;
+      this.group.add(label);
+
+      this.stars.push({
+        sphere,
+        line,
+        label,
+        position,
+        earthRadius: distance * pixelRadius * magnitudeScale * scaleRad,
+        sideRadius: sideRadius * magnitudeScale,
+        earthLabel: distance * height * 0.03 * scaleRad,
+        sideLabel: SCENE_DEPTH * 0.02
+      });
+    });
+
+    // The observer
+    this.sun = new THREE.Mesh(
+      new THREE.SphereGeometry(sideRadius * 1.5, 16, 16),
+      new THREE.MeshBasicMaterial({ color: 0xffdd44 })
+    );
+    const sunLabel = createNameSprite('Sun', '#ffdd44');
+    sunLabel.position.set(0, sideRadius * 5, 0);
+    sunLabel.scale.set(SCENE_DEPTH * 0.02 * sunLabel.userData.aspect, SCENE_DEPTH * 0.02, 1);
+    this.sun.add(sunLabel);
+    this.group.add(this.sun);
+
+    this.group.traverse(object => object.layers.set(EARTH_LAYER));
+    this.scene.add(this.group);
+    this.applyProgress();
+  }
+
+  /**
+   * Remove the Earth view scene
+   */
+  clear() {
+    if (!this.group) return;
+
+    this.scene.remove(this.group);
+    this.group.traverse(object => {
+      if (object.geometry) object.geometry.dispose();
+      if (object.material) {
+        if (object.material.map) object.material.map.dispose();
+        object.material.dispose();
+      }
+    });
+    this.group = null;
+    this.stars = [];
+    this.sun = null;
+  }
+
+  /**
+   * Switch to the Earth view, with the camera at the Sun
+   * @param {Object} data - Visualization data
+   */
+  async enter(data) {
+    if (this.active) return;
+
+    await this.build(data);
+    this.savedCamera = {
+      position: this.camera.position.toArray(),
+      target: this.controls.target.toArray(),
+      up: this.camera.up.toArray(),
+      fov: this.camera.fov
+    };
+
+    this.active = true;
+    this.flight = null;
+    this.progress = 0;
+    this.camera.up.set(0, 1, 0);
+    this.camera.layers.set(EARTH_LAYER);
+    this.controls.enabled = false;
+    this.setPose(this.earthPose());
+    this.applyProgress();
+  }
+
+  /**
+   * Return to the 3D model and its camera pose
+   */
+  exit() {
+    if (!this.active) return;
+
+    this.active = false;
+    this.flight = null;
+    this.camera.layers.set(0);
+    this.controls.enabled = true;
+
+    if (this.savedCamera) {
+      const { position, target, up, fov } = this.savedCamera;
+      this.camera.up.fromArray(up);
+      this.setPose({ position: new THREE.Vector3().fromArray(position), target: new THREE.Vector3().fromArray(target), fov });
+    }
+    this.clear();
+  }
+
+  /**
+   * Whether the camera is at (or flying back to) the Sun
+   */
+  get atEarth() {
+    return this.flight ? this.flight.toProgress === 0 : this.progress === 0;
+  }
+
+  /**
+   * Vertical field of view that fits the whole photo in the window
+   */
+  earthFov() {
+    const tanHalf = Math.max(this.tanHalfHeight, this.tanHalfWidth / this.camera.aspect);
+    return 2 * Math.atan(tanHalf) * 180 / Math.PI;
+  }
+
+  /**
+   * Camera pose at the Sun, looking at the photo center
+   */
+  earthPose() {
+    return {
+      position: new THREE.Vector3(0, 0, 0),
+      target: new THREE.Vector3(0, 0, -this.photoDistance / 2),
+      fov: this.earthFov()
+    };
+  }
+
+  /**
+   * Camera pose looking at the line of sight from the side
+   */
+  sidePose() {
+    const target = new THREE.Vector3(0, 0, -this.photoDistance / 2);
+    const angle = SIDE_VIEW_ANGLE * Math.PI / 180;
+    const elevation = SIDE_VIEW_ELEVATION * Math.PI / 180;
+    const distance = this.photoDistance * 1.3;
+    const offset = new THREE.Vector3(
+      Math.cos(elevation) * Math.sin(angle),
+      Math.sin(elevation),
+      Math.cos(elevation) * Math.cos(angle)
+    ).multiplyScalar(distance);
+    return { position: target.clone().add(offset), target, fov: SIDE_VIEW_FOV };
+  }
+
+  /**
+   * Current camera pose
+   */
+  currentPose() {
+    return {
+      position: this.camera.position.clone(),
+      target: this.controls.target.clone(),
+      fov: this.camera.fov
+    };
+  }
+
+  /**
+   * Move the camera to a pose
+   */
+  setPose({ position, target, fov }) {
+    this.camera.position.copy(position);
+    this.controls.target.copy(target);
+    this.camera.fov = fov;
+    this.camera.updateProjectionMatrix();
+    this.camera.lookAt(target);
+  }
+
+  /**
+   * Fly from the Sun out to the side view
+   */
+  flyToSide() {
+    this.startFlight(this.sidePose(), 1);
+  }
+
+  /**
+   * Fly back to the Sun (from wherever the camera is)
+   */
+  flyToEarth() {
+    this.startFlight(this.earthPose(), 0);
+  }
+
+  /**
+   * Start an animated camera flight
+   * The camera swings around the target on an arc, so the stars stay in view
+   */
+  startFlight(to, toProgress) {
+    if (!this.active) return;
+
+    const from = this.currentPose();
+    this.controls.enabled = false;
+    this.flight = {
+      start: performance.now(),
+      from,
+      to,
+      fromOffset: new THREE.Spherical().setFromVector3(from.position.clone().sub(from.target)),
+      toOffset: new THREE.Spherical().setFromVector3(to.position.clone().sub(to.target)),
+      fromProgress: this.progress,
+      toProgress
+    };
+
+    // Swing the short way around
+    const { fromOffset, toOffset } = this.flight;
+    if (toOffset.theta - fromOffset.theta > Math.PI) toOffset.theta -= 2 * Math.PI;
+    if (fromOffset.theta - toOffset.theta > Math.PI) toOffset.theta += 2 * Math.PI;
+  }
+
+  /**
+   * Advance the camera flight; call once per frame after the orbit controls update
+   * @param {number} now - performance.now()
+   */
+  update(now) {
+    if (!this.active) return;
+
+    if (!this.flight) {
+      // Hold the camera at the Sun, with the photo filling the window (which may be resized)
+      if (this.progress === 0) this.setPose(this.earthPose());
+      return;
+    }
+
+    const { start, from, to, fromOffset, toOffset, fromProgress, toProgress } = this.flight;
+    const t = Math.min(1, (now - start) / FLIGHT_DURATION);
+    const eased = easeInOutCubic(t);
+
+    const target = from.target.clone().lerp(to.target, eased);
+    const offset = new THREE.Spherical(
+      THREE.MathUtils.lerp(fromOffset.radius, toOffset.radius, eased),
+      THREE.MathUtils.lerp(fromOffset.phi, toOffset.phi, eased),
+      THREE.MathUtils.lerp(fromOffset.theta, toOffset.theta, eased)
+    );
+    this.setPose({
+      position: target.clone().add(new THREE.Vector3().setFromSpherical(offset)),
+      target,
+      fov: THREE.MathUtils.lerp(from.fov, to.fov, eased)
+    });
+
+    this.progress = THREE.MathUtils.lerp(fromProgress, toProgress, eased);
+    this.applyProgress();
+
+    if (t >= 1) {
+      this.flight = null;
+      this.progress = toProgress;
+      this.setPose(to);
+      // Orbiting is allowed in the side view; at the Sun the camera stays put
+      this.controls.enabled = toProgress === 1;
+    }
+  }
+
+  /**
+   * Size the stars and labels for the current flight progress
+   */
+  applyProgress() {
+    const t = this.progress;
+    this.stars.forEach(({ sphere, label, position, earthRadius, sideRadius, earthLabel, sideLabel }) => {
+      const radius = THREE.MathUtils.lerp(earthRadius, sideRadius, t);
+      sphere.scale.setScalar(radius);
+
+      const labelHeight = THREE.MathUtils.lerp(earthLabel, sideLabel, t);
+      label.scale.set(labelHeight * label.userData.aspect, labelHeight, 1);
+      label.position.copy(position);
+      label.position.y += radius * 1.5 + labelHeight / 2;
+    });
+
+    // The Sun is where the camera is until it moves away
+    if (this.sun) this.sun.visible = t > 0.02;
+  }
+
+  /**
+   * Show or hide the star name labels
+   */
+  setLabelsVisible(visible) {
+    this.labelsVisible = visible;
+    this.stars.forEach(({ label }) => { label.visible = visible; });
+  }
+}
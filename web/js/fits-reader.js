@@ -0,0 +1,271 @@
+/**
+ * FITS image reader
+ * Decodes FITS primary images (8/16/32-bit integer and 32/64-bit float) in the browser,
+ * parses header keywords, and renders a stretched 8-bit image for display and textures
+ */
+
+const BLOCK_SIZE = 2880;
+const CARD_SIZE = 80;
+
+/**
+ * Check whether a file looks like a FITS file (by extension)
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isFITSFile(file) {
+  return !!file && /\.(fits?|fts)$/i.test(file.name);
+}
+
+/**
+ * Parse a header card value (string, logical, integer or float)
+ * @param {string} text - Value field (after "= "), possibly with a trailing comment
+ * @returns {string|number|boolean|null}
+ */
+function parseCardValue(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith("'")) {
+    // Strings are quoted; '' is an escaped quote
+    let value = '';
+    for (let i = 1; i < trimmed.length; i++) {
+      if (trimmed[i] === "'") {
+        if (trimmed[i + 1] === "'") {
+          value += "'";
+          i++;
+        } else {
+          break;
+        }
+      } else {
+        value += trimmed[i];
+      }
+    }
+    return value.trimEnd();
+  }
+
+  const valueText = trimmed.split('/')[0].trim();
+  if (valueText === 'T') return true;
+  if (valueText === 'F') return false;
+  if (valueText === '') return null;
+
+  const number = Number(valueText.replace(/[dD]/, 'E'));
+  return isNaN(number) ? valueText : number;
+}
+
+/**
+ * Parse FITS header cards up to the END card
+ * @param {string} text - Header text (ASCII, 80-character cards)
+ * @returns {{header: Object<string, string|number|boolean|null>, headerLength: number}|null}
+ *   headerLength is the number of characters up to the end of the END card; null if there is no END card
+ */
+export function parseFITSHeader(text) {
+  const header = {};
+
+  for (let offset = 0; offset + CARD_SIZE <= text.length; offset += CARD_SIZE) {
+    const card = text.slice(offset, offset + CARD_SIZE);
+    const keyword = card.slice(0, 8).trim();
+
+    if (keyword === 'END') {
+      return { header, headerLength: offset + CARD_SIZE };
+    }
+    if (card.slice(8, 10) === '= ' && keyword) {
+      header[keyword] = parseCardValue(card.slice(10));
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read the primary image of a FITS file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{header: Object, width: number, height: number, channels: number, bitpix: number,
+ *   data: Float32Array[]}} One Float32Array per channel (physical values, FITS row order, NaN for blanks)
+ * @throws {Error} If the file is not a supported FITS image
+ */
+export function readFITS(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (String.fromCharCode(...bytes.subarray(0, 6)) !== 'SIMPLE') {
+    throw new Error('Not a FITS file');
+  }
+
+  // Read header blocks until the END card appears
+  let headerText = '';
+  let parsed = null;
+  for (let offset = 0; offset < bytes.length && !parsed; offset += BLOCK_SIZE) {
+    headerText += String.fromCharCode(...bytes.subarray(offset, offset + BLOCK_SIZE));
+    parsed = parseFITSHeader(headerText);
+  }
+
+  if (!parsed || parsed.header.SIMPLE !== true) {
+    throw new Error('Not a standard FITS file');
+  }
+  const { header, headerLength } = parsed;
+
+  const bitpix = header.BITPIX;
+  const naxis = header.NAXIS || 0;
+  const width = header.NAXIS1;
+  const height = header.NAXIS2;
+  if (naxis < 2 || !width || !height) {
+    throw new Error('FITS file has no 2D image in the primary HDU');
+  }
+  // Colour images are stored as 3 planes; otherwise only the first plane is used
+  const channels = naxis >= 3 && header.NAXIS3 === 3 ? 3 : 1;
+
+  const bytesPerValue = Math.abs(bitpix) / 8;
+  const readers = {
+    8: (view, offset) => view.getUint8(offset),
+    16: (view, offset) => view.getInt16(offset, false),
+    32: (view, offset) => view.getInt32(offset, false),
+    [-32]: (view, offset) => view.getFloat32(offset, false),
+    [-64]: (view, offset) => view.getFloat64(offset, false)
+  };
+  const read = readers[bitpix];
+  if (!read) {
+    throw new Error(`Unsupported FITS BITPIX: ${bitpix}`);
+  }
+
+  const dataStart = Math.ceil(headerLength / BLOCK_SIZE) * BLOCK_SIZE;
+  const planeSize = width * height;
+  if (dataStart + planeSize * channels * bytesPerValue > bytes.length) {
+    throw new Error('FITS file is truncated');
+  }
+
+  const bzero = typeof header.BZERO === 'number' ? header.BZERO : 0;
+  const bscale = typeof header.BSCALE === 'number' ? header.BSCALE : 1;
+  const blank = bitpix > 0 && typeof header.BLANK === 'number' ? header.BLANK : null;
+  const view = new DataView(buffer);
+
+  const data = [];
+  for (let channel = 0; channel < channels; channel++) {
+    const plane = new Float32Array(planeSize);
+    const planeOffset = dataStart + channel * planeSize * bytesPerValue;
+    for (let i = 0; i < planeSize; i++) {
+      const raw = read(view, planeOffset + i * bytesPerValue);
+      plane[i] = raw === blank ? NaN : bzero + bscale * raw;
+    }
+    data.push(plane);
+  }
+
+  return { header, width, height, channels, bitpix, data };
+}
+
+/**
+ * Find the values at the given percentiles (0-100) of all finite pixels
+ * Uses a sample of up to 200,000 pixels for speed
+ */
+function percentiles(planes, lowPercent, highPercent) {
+  const total = planes[0].length * planes.length;
+  const stride = Math.max(1, Math.floor(total / 200000));
+  const samples = [];
+
+  planes.forEach(plane => {
+    for (let i = 0; i < plane.length; i += stride) {
+      if (Number.isFinite(plane[i])) samples.push(plane[i]);
+    }
+  });
+  if (samples.length === 0) return [0, 1];
+
+  samples.sort((a, b) => a - b);
+  const at = (percent) => samples[Math.min(samples.length - 1, Math.max(0, Math.round(percent / 100 * (samples.length - 1))))];
+  return [at(lowPercent), at(highPercent)];
+}
+
+/**
+ * Stretch functions mapping 0-1 to 0-1
+ */
+const STRETCHES = {
+  linear: (t) => t,
+  asinh: (t) => Math.asinh(10 * t) / Math.asinh(10),
+  log: (t) => Math.log10(1 + 1000 * t) / 3
+};
+
+/**
+ * Render a FITS image to a canvas with a display stretch
+ * Rows are flipped so the canvas is top-down (unless the header says ROWORDER = 'TOP-DOWN').
+ * @param {Object} image - Result of readFITS
+ * @param {Object} options
+ * @param {string} options.mode - 'linear', 'asinh' or 'log'
+ * @param {number} options.blackPoint - Black point as a percentile of pixel values (0-100)
+ * @param {number} options.whitePoint - White point as a percentile of pixel values (0-100)
+ * @returns {HTMLCanvasElement}
+ */
+export function renderFITSToCanvas(image, { mode = 'asinh', blackPoint = 5, whitePoint = 99.9 } = {}) {
+  const { width, height, data } = image;
+  const stretch = STRETCHES[mode] || STRETCHES.linear;
+  const [black, white] = percentiles(data, blackPoint, Math.max(blackPoint, whitePoint));
+  const range = white > black ? white - black : 1;
+  const topDown = String(image.header.ROWORDER || '').trim().toUpperCase() === 'TOP-DOWN';
+
+  // Precompute the stretch for 4096 levels
+  const levels = 4096;
+  const lookup = new Uint8ClampedArray(levels);
+  for (let i = 0; i < levels; i++) {
+    lookup[i] = Math.round(stretch(i / (levels - 1)) * 255);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const output = ctx.createImageData(width, height);
+  const pixels = output.data;
+
+  for (let row = 0; row < height; row++) {
+    const sourceRow = topDown ? row : height - 1 - row;
+    for (let x = 0; x < width; x++) {
+      const source = sourceRow * width + x;
+      const target = (row * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        const value = data[image.channels === 3 ? c : 0][source];
+        const t = Number.isFinite(value) ? Math.min(1, Math.max(0, (value - black) / range)) : 0;
+        pixels[target + c] = lookup[Math.round(t * (levels - 1))];
+      }
+      pixels[target + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(output, 0, 0);
+  return canvas;
+}
+
+/**
+ * Parse a sexagesimal or decimal header value ("HH MM SS.s" or number)
+ * @returns {number|null} Value in the first unit (hours or degrees)
+ */
+function parseSexagesimal(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const parts = value.trim().split(/[\s:]+/).map(Number);
+  if (parts.some(isNaN)) return null;
+  const negative = value.trim().startsWith('-');
+  const magnitude = Math.abs(parts[0]) + (parts[1] || 0) / 60 + (parts[2] || 0) / 3600;
+  return negative ? -magnitude : magnitude;
+}
+
+/**
+ * Approximate pointing and scale from acquisition keywords, for headers without a WCS
+ * Uses OBJCTRA/OBJCTDEC (or RA/DEC in degrees) and XPIXSZ/FOCALLEN
+ * @param {Object} header - Parsed header keywords
+ * @returns {{centerRA: number|null, centerDec: number|null, scale: number|null}}
+ */
+export function approximatePointing(header) {
+  let centerRA = null;
+  let centerDec = null;
+
+  if (header.OBJCTRA !== undefined && header.OBJCTDEC !== undefined) {
+    const hours = parseSexagesimal(header.OBJCTRA);
+    centerRA = hours !== null ? hours * 15 : null;
+    centerDec = parseSexagesimal(header.OBJCTDEC);
+  } else if (typeof header.RA === 'number' && typeof header.DEC === 'number') {
+    centerRA = header.RA;
+    centerDec = header.DEC;
+  }
+
+  // Pixel size in microns and focal length in mm give arcsec/pixel
+  const scale = typeof header.XPIXSZ === 'number' && typeof header.FOCALLEN === 'number' && header.FOCALLEN > 0
+    ? 206.265 * header.XPIXSZ / header.FOCALLEN
+    : null;
+
+  return { centerRA, centerDec, scale };
+}
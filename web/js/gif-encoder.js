@@ -0,0 +1,243 @@
+/**
+ * Animated GIF encoder
+ * Writes GIF89a files frame by frame: each frame gets its own 256-color palette
+ * (median cut over its colors) and is LZW-compressed, looping forever by default
+ */
+
+const MAX_COLORS = 256;
+const MIN_DELAY_CS = 2; // Browsers slow down frames shorter than 2/100 s
+
+/**
+ * Bytes of a 16-bit little-endian number
+ */
+function uint16(value) {
+  return [value & 0xff, (value >> 8) & 0xff];
+}
+
+/**
+ * Reduce a frame to at most 256 colors (median cut on 5 bits per channel)
+ * @param {Uint8ClampedArray} rgba - Pixels
+ * @returns {{palette: Uint8Array, indices: Uint8Array}} 256 RGB palette entries and one index per pixel
+ */
+function quantize(rgba) {
+  const pixelCount = rgba.length / 4;
+  const keys = new Uint16Array(pixelCount);
+  const histogram = new Uint32Array(32768);
+  for (let i = 0; i < pixelCount; i++) {
+    const key = ((rgba[i * 4] >> 3) << 10) | ((rgba[i * 4 + 1] >> 3) << 5) | (rgba[i * 4 + 2] >> 3);
+    keys[i] = key;
+    histogram[key]++;
+  }
+
+  const colors = [];
+  for (let key = 0; key < 32768; key++) {
+    if (histogram[key] > 0) colors.push(key);
+  }
+  const channel = (key, c) => (key >> (10 - c * 5)) & 31;
+
+  // Split the box with the widest channel range (weighted by pixel count) at its median
+  const boxes = [colors];
+  while (boxes.length < MAX_COLORS) {
+    let best = -1;
+    let bestScore = 0;
+    let bestChannel = 0;
+    boxes.forEach((box, b) => {
+      if (box.length < 2) return;
+      let count = 0;
+      for (const key of box) count += histogram[key];
+      for (let c = 0; c < 3; c++) {
+        let min = 31;
+        let max = 0;
+        for (const key of box) {
+          const v = channel(key, c);
+          if (v < min) min = v;
+          if (v > max) max = v;
+        }
+        const score = (max - min) * Math.sqrt(count);
+        if (score > bestScore) {
+          bestScore = score;
+          best = b;
+          bestChannel = c;
+        }
+      }
+    });
+    if (best < 0) break;
+
+    const box = boxes[best].sort((a, b) => channel(a, bestChannel) - channel(b, bestChannel));
+    let total = 0;
+    for (const key of box) total += histogram[key];
+    let running = 0;
+    let split = 1;
+    for (let i = 0; i < box.length - 1; i++) {
+      running += histogram[box[i]];
+      split = i + 1;
+      if (running * 2 >= total) break;
+    }
+    boxes.splice(best, 1, box.slice(0, split), box.slice(split));
+  }
+
+  // Palette: weighted mean of each box
+  const palette = new Uint8Array(MAX_COLORS * 3);
+  boxes.forEach((box, b) => {
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (const key of box) {
+      const n = histogram[key];
+      for (let c = 0; c < 3; c++) sum[c] += ((channel(key, c) << 3) | 4) * n;
+      count += n;
+    }
+    for (let c = 0; c < 3; c++) palette[b * 3 + c] = Math.round(sum[c] / count);
+  });
+
+  // Nearest palette entry of each color in use
+  const lookup = new Int16Array(32768).fill(-1);
+  for (const key of colors) {
+    const r = (channel(key, 0) << 3) | 4;
+    const g = (channel(key, 1) << 3) | 4;
+    const bl = (channel(key, 2) << 3) | 4;
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    for (let p = 0; p < boxes.length; p++) {
+      const dr = palette[p * 3] - r;
+      const dg = palette[p * 3 + 1] - g;
+      const db = palette[p * 3 + 2] - bl;
+      const distance = dr * dr + dg * dg + db * db;
+      if (distance < nearestDistance) {
+        nearestDistance = distance;
+        nearest = p;
+      }
+    }
+    lookup[key] = nearest;
+  }
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    indices[i] = lookup[keys[i]];
+  }
+  return { palette, indices };
+}
+
+/**
+ * LZW-compress palette indices as GIF image data (with sub-block framing)
+ * @param {Uint8Array} indices
+ * @returns {Uint8Array}
+ */
+function lzwEncode(indices) {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const bytes = [];
+  let buffer = 0;
+  let bufferBits = 0;
+  const writeCode = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      bytes.push(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  writeCode(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const next = indices[i];
+    const key = (prefix << 8) | next;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    writeCode(prefix);
+    if (nextCode === 4096) {
+      // Table full: start a new one
+      writeCode(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = next;
+  }
+  writeCode(prefix);
+  writeCode(endCode);
+  if (bufferBits > 0) bytes.push(buffer & 0xff);
+
+  // Minimum code size, then the data in blocks of up to 255 bytes, then an empty block
+  const blockCount = Math.ceil(bytes.length / 255);
+  const out = new Uint8Array(1 + bytes.length + blockCount + 1);
+  out[0] = minCodeSize;
+  let offset = 1;
+  for (let start = 0; start < bytes.length; start += 255) {
+    const block = bytes.slice(start, start + 255);
+    out[offset++] = block.length;
+    out.set(block, offset);
+    offset += block.length;
+  }
+  out[offset] = 0;
+  return out;
+}
+
+/**
+ * Animated GIF built one frame at a time
+ */
+export class GIFEncoder {
+  /**
+   * @param {number} width - Frame width in pixels
+   * @param {number} height - Frame height in pixels
+   * @param {Object} options
+   * @param {number} options.frameDelayMs - Time each frame is shown
+   * @param {number} options.loop - Times to repeat (0 loops forever)
+   */
+  constructor(width, height, { frameDelayMs = 100, loop = 0 } = {}) {
+    this.width = width;
+    this.height = height;
+    this.frameDelayMs = frameDelayMs;
+    this.elapsedMs = 0;
+
+    const header = [
+      ...'GIF89a'.split('').map(c => c.charCodeAt(0)),
+      ...uint16(width), ...uint16(height),
+      0x00, 0, 0 // No global color table (each frame has its own)
+    ];
+    const netscape = [
+      0x21, 0xff, 0x0b, ...'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0)),
+      0x03, 0x01, ...uint16(loop), 0x00
+    ];
+    this.parts = [new Uint8Array([...header, ...netscape])];
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8ClampedArray} rgba - width × height RGBA pixels (alpha is ignored)
+   */
+  addFrame(rgba) {
+    const { palette, indices } = quantize(rgba);
+
+    // Delays are whole hundredths of a second: round the running time so the total stays right
+    const start = Math.round(this.elapsedMs / 10);
+    this.elapsedMs += this.frameDelayMs;
+    const delay = Math.max(MIN_DELAY_CS, Math.round(this.elapsedMs / 10) - start);
+
+    const control = [0x21, 0xf9, 0x04, 0x04, ...uint16(delay), 0x00, 0x00]; // Keep the frame (no disposal)
+    const descriptor = [0x2c, ...uint16(0), ...uint16(0), ...uint16(this.width), ...uint16(this.height), 0x87]; // 256-color local table
+    this.parts.push(new Uint8Array([...control, ...descriptor]), palette, lzwEncode(indices));
+  }
+
+  /**
+   * Finish the file
+   * @returns {Blob}
+   */
+  finish() {
+    this.parts.push(new Uint8Array([0x3b]));
+    return new Blob(this.parts, { type: 'image/gif' });
+  }
+}
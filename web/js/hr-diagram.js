@@ -0,0 +1,320 @@
+/**
+ * Hertzsprung–Russell diagram
+ * 2D panel plotting each star's temperature (hot on the left, with spectral classes) against
+ * its absolute magnitude (bright at the top), over a reference main sequence.
+ * Hovering and clicking report the star so the 3D view can highlight the same one.
+ */
+
+import { absoluteMagnitude } from './astrophysics.js';
+
+const WIDTH = 300; // Canvas size in CSS pixels
+const HEIGHT = 240;
+const MARGIN = { left: 34, right: 10, top: 20, bottom: 30 };
+const POINT_RADIUS = 4;
+const HIT_RADIUS = 8; // Pixels from a point that still count as on it
+
+// Approximate main sequence (dwarfs): effective temperature (K) and absolute V magnitude
+const MAIN_SEQUENCE = [
+  [42000, -5.5], [31400, -4.0], [17000, -1.6], [15700, -1.2], [12500, -0.2],
+  [9700, 0.6], [8080, 1.9], [7220, 2.6], [6510, 3.4], [5920, 4.4], [5770, 4.7],
+  [5660, 5.0], [5270, 5.8], [4440, 7.3], [3850, 8.9], [3400, 11.0], [3060, 14.0]
+];
+
+// Spectral classes by temperature: lower edge of each class
+const SPECTRAL_CLASSES = [
+  ['O', 30000], ['B', 10000], ['A', 7500], ['F', 6000], ['G', 5200], ['K', 3700], ['M', 0]
+];
+
+const TEMPERATURE_TICKS = [3000, 4000, 5000, 6000, 8000, 10000, 15000, 20000, 30000, 40000];
+
+/**
+ * Absolute magnitude of a star (stored, or worked out for data generated before it was)
+ */
+function starAbsoluteMagnitude(star) {
+  if (star.absMagnitude !== null && star.absMagnitude !== undefined) return star.absMagnitude;
+  return absoluteMagnitude(star.magnitude, star.distancePc, star.extinctionMag ?? 0);
+}
+
+/**
+ * Temperature tick label (e.g. "5000", "10k")
+ */
+function temperatureLabel(temperature) {
+  return temperature >= 10000 ? `${temperature / 1000}k` : String(temperature);
+}
+
+/**
+ * HR diagram drawn on a canvas, linked to the 3D view through callbacks
+ */
+export class HRDiagram {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} options
+   * @param {Function} options.onHover - Called with the hovered star data (or null) when it changes
+   * @param {Function} options.onSelect - Called with the clicked star data
+   */
+  constructor(canvas, { onHover, onSelect }) {
+    this.canvas = canvas;
+    this.onHover = onHover;
+    this.onSelect = onSelect;
+
+    this.points = []; // {star, temperature, absMag, x, y}
+    this.missing = 0; // Stars without temperature or absolute magnitude
+    this.hovered = null;
+    this.selected = [];
+    this.range = null;
+    this.updateRange(); // Default axes until stars are plotted
+
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = WIDTH * ratio;
+    canvas.height = HEIGHT * ratio;
+    canvas.style.width = `${WIDTH}px`;
+    canvas.style.height = `${HEIGHT}px`;
+    this.context = canvas.getContext('2d');
+    this.context.scale(ratio, ratio);
+
+    this.attachEvents();
+  }
+
+  /**
+   * Plot a new set of stars
+   * @param {Object[]} stars - Visualization star data
+   */
+  setStars(stars) {
+    this.points = [];
+    this.missing = 0;
+    stars.forEach(star => {
+      const absMag = starAbsoluteMagnitude(star);
+      if (star.temperature > 0 && absMag !== null) {
+        this.points.push({ star, temperature: star.temperature, absMag, x: 0, y: 0 });
+      } else {
+        this.missing++;
+      }
+    });
+    this.hovered = null;
+    this.selected = [];
+    this.updateRange();
+    this.draw();
+  }
+
+  /**
+   * Fit the axes to the plotted stars
+   */
+  updateRange() {
+    if (this.points.length === 0) {
+      this.range = { hot: 30000, cool: 3000, bright: -4, faint: 12 };
+      return;
+    }
+
+    const temperatures = this.points.map(p => p.temperature);
+    const magnitudes = this.points.map(p => p.absMag);
+    const hot = Math.min(50000, Math.max(...temperatures) * 1.2);
+    const cool = Math.max(2000, Math.min(...temperatures) / 1.2);
+
+    // At least 6 magnitudes tall so a few stars are not spread over the whole height
+    let bright = Math.min(...magnitudes) - 1;
+    let faint = Math.max(...magnitudes) + 1;
+    if (faint - bright < 6) {
+      const middle = (bright + faint) / 2;
+      bright = middle - 3;
+      faint = middle + 3;
+    }
+
+    this.range = { hot, cool, bright, faint };
+    this.points.forEach(p => {
+      p.x = this.xFor(p.temperature);
+      p.y = this.yFor(p.absMag);
+    });
+  }
+
+  /**
+   * Canvas x of a temperature (log scale, hot on the left)
+   */
+  xFor(temperature) {
+    const { hot, cool } = this.range;
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    return MARGIN.left + Math.log(hot / temperature) / Math.log(hot / cool) * plotWidth;
+  }
+
+  /**
+   * Canvas y of an absolute magnitude (bright at the top)
+   */
+  yFor(absMag) {
+    const { bright, faint } = this.range;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+    return MARGIN.top + (absMag - bright) / (faint - bright) * plotHeight;
+  }
+
+  /**
+   * Highlight stars (the same ones highlighted in the 3D view)
+   * @param {Object|null} hovered - Hovered star data
+   * @param {Object[]} selected - Selected or measured star data
+   */
+  setHighlighted(hovered, selected = []) {
+    this.hovered = hovered;
+    this.selected = selected;
+    this.draw();
+  }
+
+  /**
+   * Star data under a canvas position
+   * @param {number} x - CSS pixels from the canvas left
+   * @param {number} y - CSS pixels from the canvas top
+   * @returns {Object|null}
+   */
+  starAt(x, y) {
+    let nearest = null;
+    let nearestDistance = HIT_RADIUS;
+    this.points.forEach(p => {
+      const distance = Math.hypot(p.x - x, p.y - y);
+      if (distance <= nearestDistance) {
+        nearest = p.star;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  }
+
+  /**
+   * Draw axes, spectral classes, main sequence and stars
+   */
+  draw() {
+    const ctx = this.context;
+    const { hot, cool, bright, faint } = this.range;
+    const right = WIDTH - MARGIN.right;
+    const bottom = HEIGHT - MARGIN.bottom;
+
+    ctx.clearRect(0, 0, WIDTH, HEIGHT);
+    ctx.font = '10px Arial';
+    ctx.lineWidth = 1;
+
+    // Spectral class bands along the top
+    ctx.textAlign = 'center';
+    let upper = Infinity;
+    SPECTRAL_CLASSES.forEach(([name, lower]) => {
+      const left = this.xFor(Math.min(upper, hot));
+      const edge = this.xFor(Math.max(lower, cool));
+      upper = lower;
+      if (edge - left < 8) return;
+      ctx.fillStyle = '#999';
+      ctx.fillText(name, (left + edge) / 2, MARGIN.top - 6);
+      if (lower > cool) {
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.beginPath();
+        ctx.moveTo(edge, MARGIN.top);
+        ctx.lineTo(edge, bottom);
+        ctx.stroke();
+      }
+    });
+
+    // Temperature ticks
+    ctx.fillStyle = '#999';
+    TEMPERATURE_TICKS.filter(t => t <= hot && t >= cool).forEach(t => {
+      const x = this.xFor(t);
+      ctx.fillText(temperatureLabel(t), x, bottom + 11);
+    });
+    ctx.fillText('Temperature (K)', (MARGIN.left + right) / 2, HEIGHT - 4);
+
+    // Magnitude ticks
+    const span = faint - bright;
+    const step = span <= 8 ? 1 : span <= 16 ? 2 : 5;
+    ctx.textAlign = 'right';
+    for (let m = Math.ceil(bright / step) * step; m <= faint; m += step) {
+      ctx.fillText(String(m), MARGIN.left - 4, this.yFor(m) + 3);
+    }
+    ctx.save();
+    ctx.translate(9, (MARGIN.top + bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.textAlign = 'center';
+    ctx.fillText('Absolute magnitude', 0, 0);
+    ctx.restore();
+
+    // Plot frame
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.strokeRect(MARGIN.left, MARGIN.top, right - MARGIN.left, bottom - MARGIN.top);
+
+    // Main sequence reference, clipped to the plot
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(MARGIN.left, MARGIN.top, right - MARGIN.left, bottom - MARGIN.top);
+    ctx.clip();
+    ctx.strokeStyle = 'rgba(120, 170, 255, 0.6)';
+    ctx.lineWidth = 6;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    MAIN_SEQUENCE.forEach(([t, m], i) => {
+      if (i === 0) ctx.moveTo(this.xFor(t), this.yFor(m));
+      else ctx.lineTo(this.xFor(t), this.yFor(m));
+    });
+    ctx.globalAlpha = 0.35;
+    ctx.stroke();
+    ctx.restore();
+
+    ctx.fillStyle = 'rgba(120, 170, 255, 0.8)';
+    ctx.textAlign = 'left';
+    ctx.fillText('Main sequence', MARGIN.left + 4, bottom - 5);
+
+    // Stars, highlighted ones last so they are on top
+    const isHighlighted = p => p.star === this.hovered || this.selected.includes(p.star);
+    const ordered = [...this.points.filter(p => !isHighlighted(p)), ...this.points.filter(isHighlighted)];
+    ordered.forEach(p => {
+      ctx.fillStyle = p.star.spectralColorHex || '#ffffff';
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, POINT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+
+      if (isHighlighted(p)) {
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, POINT_RADIUS + 3, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.lineWidth = 1;
+      }
+    });
+
+    // Name of the hovered star
+    const hovered = this.points.find(p => p.star === this.hovered);
+    if (hovered) {
+      const name = hovered.star.name || `HIP ${hovered.star.hip}`;
+      ctx.font = 'bold 11px Arial';
+      ctx.fillStyle = '#ffffff';
+      ctx.textAlign = hovered.x > (MARGIN.left + right) / 2 ? 'right' : 'left';
+      ctx.fillText(name, hovered.x + (ctx.textAlign === 'left' ? 10 : -10), hovered.y - 6);
+    }
+
+    if (this.missing > 0) {
+      ctx.font = '10px Arial';
+      ctx.fillStyle = '#777';
+      ctx.textAlign = 'right';
+      ctx.fillText(`${this.missing} without temperature or magnitude`, right - 4, MARGIN.top + 12);
+    }
+  }
+
+  /**
+   * Listen for hovering and clicks on the canvas
+   */
+  attachEvents() {
+    const position = (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      return [e.clientX - rect.left, e.clientY - rect.top];
+    };
+
+    this.canvas.addEventListener('mousemove', (e) => {
+      const star = this.starAt(...position(e));
+      this.canvas.style.cursor = star ? 'pointer' : '';
+      if (star !== this.hovered) {
+        this.onHover(star);
+      }
+    });
+
+    this.canvas.addEventListener('mouseleave', () => {
+      this.canvas.style.cursor = '';
+      if (this.hovered) this.onHover(null);
+    });
+
+    this.canvas.addEventListener('click', (e) => {
+      const star = this.starAt(...position(e));
+      if (star) this.onSelect(star);
+    });
+  }
+}
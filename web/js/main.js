@@ -4,14 +4,48 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { createWireframeVolume, createImagePlane as createImagePlaneTexture, updateVolumeDepth } from './volume.js';
+import { createWireframeVolume, createImagePlane as createImagePlaneTexture, updateVolumeDepth,
+         createDepthRuler, createGridPlanes } from './volume.js';
 import { createStars } from './stars.js';
-import { initDataEntry } from './data-entry.js';
-import { formatDistance } from './utils.js';
+import { initDataEntry, openSharedView } from './data-entry.js';
+import { canShareVisualization, createShareURL, hasSharedState } from './share-url.js';
+import { EarthView, canShowEarthView } from './earth-view.js';
+import { createDistanceScale, applyDistanceScale, toScaledDistance, distanceTicks } from './distance-scale.js';
+import { StarPicker } from './star-picking.js';
+import { HRDiagram } from './hr-diagram.js';
+import { findClusters, createClusterEllipsoid, clusterSummaryHTML, CLUSTER_COLORS } from './clusters.js';
+import { createMotionModel, hasSpaceMotion, TIME_RANGE_MYR } from './space-motion.js';
+import { CameraTour } from './camera-tour.js';
+import { initVideoExport } from './video-export.js';
+import { initCapture } from './capture.js';
+import { initModelExport } from './model-export.js';
+import { StereoView } from './stereo.js';
+import { showStarDetails, hideStarDetails } from './star-details.js';
+import { createSkyPositions, measureSeparation, formatAngle, separationTable, separationTableCSV,
+  createSeparationConnector } from './separation.js';
+import { formatDistance, LY_PER_PC, hasValue, downloadBlob } from './utils.js';
 
 let scene, camera, renderer, controls;
 let volumeGroup, imagePlane, backImagePlane, stars;
 let distanceLabels = []; // Store distance label sprites
+let depthRuler = null; // Ticks and labels along the depth axis
+let gridPlanes = null; // Translucent planes at the major ticks
+let earthView = null; // True-perspective view from the Sun
+let starPicker = null; // Hover and click picking of star spheres
+let cameraTour = null; // Recorded keyframes and their playback
+let hoveredStar = null;
+let selectedStar = null; // Star shown in the details panel
+let measureMode = false; // Clicks pick stars to measure instead of opening the details panel
+let measureStars = []; // Up to two stars being measured
+let measureConnector = null; // Line and label between the measured stars
+let hrDiagram = null; // HR diagram panel, linked to the 3D view
+let clusterOverlay = null; // Ellipsoids around cluster members
+let motionModel = null; // Places stars at another time from their proper motion and radial velocity
+let timePlaying = false; // Time slider sweeping back and forth
+let lastFrameTime = null;
+let timeDirection = 1; // Sweep direction while playing
+let exporting = false; // A video is being rendered, so the view is not animated
+let stereoView = null; // Mono, anaglyph or side-by-side rendering
 
 // Configuration
 let starData = null;
@@ -22,9 +56,19 @@ let showInfoLabels = true;
 let labelSize = 1.0; // Label size multiplier
 let starLabelSize = 1.0; // Star label size multiplier (independent)
 let starLabelColor = '#ffffff'; // Star label color
+let starSizeMode = 'magnitude'; // Sphere size from apparent magnitude or luminosity
 let showWireframe = true;
 let showDistanceLabels = true;
+let showGridPlanes = false;
 let showStarSpheres = true;
+let showErrorBars = true;
+let showHRDiagram = true;
+let showClusters = false;
+let clusterLinkDistance = null; // Cluster link distance in pc (null picks one automatically)
+let timeMyr = 0; // Time from the observation in millions of years (negative is the past)
+let stereoSeparation = 2; // Stereo eye separation in percent of the volume width
+
+const TIME_SWEEP_SECONDS = 10; // Playing sweeps the time slider from end to end in this time
 
 /**
  * Initialize Three.js scene
@@ -44,9 +88,11 @@ function init() {
   
   // Create renderer
   const canvas = document.getElementById('canvas');
-  renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+  // Alpha channel for transparent captures (the black scene background keeps the view opaque)
+  renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: true });
   renderer.setSize(window.innerWidth, window.innerHeight);
   renderer.setPixelRatio(window.devicePixelRatio);
+  stereoView = new StereoView(renderer);
   
   // Add lighting
   const ambientLight = new THREE.AmbientLight(0xffffff, 0.4); // Slightly reduced from 0.5
@@ -63,26 +109,97 @@ function init() {
   controls.minDistance = 100;
   controls.maxDistance = 10000;
   
+  earthView = new EarthView(scene, camera, controls);
+  
+  cameraTour = new CameraTour(camera, controls, {
+    getViewState,
+    applyViewState,
+    onCaption: showTourCaption,
+    onChange: updateTourPanel
+  });
+  // Moving the view by hand hides the caption of a keyframe flown to with "Go"
+  controls.addEventListener('start', () => showTourCaption(''));
+  
+  initVideoExport({
+    renderer,
+    camera,
+    controls,
+    cameraTour,
+    getViewState,
+    setExporting,
+    setLabelsVisible: setExportLabelsVisible,
+    render: renderView
+  });
+  
+  initCapture({
+    renderer,
+    scene,
+    camera,
+    getViewState,
+    getLegend: getCaptureLegend,
+    render: renderView
+  });
+  
+  initModelExport({
+    scene,
+    getModel: getExportModel
+  });
+  
+  starPicker = new StarPicker(camera, renderer.domElement, {
+    getStars: () => stars,
+    onHover: (star) => {
+      hoveredStar = star;
+      updateStarHighlights();
+    },
+    onSelect: handleStarClick
+  });
+  
+  // Hovering or clicking a star in the HR diagram acts on the same star in the 3D view
+  hrDiagram = new HRDiagram(document.getElementById('hr-diagram-canvas'), {
+    onHover: (data) => {
+      hoveredStar = findStarVisualization(data);
+      updateStarHighlights();
+    },
+    onSelect: (data) => handleStarClick(findStarVisualization(data))
+  });
+  
   // Handle window resize
   window.addEventListener('resize', onWindowResize);
   
   // Setup UI controls
   setupUIControls();
   
-  // Expose initialization function for data entry
+  // Expose initialization function and view state for data entry
   window.initVisualization = initVisualization;
+  window.getViewState = getViewState;
   
-  // Try to load star data if available
-  loadStarData();
+  // Open a shared view from the link, otherwise try to load star data if available
+  if (hasSharedState(window.location.hash)) {
+    openSharedView(window.location.hash);
+  } else {
+    loadStarData();
+  }
 }
 
 /**
  * Initialize visualization with provided data
  * Called from data entry form
+ * @param {Object} data - Visualization data
+ * @param {Object|null} viewState - View settings and camera pose to restore (see getViewState)
  */
-async function initVisualization(data) {
+async function initVisualization(data, viewState = null) {
+  // Stopping refits the previous field's clusters, so stop before switching fields
+  setTimePlaying(false);
   starData = data;
   
+  // Leave the Earth view of the previous field
+  earthView.exit();
+  updateStarPicking();
+  selectStar(null);
+  setMeasureMode(false);
+  timeMyr = 0;
+  cameraTour.load([]);
+  
   // Clear existing scene elements
   if (volumeGroup) scene.remove(volumeGroup);
   if (imagePlane) scene.remove(imagePlane);
@@ -131,6 +248,10 @@ async function initVisualization(data) {
   // Create stars (this will also position the camera)
   createStarVisualizations();
   
+  if (viewState) {
+    applyViewState(viewState);
+  }
+  
   // Start animation loop if not already running
   if (!window.animationRunning) {
     window.animationRunning = true;
@@ -254,8 +375,16 @@ async function createImagePlane() {
 
 /**
  * Create star visualizations
+ * @param {boolean} resetCamera - Move the camera to the front view (false keeps the current view)
  */
-function createStarVisualizations() {
+function createStarVisualizations(resetCamera = true) {
+  // Keep the selected and measured stars when the stars are placed again
+  const selectedHip = selectedStar ? selectedStar.starData.hip : null;
+  const measuredHips = measureStars.map(star => star.starData.hip);
+  hoveredStar = null;
+  selectedStar = null;
+  measureStars = [];
+  
   // Remove existing stars
   if (stars) {
     stars.forEach(star => {
@@ -285,7 +414,8 @@ function createStarVisualizations() {
     },
     labelSize,
     starLabelSize,
-    starLabelColor
+    starLabelColor,
+    starSizeMode
   );
   
   // Add all stars to scene (visibility controlled later)
@@ -293,6 +423,10 @@ function createStarVisualizations() {
     scene.add(star.group);
   });
   
+  // Move the stars to the time on the slider
+  motionModel = createMotionModel(starData);
+  placeStarsAtTime();
+  
   // Update visibility based on current settings
   updateStarVisibility();
   updateStarLines();
@@ -302,6 +436,7 @@ function createStarVisualizations() {
     star.setInfoLabelVisible(showInfoLabels);
     star.setLineVisible(showLines);
     star.setSphereVisible(showStarSpheres);
+    star.setErrorBarVisible(showErrorBars);
   });
   
   // Set wireframe visibility
@@ -314,7 +449,45 @@ function createStarVisualizations() {
   addDistanceLabels();
   
   // Position camera to fit volume nicely, starting with front view
-  positionCameraForVolume();
+  if (resetCamera) {
+    positionCameraForVolume();
+  }
+  
+  // The HR diagram is highlighted along with the stars, so it needs them first
+  hrDiagram.setStars(starData.stars);
+  
+  if (selectedHip !== null) {
+    selectStar(stars.find(star => star.starData.hip === selectedHip) || null);
+  }
+  measureStars = measuredHips.map(hip => stars.find(star => star.starData.hip === hip)).filter(Boolean);
+  updateMeasurement();
+  
+  // Show the distance scale of this field (data without a mode is linear)
+  const distanceScaleSelect = document.getElementById('distance-scale');
+  if (distanceScaleSelect) {
+    distanceScaleSelect.value = (starData.scaling && starData.scaling.mode) || 'linear';
+  }
+  
+  updateHRDiagramPanel();
+  updateStarHighlights();
+  updateClusters();
+  
+  updateTimeControls();
+  updateEarthViewButtons();
+}
+
+/**
+ * Switch the depth axis to another distance scale and place the stars again
+ * @param {string} mode - Distance scale mode (see distance-scale.js)
+ */
+function setDistanceScale(mode) {
+  if (!starData) return;
+  
+  starData.scaling = createDistanceScale(starData.stars.map(star => star.distanceLy), mode);
+  applyDistanceScale(starData.stars, starData.scaling);
+  
+  createStarVisualizations(false);
+  updateDistanceLabels();
 }
 
 /**
@@ -353,8 +526,33 @@ function setupUIControls() {
       if (stars) {
         stars.forEach(star => star.updateDistanceUnit(distanceUnit));
       }
-      // Update wireframe labels too
+      // Update wireframe labels and ticks too
       updateDistanceLabels();
+      addDepthRuler();
+      if (selectedStar) {
+        selectStar(selectedStar);
+      }
+      updateMeasurement();
+      updateClusters();
+    });
+  }
+  
+  // Distance scale selector
+  const distanceScaleSelect = document.getElementById('distance-scale');
+  if (distanceScaleSelect) {
+    distanceScaleSelect.addEventListener('change', (e) => {
+      setDistanceScale(e.target.value);
+    });
+  }
+  
+  // Star sphere size from apparent magnitude or luminosity
+  const starSizeModeSelect = document.getElementById('star-size-mode');
+  if (starSizeModeSelect) {
+    starSizeModeSelect.addEventListener('change', (e) => {
+      starSizeMode = e.target.value;
+      if (starData) {
+        createStarVisualizations(false);
+      }
     });
   }
   
@@ -417,6 +615,15 @@ function setupUIControls() {
     toggleDistanceLabels.addEventListener('change', (e) => {
       showDistanceLabels = e.target.checked;
       distanceLabels.forEach(label => label.visible = showDistanceLabels);
+      if (depthRuler) depthRuler.visible = showDistanceLabels;
+    });
+  }
+  
+  const toggleGridPlanes = document.getElementById('toggle-grid-planes');
+  if (toggleGridPlanes) {
+    toggleGridPlanes.addEventListener('change', (e) => {
+      showGridPlanes = e.target.checked;
+      if (gridPlanes) gridPlanes.visible = showGridPlanes;
     });
   }
   
@@ -427,6 +634,7 @@ function setupUIControls() {
       if (stars) {
         stars.forEach(star => star.setStarLabelVisible(showStarLabels));
       }
+      earthView.setLabelsVisible(showStarLabels);
     });
   }
   
@@ -459,6 +667,837 @@ function setupUIControls() {
       }
     });
   }
+  
+  // Star details panel
+  const starDetailsCloseBtn = document.getElementById('star-details-close');
+  if (starDetailsCloseBtn) {
+    starDetailsCloseBtn.addEventListener('click', () => selectStar(null));
+  }
+  
+  // HR diagram panel
+  const toggleHRDiagram = document.getElementById('toggle-hr-diagram');
+  if (toggleHRDiagram) {
+    toggleHRDiagram.addEventListener('change', (e) => {
+      showHRDiagram = e.target.checked;
+      updateHRDiagramPanel();
+    });
+  }
+  
+  const hrDiagramCloseBtn = document.getElementById('hr-diagram-close');
+  if (hrDiagramCloseBtn && toggleHRDiagram) {
+    hrDiagramCloseBtn.addEventListener('click', () => {
+      toggleHRDiagram.checked = false;
+      toggleHRDiagram.dispatchEvent(new Event('change'));
+    });
+  }
+  
+  // Time slider (proper motion and radial velocity)
+  const timeSlider = document.getElementById('time-myr');
+  if (timeSlider) {
+    timeSlider.min = -TIME_RANGE_MYR;
+    timeSlider.max = TIME_RANGE_MYR;
+    timeSlider.addEventListener('input', (e) => setTime(parseFloat(e.target.value), true));
+    // Released: fit the cluster ellipsoids to the new positions
+    timeSlider.addEventListener('change', (e) => setTime(parseFloat(e.target.value)));
+  }
+  
+  const timePlayBtn = document.getElementById('time-play-btn');
+  if (timePlayBtn) {
+    timePlayBtn.addEventListener('click', () => setTimePlaying(!timePlaying));
+  }
+  
+  const timeNowBtn = document.getElementById('time-now-btn');
+  if (timeNowBtn) {
+    timeNowBtn.addEventListener('click', () => {
+      setTimePlaying(false);
+      setTime(0);
+    });
+  }
+  
+  // Cluster membership
+  const toggleClusters = document.getElementById('toggle-clusters');
+  if (toggleClusters) {
+    toggleClusters.addEventListener('change', (e) => {
+      showClusters = e.target.checked;
+      updateClusters();
+    });
+  }
+  
+  const clusterLinkInput = document.getElementById('cluster-link-distance');
+  if (clusterLinkInput) {
+    clusterLinkInput.addEventListener('change', (e) => {
+      const value = parseFloat(e.target.value);
+      clusterLinkDistance = value > 0 ? value : null;
+      updateClusters();
+    });
+  }
+  
+  // Measure separations
+  const measureBtn = document.getElementById('measure-btn');
+  if (measureBtn) {
+    measureBtn.addEventListener('click', () => setMeasureMode(!measureMode));
+  }
+  
+  const exportSeparationsBtn = document.getElementById('export-separations-btn');
+  if (exportSeparationsBtn) {
+    exportSeparationsBtn.addEventListener('click', exportSeparations);
+  }
+  
+  // Camera tour
+  const tourAddBtn = document.getElementById('tour-add-btn');
+  const tourCaptionInput = document.getElementById('tour-caption');
+  if (tourAddBtn) {
+    tourAddBtn.addEventListener('click', () => {
+      if (!starData || earthView.active) return;
+      cameraTour.addKeyframe(tourCaptionInput ? tourCaptionInput.value.trim() : '');
+      if (tourCaptionInput) tourCaptionInput.value = '';
+    });
+  }
+  
+  const tourPlayBtn = document.getElementById('tour-play-btn');
+  if (tourPlayBtn) {
+    tourPlayBtn.addEventListener('click', () => {
+      if (cameraTour.playing) {
+        cameraTour.stop();
+      } else if (starData && !earthView.active) {
+        cameraTour.play();
+      }
+    });
+  }
+  
+  const tourKeyframes = document.getElementById('tour-keyframes');
+  if (tourKeyframes) {
+    tourKeyframes.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (!button || earthView.active) return;
+      const index = parseInt(button.closest('.tour-keyframe').dataset.index, 10);
+      switch (button.dataset.action) {
+        case 'go': cameraTour.goTo(index); break;
+        case 'up': cameraTour.moveKeyframe(index, -1); break;
+        case 'down': cameraTour.moveKeyframe(index, 1); break;
+        case 'remove': cameraTour.removeKeyframe(index); break;
+      }
+    });
+    tourKeyframes.addEventListener('change', (e) => {
+      const field = e.target.dataset.field;
+      if (!field) return;
+      const index = parseInt(e.target.closest('.tour-keyframe').dataset.index, 10);
+      cameraTour.updateKeyframe(index, { [field]: e.target.value });
+    });
+  }
+  
+  // View from Earth
+  const earthViewBtn = document.getElementById('earth-view-btn');
+  if (earthViewBtn) {
+    earthViewBtn.addEventListener('click', toggleEarthView);
+  }
+  
+  const earthFlyBtn = document.getElementById('earth-fly-btn');
+  if (earthFlyBtn) {
+    earthFlyBtn.addEventListener('click', () => {
+      if (earthView.atEarth) {
+        earthView.flyToSide();
+      } else {
+        earthView.flyToEarth();
+      }
+      updateEarthViewButtons();
+    });
+  }
+  
+  // Stereo 3D mode and eye separation
+  const stereoModeSelect = document.getElementById('stereo-mode');
+  if (stereoModeSelect) {
+    stereoModeSelect.addEventListener('change', (e) => {
+      stereoView.setMode(e.target.value);
+      document.getElementById('stereo-separation-row').style.display = stereoView.mode === 'off' ? 'none' : 'block';
+      updateStarPicking();
+    });
+  }
+  
+  const stereoSeparationSlider = document.getElementById('stereo-separation');
+  const stereoSeparationValue = document.getElementById('stereo-separation-value');
+  if (stereoSeparationSlider) {
+    stereoSeparationSlider.addEventListener('input', (e) => {
+      stereoSeparation = parseFloat(e.target.value);
+      if (stereoSeparationValue) {
+        stereoSeparationValue.textContent = `${stereoSeparation.toFixed(1)}%`;
+      }
+    });
+  }
+  
+  // Share link for the current field and view
+  const copyLinkBtn = document.getElementById('copy-share-link');
+  if (copyLinkBtn) {
+    copyLinkBtn.addEventListener('click', copyShareLink);
+  }
+  
+  const toggleErrorBars = document.getElementById('toggle-error-bars');
+  if (toggleErrorBars) {
+    toggleErrorBars.addEventListener('change', (e) => {
+      showErrorBars = e.target.checked;
+      if (stars) {
+        stars.forEach(star => star.setErrorBarVisible(showErrorBars));
+      }
+    });
+  }
+}
+
+/**
+ * View control IDs and the event their handlers listen for, by view state key
+ */
+const VIEW_CONTROLS = {
+  distanceUnit: ['distance-unit', 'change'],
+  starSizeMode: ['star-size-mode', 'change'],
+  labelSize: ['label-size', 'input'],
+  starLabelSize: ['star-label-size', 'input'],
+  starLabelColor: ['star-label-color', 'input'],
+  showWireframe: ['toggle-wireframe', 'change'],
+  showDistanceLabels: ['toggle-distance-labels', 'change'],
+  showGridPlanes: ['toggle-grid-planes', 'change'],
+  showStarLabels: ['toggle-star-labels', 'change'],
+  showInfoLabels: ['toggle-info-labels', 'change'],
+  showLines: ['toggle-star-lines', 'change'],
+  showStarSpheres: ['toggle-star-spheres', 'change'],
+  showErrorBars: ['toggle-error-bars', 'change'],
+  showHRDiagram: ['toggle-hr-diagram', 'change'],
+  showClusters: ['toggle-clusters', 'change'],
+  clusterLinkDistance: ['cluster-link-distance', 'change'],
+  timeMyr: ['time-myr', 'change']
+};
+
+/**
+ * Get the current view settings and camera pose
+ * @returns {Object} Serializable view state
+ */
+function getViewState() {
+  return {
+    distanceUnit,
+    starSizeMode,
+    labelSize,
+    starLabelSize,
+    starLabelColor,
+    showWireframe,
+    showDistanceLabels,
+    showGridPlanes,
+    showStarLabels,
+    showInfoLabels,
+    showLines,
+    showStarSpheres,
+    showErrorBars,
+    showHRDiagram,
+    showClusters,
+    clusterLinkDistance,
+    timeMyr,
+    tour: cameraTour.toJSON(),
+    // In the Earth view, keep the 3D model's camera (the Earth view is not saved)
+    camera: earthView.active ? {
+      position: earthView.savedCamera.position,
+      target: earthView.savedCamera.target,
+      up: earthView.savedCamera.up
+    } : {
+      position: camera.position.toArray(),
+      target: controls.target.toArray(),
+      up: camera.up.toArray()
+    }
+  };
+}
+
+/**
+ * Restore view settings and camera pose saved by getViewState
+ * Settings go through the UI controls so the panel and the scene stay in sync
+ * @param {Object} viewState - Saved view state (missing keys are left unchanged)
+ */
+function applyViewState(viewState) {
+  Object.entries(VIEW_CONTROLS).forEach(([key, [id, eventName]]) => {
+    const control = document.getElementById(id);
+    if (!control || viewState[key] === undefined) return;
+    
+    if (control.type === 'checkbox') {
+      control.checked = !!viewState[key];
+    } else {
+      control.value = viewState[key];
+    }
+    control.dispatchEvent(new Event(eventName));
+  });
+  
+  if (viewState.tour !== undefined) {
+    cameraTour.load(viewState.tour);
+  }
+  
+  if (viewState.camera) {
+    const { position, target, up } = viewState.camera;
+    if (up) camera.up.fromArray(up);
+    camera.position.fromArray(position);
+    controls.target.fromArray(target);
+    camera.lookAt(controls.target);
+    controls.update();
+  }
+}
+
+/**
+ * Copy a link that reopens the current field from the current angle
+ */
+async function copyShareLink() {
+  const button = document.getElementById('copy-share-link');
+  if (!starData || !canShareVisualization(starData)) {
+    alert('Share links work for fields whose images come from the site (such as the examples). Use "Save Project" to share your own images.');
+    return;
+  }
+  
+  try {
+    const url = await createShareURL(starData, getViewState());
+    try {
+      await navigator.clipboard.writeText(url);
+      button.textContent = 'Link Copied';
+      setTimeout(() => { button.textContent = 'Copy Link'; }, 2000);
+    } catch (error) {
+      // Clipboard access can be blocked (e.g. insecure context); let the user copy it
+      window.prompt('Copy this link:', url);
+    }
+  } catch (error) {
+    console.error('Error creating share link:', error);
+    alert('Could not create a share link: ' + error.message);
+  }
+}
+
+/**
+ * Switch between the 3D model and the view from Earth
+ */
+async function toggleEarthView() {
+  if (!starData) return;
+  
+  try {
+    if (earthView.active) {
+      earthView.exit();
+    } else {
+      cameraTour.stop();
+      earthView.setLabelsVisible(showStarLabels);
+      await earthView.enter(starData);
+    }
+    updateStarPicking();
+  } catch (error) {
+    console.error('Error creating view from Earth:', error);
+    alert('Could not create the view from Earth: ' + error.message);
+  }
+  updateEarthViewButtons();
+}
+
+/**
+ * Star picking needs the 3D model in one view: not the Earth view or a split stereo view
+ */
+function updateStarPicking() {
+  starPicker.setEnabled(!earthView.active && !stereoView.splitScreen);
+}
+
+/**
+ * Show a star in the details panel (null closes the panel)
+ * @param {StarVisualization|null} star
+ */
+function selectStar(star) {
+  selectedStar = star;
+  updateStarHighlights();
+  
+  if (star) {
+    showStarDetails(star.starData, { unit: distanceUnit, wcs: starData ? starData.wcs : null });
+  } else {
+    hideStarDetails();
+  }
+}
+
+/**
+ * Open a clicked star (3D view or HR diagram): measure it in measure mode, otherwise show its details
+ * @param {StarVisualization|null} star
+ */
+function handleStarClick(star) {
+  if (measureMode) {
+    addMeasureStar(star);
+  } else {
+    selectStar(star);
+  }
+}
+
+/**
+ * StarVisualization of a visualization star
+ * @param {Object|null} data - Star data (from starData.stars)
+ * @returns {StarVisualization|null}
+ */
+function findStarVisualization(data) {
+  if (!data || !stars) return null;
+  return stars.find(star => star.starData === data) || null;
+}
+
+/**
+ * Highlight the hovered and the selected (or measured) stars in the 3D view and the HR diagram
+ */
+function updateStarHighlights() {
+  if (!stars) return;
+  const selected = selectedStar ? [selectedStar, ...measureStars] : measureStars;
+  stars.forEach(star => star.setHighlighted(star === hoveredStar || selected.includes(star)));
+  hrDiagram.setHighlighted(hoveredStar ? hoveredStar.starData : null, selected.map(star => star.starData));
+}
+
+/**
+ * Show the HR diagram panel when it is turned on and a field is open
+ */
+function updateHRDiagramPanel() {
+  const panel = document.getElementById('hr-diagram-panel');
+  if (panel) {
+    panel.style.display = showHRDiagram && starData ? 'block' : 'none';
+  }
+}
+
+/**
+ * Turn measure mode on or off (off clears the measurement)
+ * @param {boolean} enabled
+ */
+function setMeasureMode(enabled) {
+  measureMode = enabled;
+  measureStars = [];
+  if (enabled) {
+    selectStar(null);
+  }
+  updateMeasurement();
+  
+  const measureBtn = document.getElementById('measure-btn');
+  if (measureBtn) {
+    measureBtn.textContent = enabled ? 'Stop Measuring' : 'Measure Separation';
+  }
+}
+
+/**
+ * Add a clicked star to the measurement
+ * A third star starts a new pair; clicking empty space clears the pair
+ * @param {StarVisualization|null} star
+ */
+function addMeasureStar(star) {
+  if (!star) {
+    measureStars = [];
+  } else if (measureStars.length === 1 && measureStars[0] === star) {
+    return;
+  } else {
+    measureStars = measureStars.length >= 2 ? [star] : [...measureStars, star];
+  }
+  updateMeasurement();
+}
+
+/**
+ * Draw the connector between the measured stars and update the measure status text
+ */
+function updateMeasurement() {
+  if (measureConnector) {
+    removeAndDispose(measureConnector);
+    measureConnector = null;
+  }
+  updateStarHighlights();
+  
+  const status = document.getElementById('measure-status');
+  if (status) {
+    status.style.display = measureMode ? 'block' : 'none';
+  }
+  if (!measureMode) return;
+  
+  const name = star => star.starData.name || `HIP ${star.starData.hip}`;
+  if (measureStars.length < 2) {
+    if (status) {
+      status.textContent = measureStars.length === 0
+        ? 'Click the first star.'
+        : `Click a second star to measure from ${name(measureStars[0])}.`;
+    }
+    return;
+  }
+  
+  const [starA, starB] = measureStars;
+  // Measured where the stars are at the time on the slider
+  const result = measureSeparation(starDataAtTime(starA.starData), starDataAtTime(starB.starData), createSkyPositions(starData));
+  const otherUnit = distanceUnit === 'pc' ? 'ly' : 'pc';
+  const separations = { ly: result.separationLy, pc: result.separationPc };
+  
+  const lines = [`${name(starA)} – ${name(starB)}`];
+  lines.push(result.angularDeg !== null
+    ? `${formatAngle(result.angularDeg)} on the sky${result.fromImage ? ' (from image)' : ''}`
+    : 'Sky separation unknown');
+  lines.push(result.separationLy !== null
+    ? `${formatDistance(separations[distanceUnit], distanceUnit, 1)} (${formatDistance(separations[otherUnit], otherUnit, 1)}) apart`
+    : 'True separation unknown');
+  if (timeMyr !== 0) lines.push(`At ${timeLabel()}`);
+  
+  measureConnector = createSeparationConnector(starA.endPoint.position, starB.endPoint.position, lines);
+  scene.add(measureConnector);
+  
+  if (status) {
+    status.textContent = lines.slice(1).join(', ') + '. Click another star to start a new pair.';
+  }
+}
+
+/**
+ * Download the separation of every pair of stars as CSV
+ */
+function exportSeparations() {
+  if (!starData || starData.stars.length < 2) {
+    alert('The field needs at least two stars.');
+    return;
+  }
+  
+  // Separations where the stars are at the time on the slider
+  const rows = separationTable({ ...starData, stars: starData.stars.map(starDataAtTime) });
+  const csvContent = separationTableCSV(rows, timeMyr);
+  downloadBlob(new Blob([csvContent], { type: 'text/csv;charset=utf-8;' }), 'separations.csv');
+}
+
+/**
+ * Find clusters among the stars, tint their members and enclose each in an ellipsoid
+ * (clears them when cluster finding is off)
+ */
+function updateClusters() {
+  if (clusterOverlay) {
+    removeAndDispose(clusterOverlay);
+    clusterOverlay = null;
+  }
+  if (stars) {
+    stars.forEach(star => star.setTint(null));
+  }
+  
+  const summary = document.getElementById('cluster-summary');
+  if (!showClusters || !starData || !stars) {
+    if (summary) summary.style.display = 'none';
+    return;
+  }
+  
+  const result = findClusters(starData, { linkDistancePc: clusterLinkDistance });
+  clusterOverlay = new THREE.Group();
+  result.clusters.forEach((cluster, i) => {
+    const color = CLUSTER_COLORS[i % CLUSTER_COLORS.length];
+    const members = cluster.members.map(findStarVisualization).filter(Boolean);
+    members.forEach(star => star.setTint(color));
+    // Shell at least a little larger than the biggest member sphere
+    const minRadius = Math.max(...members.map(star => star.baseStarRadius)) * 4;
+    const ellipsoid = createClusterEllipsoid(members.map(star => star.endPoint.position), color, minRadius);
+    ellipsoid.userData.members = members;
+    clusterOverlay.add(ellipsoid);
+  });
+  scene.add(clusterOverlay);
+  
+  if (summary) {
+    summary.innerHTML = clusterSummaryHTML(result, distanceUnit);
+    summary.style.display = 'block';
+  }
+}
+
+/**
+ * Mean scene position of a cluster's member stars (the center of its ellipsoid)
+ * @param {StarVisualization[]} members
+ * @returns {THREE.Vector3}
+ */
+function memberCenter(members) {
+  const center = new THREE.Vector3();
+  members.forEach(star => center.add(star.endPoint.position));
+  return center.divideScalar(members.length);
+}
+
+/**
+ * Keep the cluster ellipsoids on their moving members without fitting them again
+ */
+function moveClusterEllipsoids() {
+  if (!clusterOverlay) return;
+  clusterOverlay.children.forEach(ellipsoid => {
+    ellipsoid.position.copy(memberCenter(ellipsoid.userData.members));
+  });
+}
+
+/**
+ * Place every star where its motion takes it at the current time (at the observed position now)
+ */
+function placeStarsAtTime() {
+  if (!stars || !motionModel) return;
+  stars.forEach(star => {
+    const data = star.starData;
+    if (timeMyr === 0 || !hasSpaceMotion(data)) {
+      star.setPosition(data.pixelX, data.pixelY, data.scaledDistance);
+    } else {
+      const moved = motionModel(data, timeMyr);
+      star.setPosition(moved.pixelX, moved.pixelY, moved.scaledDistance, moved);
+    }
+  });
+}
+
+/**
+ * The time on the slider as text ("Now", "0.25 Myr ago", "0.50 Myr from now")
+ * @returns {string}
+ */
+function timeLabel() {
+  return Math.abs(timeMyr) < 0.005
+    ? 'Now'
+    : `${Math.abs(timeMyr).toFixed(2)} Myr ${timeMyr < 0 ? 'ago' : 'from now'}`;
+}
+
+/**
+ * Star data with the sky position and distance moved to the time on the slider (as the star
+ * is placed in the view), for measuring separations at that time
+ * @param {Object} data - Visualization star data
+ * @returns {Object} The same data at the observation time or without motion data
+ */
+function starDataAtTime(data) {
+  if (timeMyr === 0 || !motionModel || !hasSpaceMotion(data)) return data;
+  const moved = motionModel(data, timeMyr);
+  const atTime = {
+    ...data,
+    pixelX: moved.pixelX,
+    pixelY: moved.pixelY,
+    distanceLy: moved.distanceLy,
+    distancePc: moved.distanceLy / LY_PER_PC
+  };
+  if (moved.ra !== null && hasValue(data.ra) && hasValue(data.dec)) {
+    atTime.ra = moved.ra;
+    atTime.dec = moved.dec;
+  }
+  return atTime;
+}
+
+/**
+ * Move the stars to a time before or after the observation
+ * @param {number} time - Millions of years from now (negative is the past)
+ * @param {boolean} moving - The time is still changing (playing or dragging the slider): cluster
+ *   ellipsoids are only moved with their stars, and fitted again once the time settles
+ */
+function setTime(time, moving = false) {
+  timeMyr = Math.max(-TIME_RANGE_MYR, Math.min(TIME_RANGE_MYR, time));
+  
+  const timeSlider = document.getElementById('time-myr');
+  if (timeSlider && parseFloat(timeSlider.value) !== timeMyr) {
+    timeSlider.value = timeMyr;
+  }
+  const timeValue = document.getElementById('time-value');
+  if (timeValue) {
+    timeValue.textContent = timeLabel();
+  }
+  
+  placeStarsAtTime();
+  // The connector and cluster ellipsoids follow the moved stars
+  updateMeasurement();
+  if (showClusters) {
+    if (moving) {
+      moveClusterEllipsoids();
+    } else {
+      updateClusters();
+    }
+  }
+}
+
+/**
+ * Start or stop sweeping the time slider back and forth
+ * @param {boolean} playing
+ */
+function setTimePlaying(playing) {
+  const stopped = timePlaying && !playing;
+  timePlaying = playing;
+  lastFrameTime = null;
+  const timePlayBtn = document.getElementById('time-play-btn');
+  if (timePlayBtn) {
+    timePlayBtn.textContent = playing ? 'Pause' : 'Play';
+  }
+  // Playing only moved the cluster ellipsoids; fit them where the stars stopped
+  if (stopped && showClusters) updateClusters();
+}
+
+/**
+ * Advance the time while playing: one sweep from end to end takes TIME_SWEEP_SECONDS
+ * @param {number} now - Frame time in milliseconds
+ */
+function advanceTime(now) {
+  if (!timePlaying) return;
+  if (lastFrameTime !== null) {
+    const step = (now - lastFrameTime) / 1000 / TIME_SWEEP_SECONDS * 2 * TIME_RANGE_MYR;
+    let next = timeMyr + timeDirection * step;
+    if (Math.abs(next) >= TIME_RANGE_MYR) {
+      next = Math.sign(next) * TIME_RANGE_MYR;
+      timeDirection = -timeDirection;
+    }
+    setTime(next, true);
+  }
+  lastFrameTime = now;
+}
+
+/**
+ * Enable the time controls when some star of the field has motion data
+ */
+function updateTimeControls() {
+  const available = !!starData && starData.stars.some(hasSpaceMotion);
+  const title = available ? '' : 'Needs proper motions or radial velocities for the stars';
+  ['time-myr', 'time-play-btn', 'time-now-btn'].forEach(id => {
+    const control = document.getElementById(id);
+    if (control) {
+      control.disabled = !available;
+      control.title = title;
+    }
+  });
+  if (!available) setTimePlaying(false);
+  setTime(available ? timeMyr : 0);
+}
+
+/**
+ * Remove a group from the scene and free its geometries, materials and textures
+ * @param {THREE.Object3D} group
+ */
+function removeAndDispose(group) {
+  scene.remove(group);
+  group.traverse(object => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose();
+      object.material.dispose();
+    }
+  });
+}
+
+/**
+ * Pause the view while a video is rendered: the tour and time sweep stop, and the
+ * animation loop and mouse controls leave the camera to the export
+ * @param {boolean} value
+ */
+function setExporting(value) {
+  if (value) {
+    cameraTour.stop();
+    setTimePlaying(false);
+  }
+  exporting = value;
+  controls.enabled = !value;
+  // Catch up with window resizes made during the export
+  if (!value) onWindowResize();
+}
+
+/**
+ * Show or hide the star and distance labels for an exported video
+ * @param {boolean} visible - False hides them; true shows them as the view settings say
+ */
+function setExportLabelsVisible(visible) {
+  if (stars) {
+    stars.forEach(star => {
+      star.setStarLabelVisible(visible && showStarLabels);
+      star.setInfoLabelVisible(visible && showInfoLabels);
+    });
+  }
+  distanceLabels.forEach(label => label.visible = visible && showDistanceLabels);
+  if (depthRuler) depthRuler.visible = visible && showDistanceLabels;
+  earthView.setLabelsVisible(visible && showStarLabels);
+}
+
+/**
+ * Legend details of the current field for captured images
+ * @returns {{fieldName: string, scaling: Object, unit: string}|null} Null without a 3D model
+ */
+function getCaptureLegend() {
+  if (!starData || !starData.scaling) return null;
+  
+  // Named after the primary star (as saved projects are), else the image file
+  const primaryName = starData.stars.find(star => star.name)?.name;
+  return {
+    fieldName: primaryName || (starData.image.filename || '').replace(/\.[^.]+$/, ''),
+    scaling: starData.scaling,
+    unit: distanceUnit
+  };
+}
+
+/**
+ * The current field for 3D model export
+ * Star positions are taken from the view, so the depth scale and time slider apply.
+ * @returns {Object|null} {name, volumeWidth, image, imageWidth, imageHeight, stars: [{name, x, y,
+ *   depth, size}]} with x and y from the image's left and bottom edges (0-1) and depth from the
+ *   image plane to the back of the volume (0-1); null without a 3D model
+ */
+function getExportModel() {
+  if (!starData || !stars || !imagePlane || !imagePlane.material.map) return null;
+  
+  const scale = 0.1;
+  const volWidth = starData.image.width * scale;
+  const volHeight = starData.image.height * scale;
+  const frontZ = volWidth / 2; // Depth matches width
+  
+  return {
+    name: getCaptureLegend().fieldName || 'Star field',
+    volumeWidth: volWidth,
+    image: imagePlane.material.map.image,
+    imageWidth: starData.image.width,
+    imageHeight: starData.image.height,
+    stars: stars.map(star => {
+      const position = star.endPoint.position;
+      return {
+        name: star.starData.name || `HIP ${star.starData.hip}`,
+        x: position.x / volWidth + 0.5,
+        y: position.y / volHeight + 0.5,
+        depth: (frontZ - position.z) / volWidth,
+        size: star.getSizeScale()
+      };
+    })
+  };
+}
+
+/**
+ * Show a tour caption over the view ('' hides it)
+ * @param {string} caption
+ */
+function showTourCaption(caption) {
+  const overlay = document.getElementById('tour-caption-overlay');
+  if (!overlay) return;
+  overlay.textContent = caption;
+  overlay.style.display = caption ? 'block' : 'none';
+}
+
+/**
+ * List the tour's keyframes, with their captions and timing, and update the play button
+ */
+function updateTourPanel() {
+  const list = document.getElementById('tour-keyframes');
+  if (list) {
+    list.innerHTML = '';
+    const current = cameraTour.currentIndex;
+    cameraTour.keyframes.forEach((keyframe, index) => {
+      const row = document.createElement('div');
+      row.className = 'tour-keyframe' + (index === current ? ' current' : '');
+      row.dataset.index = index;
+      row.innerHTML = `
+        <div class="tour-keyframe-row">
+          <span>${index + 1}.</span>
+          <input type="text" class="tour-caption-input" data-field="caption" placeholder="No caption">
+          <button type="button" class="btn-secondary" data-action="go" title="Fly to this keyframe">Go</button>
+          <button type="button" class="btn-secondary" data-action="remove" title="Delete">×</button>
+        </div>
+        <div class="tour-keyframe-row">
+          Fly <input type="number" data-field="flight" min="0" max="60" step="0.5" title="Seconds to fly here"> s
+          Hold <input type="number" data-field="hold" min="0" max="60" step="0.5" title="Seconds to stay"> s
+          <button type="button" class="btn-secondary" data-action="up" title="Move earlier">▲</button>
+          <button type="button" class="btn-secondary" data-action="down" title="Move later">▼</button>
+        </div>`;
+      row.querySelector('[data-field="caption"]').value = keyframe.caption;
+      row.querySelector('[data-field="flight"]').value = keyframe.flight;
+      row.querySelector('[data-field="hold"]').value = keyframe.hold;
+      list.appendChild(row);
+    });
+  }
+  
+  const tourPlayBtn = document.getElementById('tour-play-btn');
+  if (tourPlayBtn) {
+    tourPlayBtn.textContent = cameraTour.playing ? 'Stop Tour' : 'Play Tour';
+    tourPlayBtn.disabled = cameraTour.keyframes.length === 0;
+  }
+}
+
+/**
+ * Update the Earth view buttons for the current field and mode
+ */
+function updateEarthViewButtons() {
+  const earthViewBtn = document.getElementById('earth-view-btn');
+  const earthFlyBtn = document.getElementById('earth-fly-btn');
+  
+  if (earthViewBtn) {
+    const available = canShowEarthView(starData);
+    earthViewBtn.disabled = !available;
+    earthViewBtn.title = available ? '' : 'Needs the image scale: plate solve the image or enter a pixel scale';
+    earthViewBtn.textContent = earthView.active ? 'Back to 3D Model' : 'View from Earth';
+  }
+  if (earthFlyBtn) {
+    earthFlyBtn.style.display = earthView.active ? 'block' : 'none';
+    earthFlyBtn.textContent = earthView.atEarth ? 'Fly to Side View' : 'Fly Back to Earth';
+  }
 }
 
 /**
@@ -603,6 +1642,47 @@ function addDistanceLabels() {
   const spanLabel = createLabelSprite(spanLabelLines, rightTopEdgePos, 0.5);
   scene.add(spanLabel);
   distanceLabels.push(spanLabel);
+  
+  addDepthRuler();
+}
+
+/**
+ * Add the depth ruler (major and minor ticks at round distances in the current unit) and
+ * the grid planes at its major ticks
+ * Ticks are placed with the field's distance scale, so they show how the depth axis is stretched;
+ * on a broken axis, slanted marks show where empty gaps were cut out
+ */
+function addDepthRuler() {
+  [depthRuler, gridPlanes].forEach(group => {
+    if (group) removeAndDispose(group);
+  });
+  depthRuler = null;
+  gridPlanes = null;
+  
+  if (!starData || !starData.scaling) return;
+  
+  // Data saved before distance scales were selectable is linear
+  const scaling = starData.scaling.mode ? starData.scaling : { ...starData.scaling, mode: 'linear' };
+  const scale = 0.1;
+  const { width: imgWidth, height: imgHeight } = starData.image;
+  const width = imgWidth * scale;
+  const height = imgHeight * scale;
+  const depth = width;
+  
+  const ticks = distanceTicks(scaling, distanceUnit);
+  const breakDepths = scaling.mode === 'broken' && scaling.breaks
+    ? scaling.breaks.flatMap(b => [toScaledDistance(b.startLy, scaling), toScaledDistance(b.endLy, scaling)])
+    : [];
+  
+  depthRuler = createDepthRuler(ticks, width, height, depth, distanceUnit, breakDepths);
+  depthRuler.visible = showDistanceLabels;
+  scene.add(depthRuler);
+  
+  // No planes on the image plane or the back face
+  const majorDepths = ticks.filter(tick => tick.major && tick.scaled > 0.02 && tick.scaled < 0.98).map(tick => tick.scaled);
+  gridPlanes = createGridPlanes(majorDepths, width, height, depth);
+  gridPlanes.visible = showGridPlanes;
+  scene.add(gridPlanes);
 }
 
 /**
@@ -717,12 +1797,9 @@ function updateDistanceLabels() {
 }
 
 /**
- * Animation loop
+ * Update back image visibility based on camera position
  */
-function animate() {
-  requestAnimationFrame(animate);
-  
-  // Update back image visibility based on camera position
+function updateBackImageVisibility() {
   if (backImagePlane && starData) {
     const scale = 0.1;
     const { width: imgWidth, height: imgHeight } = starData.image;
@@ -733,17 +1810,44 @@ function animate() {
     // Use a small threshold to prevent flickering
     backImagePlane.visible = camera.position.z < frontZ - 10;
   }
+}
+
+/**
+ * Animation loop
+ */
+function animate() {
+  requestAnimationFrame(animate);
+  
+  // The video export renders its own frames
+  if (exporting) return;
   
+  cameraTour.update(performance.now());
   controls.update();
-  renderer.render(scene, camera);
+  advanceTime(performance.now());
+  earthView.update(performance.now());
+  renderView();
   
   window.animationRunning = true;
 }
 
+/**
+ * Render the view from the camera where it is, in the chosen stereo mode
+ * The stereo eyes are set apart in proportion to the volume, and the orbit target appears
+ * at the screen, so the near half of the volume stands out in front of it.
+ */
+function renderView() {
+  updateBackImageVisibility();
+  const volumeWidth = starData ? starData.image.width * 0.1 : 100;
+  stereoView.eyeSeparation = volumeWidth * stereoSeparation / 100;
+  stereoView.render(scene, camera, Math.max(camera.position.distanceTo(controls.target), camera.near));
+}
+
 /**
  * Handle window resize
  */
 function onWindowResize() {
+  if (exporting) return;
+  
   camera.aspect = window.innerWidth / window.innerHeight;
   camera.updateProjectionMatrix();
   renderer.setSize(window.innerWidth, window.innerHeight);
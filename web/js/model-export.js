@@ -0,0 +1,182 @@
+/**
+ * 3D model export dialog
+ * Saves the scene as GLB (for AR and 3D viewers, with the image texture and star colors) and
+ * builds a printable STL/3MF model: a base plate with the image engraved and a pillar to each star
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { buildPrintModel, toSTL, to3MF } from './print-model.js';
+import { downloadBlob } from './utils.js';
+
+const GLB_MAX_TEXTURE_SIZE = 4096; // Phones limit texture sizes
+const PLATE_THICKNESS = 3; // mm
+const ENGRAVE_DEPTH = 0.6; // mm
+const PILLAR_RADIUS = 1.2; // mm
+const BALL_RADIUS = 2.5; // mm, for an average star
+const HEIGHTMAP_STEP = 0.5; // mm between engraving samples
+const MAX_HEIGHTMAP_COLUMNS = 300;
+
+let view = null; // Options given to initModelExport
+let busy = false;
+
+/**
+ * Show a status message in the dialog
+ */
+function setStatus(text, color = '#999') {
+  const status = document.getElementById('model-export-status');
+  if (status) {
+    status.textContent = text;
+    status.style.color = color;
+  }
+}
+
+/**
+ * Disable the export buttons while a file is being made
+ */
+function setBusy(value) {
+  busy = value;
+  ['model-glb-btn', 'model-print-btn'].forEach(id => {
+    document.getElementById(id).disabled = value;
+  });
+}
+
+/**
+ * Read a positive number from an input
+ */
+function positiveInput(id) {
+  const value = parseFloat(document.getElementById(id).value);
+  return value > 0 ? value : null;
+}
+
+/**
+ * Export what is shown in the 3D view as GLB, scaled to a real-world width
+ * Labels (sprites) have no glTF equivalent and are left out.
+ */
+async function exportGLB() {
+  const model = view.getModel();
+  const widthCm = positiveInput('model-glb-width');
+  if (!model || busy) return;
+  if (!widthCm) {
+    setStatus('Enter the model width in cm.', '#ff6666');
+    return;
+  }
+
+  setBusy(true);
+  setStatus('Writing GLB...');
+  try {
+    // Shallow copies (geometry and materials are shared) under a group that sets the size in metres
+    const root = new THREE.Group();
+    root.name = model.name;
+    view.scene.children.forEach(child => {
+      if (child.visible && !child.isLight && !child.isCamera) root.add(child.clone());
+    });
+    root.scale.setScalar(widthCm / 100 / model.volumeWidth);
+
+    const glb = await new GLTFExporter().parseAsync(root, {
+      binary: true,
+      onlyVisible: true,
+      maxTextureSize: GLB_MAX_TEXTURE_SIZE
+    });
+    const blob = new Blob([glb], { type: 'model/gltf-binary' });
+    downloadBlob(blob, 'starfield-model.glb');
+    setStatus(`Saved starfield-model.glb (${(blob.size / 1048576).toFixed(1)} MB)`, '#66cc66');
+  } catch (error) {
+    console.error('Error exporting GLB:', error);
+    setStatus(`GLB export failed: ${error.message}`, '#ff6666');
+  } finally {
+    setBusy(false);
+  }
+}
+
+/**
+ * Image brightness (0-1) on a grid of columns × rows, row by row from the top
+ */
+function imageHeightmap(image, columns, rows) {
+  const canvas = document.createElement('canvas');
+  canvas.width = columns;
+  canvas.height = rows;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, columns, rows);
+  const pixels = context.getImageData(0, 0, columns, rows).data;
+
+  const values = new Float32Array(columns * rows);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = (0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2]) / 255;
+  }
+  return { width: columns, height: rows, values };
+}
+
+/**
+ * Build the printable model with the chosen size and save it as STL or 3MF
+ */
+async function exportPrintModel() {
+  const model = view.getModel();
+  if (!model || busy) return;
+  const plateWidth = positiveInput('model-plate-width');
+  const maxHeight = positiveInput('model-max-height');
+  if (!plateWidth || !maxHeight) {
+    setStatus('Enter the plate width and tallest pillar in mm.', '#ff6666');
+    return;
+  }
+  const format = document.getElementById('model-print-format').value;
+
+  setBusy(true);
+  setStatus('Building the printable model...');
+  try {
+    const plateHeight = plateWidth * model.imageHeight / model.imageWidth;
+    const columns = Math.max(2, Math.min(MAX_HEIGHTMAP_COLUMNS, Math.round(plateWidth / HEIGHTMAP_STEP) + 1));
+    const rows = Math.max(2, Math.round((columns - 1) * plateHeight / plateWidth) + 1);
+
+    const parts = buildPrintModel({
+      heightmap: imageHeightmap(model.image, columns, rows),
+      stars: model.stars,
+      plateWidth,
+      plateHeight,
+      thickness: PLATE_THICKNESS,
+      engraveDepth: ENGRAVE_DEPTH,
+      maxHeight,
+      pillarRadius: PILLAR_RADIUS,
+      ballRadius: BALL_RADIUS
+    });
+
+    const blob = format === '3mf' ? await to3MF(parts, model.name) : toSTL(parts);
+    const fileName = `starfield-print.${format}`;
+    downloadBlob(blob, fileName);
+    setStatus(
+      `Saved ${fileName}: ${Math.round(plateWidth)} × ${Math.round(plateHeight)} mm plate, ${model.stars.length} stars (${(blob.size / 1048576).toFixed(1)} MB)`,
+      '#66cc66'
+    );
+  } catch (error) {
+    console.error('Error exporting printable model:', error);
+    setStatus(`Export failed: ${error.message}`, '#ff6666');
+  } finally {
+    setBusy(false);
+  }
+}
+
+/**
+ * Wire up the 3D model export dialog
+ * @param {Object} options
+ * @param {THREE.Scene} options.scene
+ * @param {Function} options.getModel - Returns the current field, or null without a 3D model:
+ *   {name, volumeWidth (scene units), image (loaded front image), imageWidth, imageHeight,
+ *   stars: [{name, x, y, depth, size}]} with star positions as buildPrintModel takes them
+ */
+export function initModelExport(options) {
+  const openButton = document.getElementById('model-export-btn');
+  if (!openButton) return;
+
+  view = options;
+
+  openButton.addEventListener('click', () => {
+    if (!view.getModel()) return;
+    document.getElementById('model-export-panel').style.display = 'block';
+    setStatus('');
+  });
+  document.getElementById('model-export-close').addEventListener('click', () => {
+    document.getElementById('model-export-panel').style.display = 'none';
+  });
+  document.getElementById('model-glb-btn').addEventListener('click', exportGLB);
+  document.getElementById('model-print-btn').addEventListener('click', exportPrintModel);
+}
@@ -0,0 +1,49 @@
+/**
+ * Offscreen rendering
+ * Renders the 3D view at a size other than the window's (for exported videos and images)
+ * and puts the on-screen view back afterwards
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Largest width or height the renderer can draw
+ * @param {THREE.WebGLRenderer} renderer
+ * @returns {number} Pixels
+ */
+export function maxRenderSize(renderer) {
+  const gl = renderer.getContext();
+  const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+  return Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), viewport[0], viewport[1]);
+}
+
+/**
+ * Run a task with the renderer and camera resized (the canvas keeps its size on the page)
+ * Frames rendered in the task are on renderer.domElement until control returns to the browser,
+ * so copy each one straight after rendering it.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} width - Render width in pixels
+ * @param {number} height - Render height in pixels
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} The task's result
+ */
+export async function withRenderSize(renderer, camera, width, height, task) {
+  const size = renderer.getSize(new THREE.Vector2());
+  const pixelRatio = renderer.getPixelRatio();
+  const aspect = camera.aspect;
+
+  renderer.setPixelRatio(1);
+  renderer.setSize(width, height, false);
+  camera.aspect = width / height;
+  camera.updateProjectionMatrix();
+
+  try {
+    return await task();
+  } finally {
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(size.x, size.y);
+    camera.aspect = aspect;
+    camera.updateProjectionMatrix();
+  }
+}
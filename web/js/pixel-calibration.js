@@ -1,46 +1,147 @@
 /**
  * Pixel coordinate calibration/override system
- * Use this to manually specify pixel coordinates for stars when RA/Dec conversion is inaccurate
+ * Use this to manually specify pixel coordinates for stars when RA/Dec conversion is inaccurate.
+ * Calibrations belong to one image: they are keyed by the SHA-256 hash of the image file plus
+ * the HIP number, and kept in IndexedDB so they survive page reloads.
  */
 
-// Manual pixel coordinate overrides for known stars
-// Format: { starLabel: { x: pixelX, y: pixelY } }
-// Coordinates are in image pixel space (0,0 at top-left)
-export const pixelCalibration = {
-  'Alpheratz': { x: 1977, y: 1287 },
-  'A': { x: 2064, y: 894 },
-  'B': { x: 2544, y: 903 },
-  'C': { x: 2832, y: 783 },
-  'D': { x: 732, y: 519 },
-  'E': { x: 2436, y: 2124 },
-  'F': { x: 2625, y: 2091 },
-  'G': { x: 3456, y: 579 },
-};
+import { getRecordsByIndex, putRecord, deleteRecord } from './storage.js';
+
+const STORE = 'calibrations';
+const EXPORT_FORMAT = 'gaiaview-calibrations';
+
+const hashCache = new WeakMap(); // file -> Promise<hash>
+
+/**
+ * Hash an image file so calibrations can be matched to it (cached per file)
+ * @param {Blob} file - Image file
+ * @returns {Promise<string>} SHA-256 as lowercase hex
+ */
+export function hashImageFile(file) {
+  if (!hashCache.has(file)) {
+    const promise = file.arrayBuffer()
+      .then(buffer => crypto.subtle.digest('SHA-256', buffer))
+      .then(digest => [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join(''));
+    hashCache.set(file, promise);
+  }
+  return hashCache.get(file);
+}
+
+/**
+ * Storage key for one star on one image
+ */
+function calibrationId(imageHash, hipNumber) {
+  return `${imageHash}:${hipNumber}`;
+}
+
+/**
+ * Get all calibrations for an image
+ * @param {string} imageHash - Image hash from hashImageFile
+ * @returns {Promise<Array<{hip: number, x: number, y: number, label: string|null}>>} Sorted by HIP number
+ */
+export async function getCalibrations(imageHash) {
+  const records = await getRecordsByIndex(STORE, 'imageHash', imageHash);
+  return records
+    .map(({ hip, x, y, label }) => ({ hip, x, y, label }))
+    .sort((a, b) => a.hip - b.hip);
+}
 
 /**
- * Check if a star has a manual pixel coordinate override
- * @param {string} starLabel - Star label (e.g., 'Alpheratz', 'A', 'B')
- * @returns {{x: number, y: number}|null} Pixel coordinates if override exists, null otherwise
+ * Get the calibrated pixel coordinates of a star on an image
+ * @param {string} imageHash - Image hash from hashImageFile
+ * @param {number} hipNumber - HIP catalog number
+ * @returns {Promise<{x: number, y: number}|null>} Pixel coordinates if a calibration exists, null otherwise
  */
-export function getCalibratedPixel(starLabel) {
-  return pixelCalibration[starLabel] || null;
+export async function getCalibratedPixel(imageHash, hipNumber) {
+  const calibration = (await getCalibrations(imageHash)).find(c => c.hip === hipNumber);
+  return calibration ? { x: calibration.x, y: calibration.y } : null;
 }
 
 /**
  * Add or update a pixel coordinate calibration
- * @param {string} starLabel - Star label
- * @param {number} x - Pixel X coordinate
- * @param {number} y - Pixel Y coordinate
+ * @param {string} imageHash - Image hash from hashImageFile
+ * @param {number} hipNumber - HIP catalog number
+ * @param {number} x - Pixel X coordinate (0 at left)
+ * @param {number} y - Pixel Y coordinate (0 at top)
+ * @param {string|null} label - Star label, for display only
  */
-export function setCalibratedPixel(starLabel, x, y) {
-  pixelCalibration[starLabel] = { x, y };
+export async function setCalibratedPixel(imageHash, hipNumber, x, y, label = null) {
+  if (!Number.isInteger(hipNumber) || hipNumber <= 0) {
+    throw new Error(`Invalid HIP number: ${hipNumber}`);
+  }
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    throw new Error(`Invalid pixel coordinates for HIP ${hipNumber}`);
+  }
+
+  await putRecord(STORE, {
+    id: calibrationId(imageHash, hipNumber),
+    imageHash,
+    hip: hipNumber,
+    x,
+    y,
+    label: label || null,
+    updated: new Date().toISOString()
+  });
+}
+
+/**
+ * Remove a calibration
+ * @param {string} imageHash - Image hash from hashImageFile
+ * @param {number} hipNumber - HIP catalog number
+ */
+export async function removeCalibratedPixel(imageHash, hipNumber) {
+  await deleteRecord(STORE, calibrationId(imageHash, hipNumber));
+}
+
+/**
+ * Check if calibration data exists for an image
+ * @param {string} imageHash - Image hash from hashImageFile
+ * @returns {Promise<boolean>} True if any calibrations exist
+ */
+export async function hasCalibrations(imageHash) {
+  return (await getCalibrations(imageHash)).length > 0;
 }
 
 /**
- * Check if calibration data exists for any stars
- * @returns {boolean} True if any calibrations exist
+ * Export the calibrations of an image as a JSON-serializable object
+ * @param {string} imageHash - Image hash from hashImageFile
+ * @returns {Promise<Object>}
  */
-export function hasCalibrations() {
-  return Object.keys(pixelCalibration).length > 0;
+export async function exportCalibrations(imageHash) {
+  return {
+    format: EXPORT_FORMAT,
+    version: 1,
+    imageHash,
+    calibrations: await getCalibrations(imageHash)
+  };
 }
 
+/**
+ * Import calibrations exported by exportCalibrations
+ * @param {Object} data - Parsed export file
+ * @param {string} imageHash - Hash of the image to store them for
+ * @param {Object} options
+ * @param {boolean} options.force - Import even if the file was made for a different image
+ * @returns {Promise<number>} Number of calibrations imported
+ * @throws {Error} If the file is not a calibration export, or belongs to another image (unless forced)
+ */
+export async function importCalibrations(data, imageHash, { force = false } = {}) {
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.calibrations)) {
+    throw new Error('Not a GAIAView calibration file');
+  }
+  if (!force && data.imageHash && data.imageHash !== imageHash) {
+    throw new Error('These calibrations were made for a different image');
+  }
+
+  const invalid = data.calibrations.find(c =>
+    !Number.isInteger(c.hip) || c.hip <= 0 || !Number.isFinite(c.x) || !Number.isFinite(c.y)
+  );
+  if (invalid) {
+    throw new Error(`Invalid calibration in file: ${JSON.stringify(invalid)}`);
+  }
+
+  for (const calibration of data.calibrations) {
+    await setCalibratedPixel(imageHash, calibration.hip, calibration.x, calibration.y, calibration.label);
+  }
+  return data.calibrations.length;
+}
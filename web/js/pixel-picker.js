@@ -0,0 +1,251 @@
+/**
+ * Interactive pixel picker
+ * Shows the front image on a canvas with wheel zoom and drag pan. A click snaps to the
+ * intensity-weighted centroid of the nearest star and reports full-resolution pixel coordinates.
+ */
+
+import { luminancePatch, refineCentroid } from './plate-solver.js';
+
+const MIN_ZOOM_FACTOR = 0.5; // Relative to the fit-to-view zoom
+const MAX_ZOOM = 8; // Display pixels per image pixel
+const SNAP_DISTANCE = 10; // Display pixels a click may be from the star
+const DRAG_THRESHOLD = 4; // Display pixels of movement before a press becomes a pan
+
+/**
+ * Star picker over an image
+ */
+export class PixelPicker {
+  /**
+   * @param {HTMLCanvasElement} canvas - Display canvas (sized by CSS)
+   * @param {Object} options
+   * @param {Function} options.onPick - Called with {x, y, snapped} in image pixels after a click
+   * @param {Function} options.getMarkers - Returns [{x, y, label, active}] to draw over the image
+   */
+  constructor(canvas, { onPick, getMarkers }) {
+    this.canvas = canvas;
+    this.onPick = onPick;
+    this.getMarkers = getMarkers || (() => []);
+
+    this.source = null; // Full-resolution canvas of the image
+    this.sourceContext = null;
+    this.zoom = 1; // Display pixels per image pixel
+    this.offsetX = 0; // Display position of image pixel (0, 0)
+    this.offsetY = 0;
+    this.drag = null;
+
+    this.attachEvents();
+  }
+
+  /**
+   * Set the image to pick from
+   * The view is fitted to the image, unless it replaces an image of the same size (e.g. a new stretch)
+   * @param {HTMLImageElement|HTMLCanvasElement} image - Full-resolution image
+   */
+  setImage(image) {
+    const width = image.naturalWidth || image.width;
+    const height = image.naturalHeight || image.height;
+    const keepView = this.source && this.source.width === width && this.source.height === height;
+
+    this.source = document.createElement('canvas');
+    this.source.width = width;
+    this.source.height = height;
+    this.sourceContext = this.source.getContext('2d', { willReadFrequently: true });
+    this.sourceContext.drawImage(image, 0, 0);
+
+    if (keepView) {
+      this.draw();
+    } else {
+      this.fitToView();
+    }
+  }
+
+  /**
+   * Remove the image
+   */
+  clear() {
+    this.source = null;
+    this.sourceContext = null;
+    this.draw();
+  }
+
+  /**
+   * Zoom so the whole image is visible and centred
+   */
+  fitToView() {
+    this.resizeCanvas();
+    if (!this.source) {
+      this.draw();
+      return;
+    }
+
+    this.zoom = this.fitZoom();
+    this.offsetX = (this.canvas.width - this.source.width * this.zoom) / 2;
+    this.offsetY = (this.canvas.height - this.source.height * this.zoom) / 2;
+    this.draw();
+  }
+
+  /**
+   * Zoom at which the whole image fits the canvas
+   */
+  fitZoom() {
+    return Math.min(this.canvas.width / this.source.width, this.canvas.height / this.source.height);
+  }
+
+  /**
+   * Match the canvas backing size to its displayed size
+   */
+  resizeCanvas() {
+    const rect = this.canvas.getBoundingClientRect();
+    const width = Math.max(1, Math.round(rect.width));
+    const height = Math.max(1, Math.round(rect.height));
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+  }
+
+  /**
+   * Convert a mouse event to canvas display coordinates
+   */
+  eventPosition(event) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  /**
+   * Convert display coordinates to image pixels (pixel centres at whole numbers)
+   */
+  displayToImage(x, y) {
+    return {
+      x: (x - this.offsetX) / this.zoom - 0.5,
+      y: (y - this.offsetY) / this.zoom - 0.5
+    };
+  }
+
+  /**
+   * Set up zoom, pan and click handling
+   */
+  attachEvents() {
+    this.canvas.addEventListener('wheel', (event) => {
+      if (!this.source) return;
+      event.preventDefault();
+
+      // Zoom around the cursor
+      const position = this.eventPosition(event);
+      const anchor = this.displayToImage(position.x, position.y);
+      const factor = Math.exp(-event.deltaY * 0.0015);
+      this.zoom = Math.min(MAX_ZOOM, Math.max(this.fitZoom() * MIN_ZOOM_FACTOR, this.zoom * factor));
+      this.offsetX = position.x - (anchor.x + 0.5) * this.zoom;
+      this.offsetY = position.y - (anchor.y + 0.5) * this.zoom;
+      this.draw();
+    }, { passive: false });
+
+    this.canvas.addEventListener('mousedown', (event) => {
+      if (!this.source || event.button !== 0) return;
+      const position = this.eventPosition(event);
+      this.drag = {
+        startX: position.x,
+        startY: position.y,
+        offsetX: this.offsetX,
+        offsetY: this.offsetY,
+        moved: false
+      };
+    });
+
+    window.addEventListener('mousemove', (event) => {
+      if (!this.drag) return;
+      const position = this.eventPosition(event);
+      const dx = position.x - this.drag.startX;
+      const dy = position.y - this.drag.startY;
+      if (!this.drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+      this.drag.moved = true;
+      this.canvas.style.cursor = 'grabbing';
+      this.offsetX = this.drag.offsetX + dx;
+      this.offsetY = this.drag.offsetY + dy;
+      this.draw();
+    });
+
+    window.addEventListener('mouseup', (event) => {
+      if (!this.drag) return;
+      const { moved } = this.drag;
+      this.drag = null;
+      this.canvas.style.cursor = 'crosshair';
+
+      if (!moved && event.target === this.canvas) {
+        const position = this.eventPosition(event);
+        const picked = this.snapToStar(this.displayToImage(position.x, position.y));
+        if (picked && this.onPick) {
+          this.onPick(picked);
+        }
+      }
+    });
+
+    this.canvas.addEventListener('dblclick', (event) => {
+      event.preventDefault();
+      this.fitToView();
+    });
+
+    window.addEventListener('resize', () => this.draw());
+  }
+
+  /**
+   * Snap a clicked position to the centroid of the star under it
+   * Falls back to the clicked pixel when there is no star signal nearby
+   * @param {{x: number, y: number}} point - Clicked position in image pixels
+   * @returns {{x: number, y: number, snapped: boolean}|null} Null if the click is outside the image
+   */
+  snapToStar(point) {
+    if (point.x < -0.5 || point.y < -0.5 || point.x >= this.source.width - 0.5 || point.y >= this.source.height - 0.5) {
+      return null;
+    }
+
+    const radius = Math.round(Math.min(25, Math.max(4, SNAP_DISTANCE / this.zoom)));
+    const patch = luminancePatch(this.sourceContext, point.x, point.y, radius * 2);
+    const centroid = refineCentroid(patch, point.x, point.y, radius);
+
+    if (!centroid) {
+      return { x: point.x, y: point.y, snapped: false };
+    }
+    return { x: centroid.x, y: centroid.y, snapped: true };
+  }
+
+  /**
+   * Redraw the image and markers
+   */
+  draw() {
+    this.resizeCanvas();
+    const ctx = this.canvas.getContext('2d');
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    if (!this.source) return;
+
+    ctx.imageSmoothingEnabled = this.zoom < 2;
+    ctx.drawImage(
+      this.source,
+      this.offsetX, this.offsetY,
+      this.source.width * this.zoom, this.source.height * this.zoom
+    );
+
+    ctx.font = '12px sans-serif';
+    ctx.textBaseline = 'bottom';
+    ctx.lineWidth = 1.5;
+    this.getMarkers().forEach(marker => {
+      // Centre of the image pixel the coordinates refer to
+      const x = this.offsetX + (marker.x + 0.5) * this.zoom;
+      const y = this.offsetY + (marker.y + 0.5) * this.zoom;
+      const color = marker.active ? '#ffcc33' : '#66ccff';
+
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.arc(x, y, 9, 0, Math.PI * 2);
+      ctx.stroke();
+
+      ctx.fillStyle = color;
+      ctx.fillText(marker.label, x + 10, y - 8);
+    });
+  }
+}
@@ -0,0 +1,555 @@
+/**
+ * In-browser astrometric plate solver
+ * Detects star centroids in an image, matches triangle patterns against the local HIP
+ * catalog near a rough centre guess, and fits a linear plate solution (centre, scale,
+ * rotation and flip) as a WCS. Needs no network access beyond the catalog shards.
+ */
+
+import { queryHIPRegion } from './catalog.js';
+import { projectGnomonic, deprojectGnomonic, WCS } from './coordinate-converter.js';
+
+const DETECTION_MAX_DIMENSION = 1200; // Detection runs on a downsampled copy of the image
+const MAX_DETECTIONS = 60;
+const CATALOG_STARS = 80;
+const IMAGE_TRIANGLE_STARS = 20; // Brightest detections used to build triangle patterns
+const CATALOG_TRIANGLE_STARS = 25;
+const TRIANGLE_TOLERANCE = 0.015; // Allowed difference in triangle side ratios
+const MIN_MATCHES = 5;
+const MAX_HYPOTHESES = 20000;
+
+/**
+ * Convert RGBA pixel data to luminance
+ * @param {Uint8ClampedArray} pixels - RGBA data from getImageData
+ * @returns {Float32Array}
+ */
+function rgbaToLuminance(pixels) {
+  const luminance = new Float32Array(pixels.length / 4);
+  for (let i = 0; i < luminance.length; i++) {
+    luminance[i] = 0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2];
+  }
+  return luminance;
+}
+
+/**
+ * Draw an image onto a (possibly downsampled) canvas and extract its luminance
+ * @param {CanvasImageSource} source - Image, bitmap or canvas
+ * @param {number} maxDimension - Longest side of the working copy in pixels
+ * @returns {{data: Float32Array, width: number, height: number, factorX: number, factorY: number}}
+ *   factorX/factorY convert working-copy pixels back to source pixels
+ */
+export function imageToLuminance(source, maxDimension = DETECTION_MAX_DIMENSION) {
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const factor = Math.max(1, Math.max(sourceWidth, sourceHeight) / maxDimension);
+  const width = Math.round(sourceWidth / factor);
+  const height = Math.round(sourceHeight / factor);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+
+  return {
+    data: rgbaToLuminance(ctx.getImageData(0, 0, width, height).data),
+    width,
+    height,
+    factorX: sourceWidth / width,
+    factorY: sourceHeight / height
+  };
+}
+
+/**
+ * Extract the luminance of a small square patch from a full-resolution canvas
+ * @param {CanvasRenderingContext2D} context - Context holding the full-resolution image
+ * @param {number} x - Patch centre X in pixels
+ * @param {number} y - Patch centre Y in pixels
+ * @param {number} radius - Half-size of the patch in pixels
+ * @returns {{data: Float32Array, width: number, height: number, originX: number, originY: number}}
+ */
+export function luminancePatch(context, x, y, radius) {
+  const originX = Math.max(0, Math.round(x) - radius);
+  const originY = Math.max(0, Math.round(y) - radius);
+  const width = Math.max(1, Math.min(context.canvas.width, Math.round(x) + radius + 1) - originX);
+  const height = Math.max(1, Math.min(context.canvas.height, Math.round(y) + radius + 1) - originY);
+
+  return {
+    data: rgbaToLuminance(context.getImageData(originX, originY, width, height).data),
+    width,
+    height,
+    originX,
+    originY
+  };
+}
+
+/**
+ * Estimate sky background level and noise using the median and MAD
+ * @param {Float32Array} data - Luminance values
+ * @returns {{level: number, sigma: number}}
+ */
+function estimateBackground(data) {
+  const stride = Math.max(1, Math.floor(data.length / 100000));
+  const samples = [];
+  for (let i = 0; i < data.length; i += stride) {
+    samples.push(data[i]);
+  }
+  samples.sort((a, b) => a - b);
+  const level = samples[Math.floor(samples.length / 2)];
+
+  const deviations = samples.map(v => Math.abs(v - level)).sort((a, b) => a - b);
+  const mad = deviations[Math.floor(deviations.length / 2)];
+
+  // 8-bit images often have MAD = 0 in dark skies; keep a minimum noise level
+  return { level, sigma: Math.max(1.4826 * mad, 1) };
+}
+
+/**
+ * Median of the pixels on the border of a square window (local background)
+ */
+function borderMedian(image, x0, y0, x1, y1) {
+  const values = [];
+  for (let x = x0; x <= x1; x++) {
+    values.push(image.data[y0 * image.width + x], image.data[y1 * image.width + x]);
+  }
+  for (let y = y0 + 1; y < y1; y++) {
+    values.push(image.data[y * image.width + x0], image.data[y * image.width + x1]);
+  }
+  values.sort((a, b) => a - b);
+  return values[Math.floor(values.length / 2)];
+}
+
+/**
+ * Refine a star position to its intensity-weighted centroid
+ * Starts from the brightest pixel within the radius, then iterates the centroid.
+ * Coordinates are in the image's own pixels plus its originX/originY (for patches).
+ * @param {{data: Float32Array, width: number, height: number, originX?: number, originY?: number}} image
+ * @param {number} x - Approximate X position
+ * @param {number} y - Approximate Y position
+ * @param {number} radius - Centroid window half-size in pixels
+ * @param {number|null} background - Background level (estimated from the window border if null)
+ * @returns {{x: number, y: number, flux: number}|null} Null if there is no signal above background
+ */
+export function refineCentroid(image, x, y, radius = 4, background = null) {
+  const originX = image.originX || 0;
+  const originY = image.originY || 0;
+  const { data, width, height } = image;
+  const clampX = (v) => Math.max(0, Math.min(width - 1, v));
+  const clampY = (v) => Math.max(0, Math.min(height - 1, v));
+
+  // Move to the brightest pixel in the search window
+  let peakX = clampX(Math.round(x - originX));
+  let peakY = clampY(Math.round(y - originY));
+  let peakValue = -Infinity;
+  for (let py = clampY(peakY - radius); py <= clampY(peakY + radius); py++) {
+    for (let px = clampX(peakX - radius); px <= clampX(peakX + radius); px++) {
+      if (data[py * width + px] > peakValue) {
+        peakValue = data[py * width + px];
+        x = px;
+        y = py;
+      }
+    }
+  }
+  let cx = x;
+  let cy = y;
+  let flux = 0;
+
+  for (let iteration = 0; iteration < 5; iteration++) {
+    const x0 = clampX(Math.round(cx) - radius);
+    const x1 = clampX(Math.round(cx) + radius);
+    const y0 = clampY(Math.round(cy) - radius);
+    const y1 = clampY(Math.round(cy) + radius);
+    if (x1 - x0 < 2 || y1 - y0 < 2) return null;
+
+    const level = background !== null ? background : borderMedian(image, x0, y0, x1, y1);
+    let sum = 0;
+    let sumX = 0;
+    let sumY = 0;
+    for (let py = y0; py <= y1; py++) {
+      for (let px = x0; px <= x1; px++) {
+        const weight = data[py * width + px] - level;
+        if (weight <= 0) continue;
+        sum += weight;
+        sumX += weight * px;
+        sumY += weight * py;
+      }
+    }
+    if (sum <= 0) return null;
+
+    const nextX = sumX / sum;
+    const nextY = sumY / sum;
+    const shift = Math.hypot(nextX - cx, nextY - cy);
+    cx = nextX;
+    cy = nextY;
+    flux = sum;
+    if (shift < 0.01) break;
+  }
+
+  return { x: cx + originX, y: cy + originY, flux };
+}
+
+/**
+ * Detect stars as local maxima above the background and measure their centroids
+ * @param {Object} image - Result of imageToLuminance
+ * @param {Object} options
+ * @param {number} options.maxStars - Maximum number of detections (brightest first)
+ * @returns {Array<{x: number, y: number, flux: number}>} Positions in source-image pixels
+ */
+export function detectStars(image, { maxStars = MAX_DETECTIONS } = {}) {
+  const { data, width, height } = image;
+  const { level, sigma } = estimateBackground(data);
+  const threshold = level + 5 * sigma;
+  const halo = level + 2 * sigma;
+  const border = 3;
+  const stars = [];
+
+  for (let y = border; y < height - border; y++) {
+    for (let x = border; x < width - border; x++) {
+      const index = y * width + x;
+      const value = data[index];
+      if (value < threshold) continue;
+
+      // Local maximum over a 5x5 neighbourhood (ties go to the first pixel)
+      let isPeak = true;
+      let neighbours = 0;
+      for (let dy = -2; dy <= 2 && isPeak; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          const neighbour = data[index + dy * width + dx];
+          if (neighbour > value || (neighbour === value && dy * width + dx < 0)) {
+            isPeak = false;
+            break;
+          }
+          if (Math.abs(dx) <= 1 && Math.abs(dy) <= 1 && neighbour > halo) {
+            neighbours++;
+          }
+        }
+      }
+      // Reject hot pixels (single bright pixels without a star profile)
+      if (!isPeak || neighbours < 2) continue;
+
+      const centroid = refineCentroid(image, x, y, 3, level);
+      if (centroid) stars.push(centroid);
+    }
+  }
+
+  stars.sort((a, b) => b.flux - a.flux);
+
+  return stars.slice(0, maxStars).map(star => ({
+    x: (star.x + 0.5) * image.factorX - 0.5,
+    y: (star.y + 0.5) * image.factorY - 0.5,
+    flux: star.flux
+  }));
+}
+
+/**
+ * Build scale- and rotation-invariant triangle descriptors from the brightest points
+ * Vertices are ordered by the length of the opposite side (shortest first), so matching
+ * descriptors also give the vertex correspondence.
+ * @param {Array<{x: number, y: number}>} points - Points, brightest first
+ * @param {number} count - Number of points to use
+ * @returns {Array<{r1: number, r2: number, size: number, vertices: number[]}>} Sorted by r1
+ */
+function buildTriangles(points, count) {
+  const n = Math.min(points.length, count);
+  const triangles = [];
+  const distance = (i, j) => Math.hypot(points[i].x - points[j].x, points[i].y - points[j].y);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      for (let k = j + 1; k < n; k++) {
+        const sides = [
+          { length: distance(j, k), vertex: i },
+          { length: distance(i, k), vertex: j },
+          { length: distance(i, j), vertex: k }
+        ].sort((a, b) => a.length - b.length);
+
+        if (sides[0].length === 0) continue;
+        triangles.push({
+          r1: sides[0].length / sides[2].length,
+          r2: sides[1].length / sides[2].length,
+          size: sides[2].length,
+          vertices: sides.map(side => side.vertex)
+        });
+      }
+    }
+  }
+
+  return triangles.sort((a, b) => a.r1 - b.r1);
+}
+
+/**
+ * Least-squares fit of target = c0 + c1 * u + c2 * v
+ * @param {Array<{u: number, v: number, target: number}>} samples
+ * @returns {number[]|null} Coefficients [c0, c1, c2], or null if the system is singular
+ */
+function fitLinear(samples) {
+  // Normal equations
+  const m = [[0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]];
+  samples.forEach(({ u, v, target }) => {
+    const row = [1, u, v];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        m[i][j] += row[i] * row[j];
+      }
+      m[i][3] += row[i] * target;
+    }
+  });
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 3; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 3; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    for (let row = 0; row < 3; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k < 4; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  return [m[0][3] / m[0][0], m[1][3] / m[1][1], m[2][3] / m[2][2]];
+}
+
+/**
+ * Fit an affine transform from pairs of points
+ * @param {Array<{from: {x: number, y: number}, to: {x: number, y: number}}>} pairs
+ * @returns {{x: number[], y: number[]}|null} Coefficients: to.x = x[0] + x[1] * from.x + x[2] * from.y
+ */
+function fitAffine(pairs) {
+  const x = fitLinear(pairs.map(p => ({ u: p.from.x, v: p.from.y, target: p.to.x })));
+  const y = fitLinear(pairs.map(p => ({ u: p.from.x, v: p.from.y, target: p.to.y })));
+  return x && y ? { x, y } : null;
+}
+
+function applyAffine(affine, point) {
+  return {
+    x: affine.x[0] + affine.x[1] * point.x + affine.x[2] * point.y,
+    y: affine.y[0] + affine.y[1] * point.x + affine.y[2] * point.y
+  };
+}
+
+/**
+ * Check that an affine transform is close to a similarity (rotation, scale and optional flip)
+ * A real camera plate has no shear and equal scale in both axes.
+ */
+function isNearSimilarity(affine, tolerance = 0.1) {
+  const [a, b] = [affine.x[1], affine.x[2]];
+  const [c, d] = [affine.y[1], affine.y[2]];
+  const lengthU = a * a + c * c;
+  const lengthV = b * b + d * d;
+  const mean = (lengthU + lengthV) / 2;
+  if (mean === 0) return false;
+  return Math.abs(lengthU - lengthV) / mean < tolerance && Math.abs(a * b + c * d) / mean < tolerance;
+}
+
+/**
+ * Pair projected catalog stars with their nearest detections (each detection used once)
+ * @returns {Array<{catalog: number, detection: number, distance: number}>}
+ */
+function pairNearest(projected, detections, radius) {
+  const candidates = [];
+  projected.forEach((point, catalogIndex) => {
+    detections.forEach((detection, detectionIndex) => {
+      const distance = Math.hypot(point.x - detection.x, point.y - detection.y);
+      if (distance <= radius) {
+        candidates.push({ catalog: catalogIndex, detection: detectionIndex, distance });
+      }
+    });
+  });
+
+  candidates.sort((a, b) => a.distance - b.distance);
+  const usedCatalog = new Set();
+  const usedDetections = new Set();
+  return candidates.filter(pair => {
+    if (usedCatalog.has(pair.catalog) || usedDetections.has(pair.detection)) return false;
+    usedCatalog.add(pair.catalog);
+    usedDetections.add(pair.detection);
+    return true;
+  });
+}
+
+/**
+ * Find the sky-to-pixel affine transform that best explains the detections
+ * @param {Array<{x: number, y: number}>} detections - Detected stars (pixels), brightest first
+ * @param {Array<{x: number, y: number}>} sky - Catalog stars in standard coordinates (degrees), brightest first
+ * @param {Object} options
+ * @returns {{affine: Object, pairs: Array}|null}
+ */
+function matchPatterns(detections, sky, { matchRadius, scaleHint }) {
+  const imageTriangles = buildTriangles(detections, IMAGE_TRIANGLE_STARS);
+  const skyTriangles = buildTriangles(sky, CATALOG_TRIANGLE_STARS);
+  let best = null;
+  let hypotheses = 0;
+
+  for (const triangle of imageTriangles) {
+    // Binary search for the first sky triangle within tolerance of r1
+    let low = 0;
+    let high = skyTriangles.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (skyTriangles[mid].r1 < triangle.r1 - TRIANGLE_TOLERANCE) low = mid + 1;
+      else high = mid;
+    }
+
+    for (let i = low; i < skyTriangles.length && skyTriangles[i].r1 <= triangle.r1 + TRIANGLE_TOLERANCE; i++) {
+      const candidate = skyTriangles[i];
+      if (Math.abs(candidate.r2 - triangle.r2) > TRIANGLE_TOLERANCE) continue;
+
+      // Scale implied by this match (arcsec per pixel)
+      const scale = candidate.size * 3600 / triangle.size;
+      if (scaleHint ? Math.abs(scale / scaleHint - 1) > 0.25 : scale < 0.1 || scale > 300) continue;
+
+      if (++hypotheses > MAX_HYPOTHESES) break;
+
+      const affine = fitAffine(candidate.vertices.map((skyIndex, v) => ({
+        from: sky[skyIndex],
+        to: detections[triangle.vertices[v]]
+      })));
+      if (!affine || !isNearSimilarity(affine)) continue;
+
+      const pairs = pairNearest(sky.map(point => applyAffine(affine, point)), detections, matchRadius);
+      if (!best || pairs.length > best.pairs.length) {
+        best = { affine, pairs };
+      }
+    }
+  }
+
+  return best && best.pairs.length >= MIN_MATCHES ? best : null;
+}
+
+/**
+ * Refine a match by iterated least squares with outlier rejection
+ * @returns {{affine: Object, pairs: Array}|null}
+ */
+function refineMatch(match, detections, sky, matchRadius) {
+  let { affine, pairs } = match;
+  let radius = matchRadius;
+
+  for (let iteration = 0; iteration < 4; iteration++) {
+    const fitted = fitAffine(pairs.map(p => ({ from: sky[p.catalog], to: detections[p.detection] })));
+    if (!fitted) break;
+    affine = fitted;
+
+    // Tighten the match radius to 3x the RMS residual, then re-pair
+    const residuals = pairs.map(p => {
+      const predicted = applyAffine(affine, sky[p.catalog]);
+      return Math.hypot(predicted.x - detections[p.detection].x, predicted.y - detections[p.detection].y);
+    });
+    const rms = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length);
+    radius = Math.min(matchRadius, Math.max(3 * rms, 2));
+
+    const next = pairNearest(sky.map(point => applyAffine(affine, point)), detections, radius);
+    if (next.length < MIN_MATCHES) break;
+    pairs = next;
+  }
+
+  return pairs.length >= MIN_MATCHES ? { affine, pairs } : null;
+}
+
+/**
+ * Build the plate solution from matched catalog stars and detections
+ * The tangent point is moved to the image centre and the CD matrix refit around it.
+ */
+function buildSolution(pairs, catalogStars, detections, imageWidth, imageHeight) {
+  const crpix = { x: (imageWidth - 1) / 2, y: (imageHeight - 1) / 2 };
+  const matched = pairs.map(p => ({ star: catalogStars[p.catalog], pixel: detections[p.detection] }));
+
+  let centerRA = matched[0].star.ra;
+  let centerDec = matched[0].star.dec;
+  let cd = null;
+
+  for (let iteration = 0; iteration < 3; iteration++) {
+    const samples = matched.map(({ star, pixel }) => ({
+      standard: projectGnomonic(star.ra, star.dec, centerRA, centerDec),
+      dx: pixel.x - crpix.x,
+      dy: pixel.y - crpix.y
+    })).filter(s => s.standard);
+
+    const xi = fitLinear(samples.map(s => ({ u: s.dx, v: s.dy, target: s.standard.xi })));
+    const eta = fitLinear(samples.map(s => ({ u: s.dx, v: s.dy, target: s.standard.eta })));
+    if (!xi || !eta) return null;
+
+    cd = [[xi[1], xi[2]], [eta[1], eta[2]]];
+    // Move the tangent point to the sky position of the reference pixel
+    const center = deprojectGnomonic(xi[0], eta[0], centerRA, centerDec);
+    centerRA = center.ra;
+    centerDec = center.dec;
+  }
+
+  const wcs = WCS.fromImageCD({ centerRA, centerDec, cd, imageWidth, imageHeight, center: crpix });
+
+  const matchedStars = matched.map(({ star, pixel }) => ({
+    hip: star.hip,
+    ra: star.ra,
+    dec: star.dec,
+    x: pixel.x,
+    y: pixel.y
+  }));
+
+  const squared = matched.map(({ star, pixel }) => {
+    const predicted = wcs.worldToPixel(star.ra, star.dec);
+    return predicted ? (predicted.x - pixel.x) ** 2 + (predicted.y - pixel.y) ** 2 : 0;
+  });
+  const rmsPixels = Math.sqrt(squared.reduce((sum, v) => sum + v, 0) / squared.length);
+
+  return { wcs, matchedStars, rmsPixels };
+}
+
+/**
+ * Solve an image against the local HIP catalog
+ * @param {CanvasImageSource} source - Image, bitmap or canvas at full resolution
+ * @param {Object} options
+ * @param {number} options.centerRA - Approximate image centre RA in degrees
+ * @param {number} options.centerDec - Approximate image centre Dec in degrees
+ * @param {number|null} options.scaleHint - Approximate scale in arcsec/pixel (optional)
+ * @param {Function} options.onProgress - Called with status messages
+ * @returns {Promise<{wcs: WCS, matchedStars: Object[], rmsPixels: number}>} Linear WCS of the image,
+ *   the catalog stars used ({hip, ra, dec, x, y}) and the fit residual in pixels
+ * @throws {Error} If too few stars are detected or no catalog match is found
+ */
+export async function solvePlate(source, { centerRA, centerDec, scaleHint = null, onProgress = () => {} } = {}) {
+  const imageWidth = source.naturalWidth || source.width;
+  const imageHeight = source.naturalHeight || source.height;
+
+  onProgress('Detecting stars...');
+  const detections = detectStars(imageToLuminance(source));
+  if (detections.length < MIN_MATCHES) {
+    throw new Error(`Only ${detections.length} stars detected in the image (need at least ${MIN_MATCHES})`);
+  }
+
+  const matchRadius = Math.max(4, 0.005 * Math.max(imageWidth, imageHeight));
+
+  // With a known scale, search a cone slightly larger than the image; otherwise try several field sizes
+  const radii = scaleHint
+    ? [Math.hypot(imageWidth, imageHeight) / 2 * scaleHint / 3600 * 1.2]
+    : [1, 2.5, 6];
+
+  for (const radius of radii) {
+    onProgress(`Matching against catalog (${radius.toFixed(1)}° radius)...`);
+    const catalogStars = await queryHIPRegion(centerRA, centerDec, radius, { limit: CATALOG_STARS });
+    if (catalogStars.length < MIN_MATCHES) continue;
+
+    const sky = catalogStars.map(star => {
+      const standard = projectGnomonic(star.ra, star.dec, centerRA, centerDec);
+      return { x: standard.xi, y: standard.eta };
+    });
+
+    const match = matchPatterns(detections, sky, { matchRadius, scaleHint });
+    if (!match) continue;
+
+    const refined = refineMatch(match, detections, sky, matchRadius);
+    if (!refined) continue;
+
+    onProgress('Fitting plate solution...');
+    const solution = buildSolution(refined.pairs, catalogStars, detections, imageWidth, imageHeight);
+    if (solution) return solution;
+  }
+
+  throw new Error('No catalog match found. Check the approximate centre, or enter the pixel scale.');
+}
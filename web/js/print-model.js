@@ -0,0 +1,258 @@
+/**
+ * Printable star field model
+ * Builds a solid base plate with the image engraved into its top, and for each star a pillar
+ * topped with a ball at the star's scaled depth, then writes it as STL or 3MF (millimetres).
+ * Each part is a closed mesh; parts overlap where they join, which slicers merge.
+ */
+
+import { createZip } from './zip.js';
+
+const CIRCLE_SEGMENTS = 16;
+const SPHERE_BANDS = 8;
+
+/**
+ * Indexed triangle mesh being built
+ */
+function createMesh(name) {
+  return { name, vertices: [], triangles: [] };
+}
+
+function addVertex(mesh, x, y, z) {
+  mesh.vertices.push(x, y, z);
+  return mesh.vertices.length / 3 - 1;
+}
+
+/**
+ * Base plate: flat bottom at z = 0, top at the plate thickness with bright parts of the
+ * image cut in (up to the engrave depth)
+ * @param {{width: number, height: number, values: Float32Array}} heightmap - Brightness 0-1,
+ *   row by row from the top of the image
+ */
+function buildPlate(heightmap, plateWidth, plateHeight, thickness, engraveDepth) {
+  const mesh = createMesh('Base plate');
+  const { width: nx, height: ny, values } = heightmap;
+  const dx = plateWidth / (nx - 1);
+  const dy = plateHeight / (ny - 1);
+
+  // Top surface (row 0 is the top edge of the image, at y = plateHeight)
+  const top = (i, j) => j * nx + i;
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      addVertex(mesh, i * dx, plateHeight - j * dy, thickness - engraveDepth * values[j * nx + i]);
+    }
+  }
+  for (let j = 0; j < ny - 1; j++) {
+    for (let i = 0; i < nx - 1; i++) {
+      const topLeft = top(i, j);
+      const topRight = top(i + 1, j);
+      const bottomLeft = top(i, j + 1);
+      const bottomRight = top(i + 1, j + 1);
+      mesh.triangles.push(topLeft, bottomLeft, bottomRight, topLeft, bottomRight, topRight);
+    }
+  }
+
+  // Edge of the top surface, counter-clockwise seen from above
+  const ring = [];
+  for (let i = 0; i < nx - 1; i++) ring.push(top(i, ny - 1));
+  for (let j = ny - 1; j > 0; j--) ring.push(top(nx - 1, j));
+  for (let i = nx - 1; i > 0; i--) ring.push(top(i, 0));
+  for (let j = 0; j < ny - 1; j++) ring.push(top(0, j));
+
+  // Side walls down to the bottom, and the bottom as a fan around its center
+  const bottom = ring.map(index => addVertex(mesh, mesh.vertices[index * 3], mesh.vertices[index * 3 + 1], 0));
+  const center = addVertex(mesh, plateWidth / 2, plateHeight / 2, 0);
+  ring.forEach((a, k) => {
+    const next = (k + 1) % ring.length;
+    const b = ring[next];
+    mesh.triangles.push(bottom[k], bottom[next], b, bottom[k], b, a);
+    mesh.triangles.push(center, bottom[next], bottom[k]);
+  });
+  return mesh;
+}
+
+/**
+ * Closed vertical cylinder
+ */
+function buildCylinder(name, x, y, z0, z1, radius) {
+  const mesh = createMesh(name);
+  const bottomCenter = addVertex(mesh, x, y, z0);
+  const topCenter = addVertex(mesh, x, y, z1);
+  const bottom = [];
+  const top = [];
+  for (let k = 0; k < CIRCLE_SEGMENTS; k++) {
+    const angle = (k / CIRCLE_SEGMENTS) * 2 * Math.PI;
+    const px = x + radius * Math.cos(angle);
+    const py = y + radius * Math.sin(angle);
+    bottom.push(addVertex(mesh, px, py, z0));
+    top.push(addVertex(mesh, px, py, z1));
+  }
+  for (let k = 0; k < CIRCLE_SEGMENTS; k++) {
+    const next = (k + 1) % CIRCLE_SEGMENTS;
+    mesh.triangles.push(bottom[k], bottom[next], top[next], bottom[k], top[next], top[k]);
+    mesh.triangles.push(topCenter, top[k], top[next]);
+    mesh.triangles.push(bottomCenter, bottom[next], bottom[k]);
+  }
+  return mesh;
+}
+
+/**
+ * Closed sphere (latitude bands, single vertices at the poles)
+ */
+function buildSphere(name, x, y, z, radius) {
+  const mesh = createMesh(name);
+  const northPole = addVertex(mesh, x, y, z + radius);
+  const rings = [];
+  for (let band = 1; band < SPHERE_BANDS; band++) {
+    const polar = (band / SPHERE_BANDS) * Math.PI;
+    const ring = [];
+    for (let k = 0; k < CIRCLE_SEGMENTS; k++) {
+      const angle = (k / CIRCLE_SEGMENTS) * 2 * Math.PI;
+      ring.push(addVertex(
+        mesh,
+        x + radius * Math.sin(polar) * Math.cos(angle),
+        y + radius * Math.sin(polar) * Math.sin(angle),
+        z + radius * Math.cos(polar)
+      ));
+    }
+    rings.push(ring);
+  }
+  const southPole = addVertex(mesh, x, y, z - radius);
+
+  for (let k = 0; k < CIRCLE_SEGMENTS; k++) {
+    const next = (k + 1) % CIRCLE_SEGMENTS;
+    mesh.triangles.push(northPole, rings[0][k], rings[0][next]);
+    for (let band = 0; band < rings.length - 1; band++) {
+      const upper = rings[band];
+      const lower = rings[band + 1];
+      mesh.triangles.push(upper[k], lower[k], lower[next], upper[k], lower[next], upper[next]);
+    }
+    const last = rings[rings.length - 1];
+    mesh.triangles.push(southPole, last[next], last[k]);
+  }
+  return mesh;
+}
+
+/**
+ * Build the printable model
+ * @param {Object} options
+ * @param {{width: number, height: number, values: Float32Array}} options.heightmap - Image
+ *   brightness (0-1) sampled on the plate's grid, row by row from the top
+ * @param {Array<{name: string, x: number, y: number, depth: number, size: number}>} options.stars -
+ *   x from the image's left edge and y from its bottom edge (0-1), depth from the image
+ *   plane to the back of the volume (0-1), size relative to an average star
+ * @param {number} options.plateWidth - mm (the plate height follows the image's aspect ratio)
+ * @param {number} options.plateHeight - mm
+ * @param {number} options.thickness - Plate thickness in mm
+ * @param {number} options.engraveDepth - Deepest engraving in mm
+ * @param {number} options.maxHeight - Height above the plate of a star at the back of the volume, in mm
+ * @param {number} options.pillarRadius - mm
+ * @param {number} options.ballRadius - Ball radius of an average star in mm
+ * @returns {Array<{name: string, vertices: number[], triangles: number[]}>} Closed meshes
+ */
+export function buildPrintModel({ heightmap, stars, plateWidth, plateHeight, thickness, engraveDepth,
+  maxHeight, pillarRadius, ballRadius }) {
+  const parts = [buildPlate(heightmap, plateWidth, plateHeight, thickness, engraveDepth)];
+
+  stars.forEach(star => {
+    const x = star.x * plateWidth;
+    const y = star.y * plateHeight;
+    const radius = ballRadius * Math.min(2, Math.max(0.5, star.size || 1));
+    // Stars at the image plane still stand clear of the plate
+    const z = thickness + 2 * radius + Math.min(1, Math.max(0, star.depth)) * maxHeight;
+    // Pillars start below the deepest engraving so they are joined to the plate
+    parts.push(buildCylinder(`${star.name} pillar`, x, y, thickness - engraveDepth - 0.5, z, pillarRadius));
+    parts.push(buildSphere(star.name, x, y, z, radius));
+  });
+  return parts;
+}
+
+/**
+ * Write meshes as a binary STL file
+ * @param {Array<{vertices: number[], triangles: number[]}>} parts
+ * @returns {Blob}
+ */
+export function toSTL(parts) {
+  const count = parts.reduce((total, part) => total + part.triangles.length / 3, 0);
+  const buffer = new ArrayBuffer(84 + count * 50);
+  const view = new DataView(buffer);
+  new Uint8Array(buffer).set(new TextEncoder().encode('StarField3D printable model'));
+  view.setUint32(80, count, true);
+
+  let offset = 84;
+  parts.forEach(({ vertices, triangles }) => {
+    for (let t = 0; t < triangles.length; t += 3) {
+      const [a, b, c] = [triangles[t], triangles[t + 1], triangles[t + 2]].map(index => vertices.slice(index * 3, index * 3 + 3));
+      const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+      const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+      const normal = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+      const length = Math.hypot(...normal) || 1;
+      [...normal.map(n => n / length), ...a, ...b, ...c].forEach(value => {
+        view.setFloat32(offset, value, true);
+        offset += 4;
+      });
+      offset += 2; // Attribute byte count
+    }
+  });
+  return new Blob([buffer], { type: 'model/stl' });
+}
+
+/**
+ * Escape text for an XML attribute or element
+ */
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
+
+/**
+ * Write meshes as a 3MF file: one object whose components are the parts, so slicers keep
+ * them together in place
+ * @param {Array<{name: string, vertices: number[], triangles: number[]}>} parts
+ * @param {string} title - Model title
+ * @returns {Promise<Blob>}
+ */
+export async function to3MF(parts, title) {
+  const round = value => Math.round(value * 1000) / 1000;
+  const objects = parts.map((part, index) => {
+    const vertices = [];
+    for (let v = 0; v < part.vertices.length; v += 3) {
+      vertices.push(`<vertex x="${round(part.vertices[v])}" y="${round(part.vertices[v + 1])}" z="${round(part.vertices[v + 2])}"/>`);
+    }
+    const triangles = [];
+    for (let t = 0; t < part.triangles.length; t += 3) {
+      triangles.push(`<triangle v1="${part.triangles[t]}" v2="${part.triangles[t + 1]}" v3="${part.triangles[t + 2]}"/>`);
+    }
+    return `<object id="${index + 1}" type="model" name="${escapeXml(part.name)}"><mesh>` +
+      `<vertices>${vertices.join('')}</vertices><triangles>${triangles.join('')}</triangles></mesh></object>`;
+  });
+  const modelId = parts.length + 1;
+  const components = parts.map((part, index) => `<component objectid="${index + 1}"/>`).join('');
+
+  const model = `<?xml version="1.0" encoding="UTF-8"?>
+<model unit="millimeter" xml:lang="en-US" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">
+<metadata name="Title">${escapeXml(title)}</metadata>
+<metadata name="Application">StarField3D</metadata>
+<resources>
+${objects.join('\n')}
+<object id="${modelId}" type="model" name="${escapeXml(title)}"><components>${components}</components></object>
+</resources>
+<build><item objectid="${modelId}"/></build>
+</model>
+`;
+  const contentTypes = `<?xml version="1.0" encoding="UTF-8"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>
+</Types>
+`;
+  const relationships = `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel"/>
+</Relationships>
+`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes, compress: true },
+    { name: '_rels/.rels', data: relationships, compress: true },
+    { name: '3D/3dmodel.model', data: model, compress: true }
+  ], { type: 'model/3mf' });
+}
@@ -0,0 +1,104 @@
+/**
+ * Project files (.sf3d)
+ * A project is a ZIP archive holding the original front/back images and a project.json
+ * with the form contents (star table, image center, pixel scale, plate solution),
+ * the generated 3D model data (scaling, star positions) and the 3D view settings, camera pose and camera tour
+ */
+
+import { createZip, readZip } from './zip.js';
+
+export const PROJECT_EXTENSION = '.sf3d';
+const PROJECT_FORMAT = 'gaiaview-project';
+const PROJECT_VERSION = 1;
+const MANIFEST_NAME = 'project.json';
+
+/**
+ * Remove object URLs (only valid in the current page) from visualization data
+ */
+function withoutObjectURLs(visualization) {
+  if (!visualization) return null;
+
+  const copy = JSON.parse(JSON.stringify(visualization));
+  if (copy.image) delete copy.image.url;
+  if (copy.backImage) delete copy.backImage.url;
+  return copy;
+}
+
+/**
+ * Archive path for an image, keeping its original file name
+ */
+function imagePath(role, file) {
+  return `images/${role}/${file.name.replace(/[\\/]/g, '_')}`;
+}
+
+/**
+ * Create a project file
+ * @param {Object} project
+ * @param {Object} project.form - Form state (stars, image center, scale, plate solution)
+ * @param {File} project.frontImage - Original front image
+ * @param {File|null} project.backImage - Original back image
+ * @param {Object|null} project.visualization - Data passed to initVisualization, if a model was generated
+ * @param {Object|null} project.view - View state from getViewState, if a model was generated
+ * @returns {Promise<Blob>}
+ */
+export async function createProjectFile({ form, frontImage, backImage = null, visualization = null, view = null }) {
+  const images = { front: imagePath('front', frontImage) };
+  if (backImage) images.back = imagePath('back', backImage);
+
+  const manifest = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    created: new Date().toISOString(),
+    images,
+    form,
+    visualization: withoutObjectURLs(visualization),
+    view
+  };
+
+  const files = [{ name: MANIFEST_NAME, data: JSON.stringify(manifest, null, 2), compress: true }];
+  files.push({ name: images.front, data: frontImage });
+  if (backImage) files.push({ name: images.back, data: backImage });
+
+  return createZip(files, { type: 'application/zip' });
+}
+
+/**
+ * Read a project file
+ * @param {Blob} file - .sf3d file
+ * @returns {Promise<{form: Object, visualization: Object|null, view: Object|null,
+ *   frontImage: File, backImage: File|null, created: string}>}
+ * @throws {Error} If the file is not a readable GAIAView project
+ */
+export async function readProjectFile(file) {
+  const entries = await readZip(file);
+  const manifestBytes = entries.get(MANIFEST_NAME);
+  if (!manifestBytes) {
+    throw new Error('Not a GAIAView project (project.json missing)');
+  }
+
+  const manifest = JSON.parse(new TextDecoder().decode(manifestBytes));
+  if (manifest.format !== PROJECT_FORMAT) {
+    throw new Error('Not a GAIAView project');
+  }
+  if (manifest.version > PROJECT_VERSION) {
+    throw new Error(`Project was saved by a newer version of GAIAView (format ${manifest.version})`);
+  }
+
+  const toFile = (path) => {
+    if (!path) return null;
+    const bytes = entries.get(path);
+    if (!bytes) throw new Error(`Project is missing ${path}`);
+    const name = path.split('/').pop();
+    const type = /\.png$/i.test(name) ? 'image/png' : /\.jpe?g$/i.test(name) ? 'image/jpeg' : '';
+    return new File([bytes], name, { type });
+  };
+
+  return {
+    form: manifest.form,
+    visualization: manifest.visualization || null,
+    view: manifest.view || null,
+    frontImage: toFile(manifest.images.front),
+    backImage: toFile(manifest.images.back),
+    created: manifest.created
+  };
+}
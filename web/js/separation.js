@@ -0,0 +1,220 @@
+/**
+ * Star separations
+ * Angular separation on the sky and true 3D separation in space for pairs of stars,
+ * the connector drawn between two measured stars, and the pairwise table for a whole field
+ */
+
+import * as THREE from 'three';
+import { visualizationWCS } from './coordinate-converter.js';
+import { LY_PER_PC, hasValue, escapeCSVField } from './utils.js';
+
+const CONNECTOR_COLOR = 0xffcc33;
+
+/**
+ * Angular separation of two sky positions (haversine formula, accurate at small angles)
+ * @param {number} ra1 - RA in degrees
+ * @param {number} dec1 - Dec in degrees
+ * @param {number} ra2 - RA in degrees
+ * @param {number} dec2 - Dec in degrees
+ * @returns {number} Separation in degrees
+ */
+export function angularSeparation(ra1, dec1, ra2, dec2) {
+  const toRad = Math.PI / 180;
+  const sinDDec = Math.sin((dec2 - dec1) * toRad / 2);
+  const sinDRA = Math.sin((ra2 - ra1) * toRad / 2);
+  const h = sinDDec * sinDDec + Math.cos(dec1 * toRad) * Math.cos(dec2 * toRad) * sinDRA * sinDRA;
+  return 2 * Math.asin(Math.min(1, Math.sqrt(h))) / toRad;
+}
+
+/**
+ * Distance between two stars from their distances and angular separation (law of cosines)
+ * @param {number} distance1 - Distance to the first star
+ * @param {number} distance2 - Distance to the second star (same unit)
+ * @param {number} separationDeg - Angular separation in degrees
+ * @returns {number} Separation in the unit of the distances
+ */
+export function spatialSeparation(distance1, distance2, separationDeg) {
+  const theta = separationDeg * Math.PI / 180;
+  // Written with the half-angle sine so nearly aligned stars keep their precision
+  const sinHalf = Math.sin(theta / 2);
+  const d = distance1 - distance2;
+  return Math.sqrt(d * d + 4 * distance1 * distance2 * sinHalf * sinHalf);
+}
+
+/**
+ * Create the function that gives consistent sky positions for a set of stars in a field
+ * Catalog RA/Dec is used when every star has it. Otherwise positions come from the image:
+ * its WCS (a real sky position, so it can be mixed with catalog values), or with only a pixel
+ * scale known, a WCS centered on an arbitrary sky position (angles between the stars are still
+ * right, but only between positions from the image)
+ * @param {Object} data - Visualization data (image size, wcs or pixelScale)
+ * @returns {Function} (stars) => {positions: Array<{ra, dec}>, fromImage: boolean}, or null when
+ *   some star has no usable position
+ */
+export function createSkyPositions(data) {
+  const wcs = visualizationWCS(data);
+  const realSky = !!data.wcs;
+
+  const hasCatalog = star => hasValue(star.ra) && hasValue(star.dec);
+  const hasPixel = star => hasValue(star.pixelX) && hasValue(star.pixelY);
+  const fromImage = star => wcs.pixelToWorld(star.pixelX, star.pixelY);
+
+  return (stars) => {
+    if (stars.every(hasCatalog)) {
+      return { positions: stars.map(star => ({ ra: star.ra, dec: star.dec })), fromImage: false };
+    }
+    if (!wcs) return null;
+
+    if (realSky) {
+      if (!stars.every(star => hasCatalog(star) || hasPixel(star))) return null;
+      return {
+        positions: stars.map(star => hasCatalog(star) ? { ra: star.ra, dec: star.dec } : fromImage(star)),
+        fromImage: true
+      };
+    }
+    if (!stars.every(hasPixel)) return null;
+    return { positions: stars.map(fromImage), fromImage: true };
+  };
+}
+
+/**
+ * Measure the separation of two stars
+ * @param {Object} starA - Visualization star data
+ * @param {Object} starB - Visualization star data
+ * @param {Function} skyPositions - From createSkyPositions
+ * @returns {{angularDeg: number|null, separationLy: number|null, separationPc: number|null,
+ *   fromImage: boolean}} Values are null when the positions or distances are unknown
+ */
+export function measureSeparation(starA, starB, skyPositions) {
+  const sky = skyPositions([starA, starB]);
+  let angularDeg = null;
+  if (sky) {
+    const [a, b] = sky.positions;
+    angularDeg = angularSeparation(a.ra, a.dec, b.ra, b.dec);
+  }
+
+  let separationLy = null;
+  if (angularDeg !== null && starA.distanceLy > 0 && starB.distanceLy > 0) {
+    separationLy = spatialSeparation(starA.distanceLy, starB.distanceLy, angularDeg);
+  }
+
+  return {
+    angularDeg,
+    separationLy,
+    separationPc: separationLy !== null ? separationLy / LY_PER_PC : null,
+    fromImage: !!sky && sky.fromImage
+  };
+}
+
+/**
+ * Angle in the largest sensible unit: degrees, arcminutes or arcseconds
+ * @param {number} degrees
+ * @returns {string}
+ */
+export function formatAngle(degrees) {
+  if (degrees >= 1) return `${degrees.toFixed(2)}°`;
+  if (degrees * 60 >= 1) return `${(degrees * 60).toFixed(2)}′`;
+  return `${(degrees * 3600).toFixed(1)}″`;
+}
+
+/**
+ * Display name of a star
+ */
+function starName(star) {
+  return star.name || (hasValue(star.hip) ? `HIP ${star.hip}` : 'Unnamed');
+}
+
+/**
+ * Separations of every pair of stars
+ * @param {Object} data - Visualization data (stars, image size, wcs or pixelScale)
+ * @returns {Array<Object>} One row per pair: starA and starB (names), hipA, hipB, and the
+ *   values of measureSeparation
+ */
+export function separationTable(data) {
+  const skyPositions = createSkyPositions(data);
+  const rows = [];
+  const stars = data.stars;
+  for (let i = 0; i < stars.length; i++) {
+    for (let j = i + 1; j < stars.length; j++) {
+      rows.push({
+        starA: starName(stars[i]),
+        starB: starName(stars[j]),
+        hipA: stars[i].hip,
+        hipB: stars[j].hip,
+        ...measureSeparation(stars[i], stars[j], skyPositions)
+      });
+    }
+  }
+  return rows;
+}
+
+/**
+ * CSV text of a separation table
+ * @param {Array<Object>} rows - From separationTable
+ * @param {number} timeMyr - Time of the positions in millions of years from the observation
+ * @returns {string}
+ */
+export function separationTableCSV(rows, timeMyr = 0) {
+  const headers = ['Star_A', 'HIP_A', 'Star_B', 'HIP_B', 'Angular_Sep_arcmin', 'Separation_ly', 'Separation_pc', 'Sky_Position', 'Time_Myr'];
+  const round = (value, digits) => value === null ? '' : value.toFixed(digits);
+  const lines = [headers.join(',')];
+  rows.forEach(row => {
+    lines.push([
+      row.starA, row.hipA, row.starB, row.hipB,
+      round(row.angularDeg === null ? null : row.angularDeg * 60, 3),
+      round(row.separationLy, 2),
+      round(row.separationPc, 2),
+      row.angularDeg === null ? '' : row.fromImage ? 'image' : 'catalog',
+      round(timeMyr, 3)
+    ].map(escapeCSVField).join(','));
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Label sprite for a connector
+ */
+function createConnectorLabel(lines) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.width = 320;
+  canvas.height = lines.length * 30 + 12;
+  context.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#ffcc33';
+  context.font = 'bold 22px Arial';
+  context.textAlign = 'center';
+  lines.forEach((line, index) => {
+    context.fillText(line, canvas.width / 2, 30 + index * 30);
+  });
+
+  const texture = new THREE.CanvasTexture(canvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true, depthTest: false }));
+  sprite.scale.set(40, 40 * canvas.height / canvas.width, 1);
+  sprite.renderOrder = 1;
+  return sprite;
+}
+
+/**
+ * Create the connector between two measured stars: a dashed line with a label at its middle
+ * @param {THREE.Vector3} start - Position of the first star in the scene
+ * @param {THREE.Vector3} end - Position of the second star in the scene
+ * @param {string[]} lines - Label text lines
+ * @returns {THREE.Group}
+ */
+export function createSeparationConnector(start, end, lines) {
+  const group = new THREE.Group();
+
+  const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+  const material = new THREE.LineDashedMaterial({ color: CONNECTOR_COLOR, dashSize: 3, gapSize: 2 });
+  const line = new THREE.Line(geometry, material);
+  line.computeLineDistances();
+  group.add(line);
+
+  const label = createConnectorLabel(lines);
+  label.position.copy(start).lerp(end, 0.5);
+  label.position.y += 6;
+  group.add(label);
+
+  return group;
+}
@@ -0,0 +1,115 @@
+/**
+ * Shareable view links
+ * Encodes a generated visualization (star table, scaling, image paths) and the view
+ * (camera pose and display settings) into a compressed URL fragment: #s=<deflate + base64url>
+ */
+
+const FRAGMENT_PREFIX = '#s=';
+const SHARE_VERSION = 1;
+
+/**
+ * Round numbers to keep the encoded JSON short
+ * Significant digits rather than decimals, so small values such as WCS matrix terms survive
+ */
+function roundNumbers(key, value) {
+  return typeof value === 'number' && !Number.isInteger(value) ? Number(value.toPrecision(7)) : value;
+}
+
+/**
+ * Base64url encoding of bytes (no padding)
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text to bytes
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ */
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Check whether the images of a visualization can be referenced by path
+ * Only images loaded from the site (such as the Examples fields) have a path; uploads do not
+ * @param {Object} data - Visualization data
+ * @returns {boolean}
+ */
+export function canShareVisualization(data) {
+  return !!data && !!data.image && !!data.image.path && (!data.backImage || !!data.backImage.path);
+}
+
+/**
+ * Create a share link for a visualization and view
+ * @param {Object} data - Visualization data (images must have a path, see canShareVisualization)
+ * @param {Object} view - View state from getViewState
+ * @param {string} baseUrl - Page URL without fragment
+ * @returns {Promise<string>} Full URL
+ * @throws {Error} If an image has no path
+ */
+export async function createShareURL(data, view, baseUrl = window.location.href.split('#')[0]) {
+  if (!canShareVisualization(data)) {
+    throw new Error('Only fields whose images are loaded from the site (such as the examples) can be shared by link');
+  }
+
+  // Object URLs only exist in this page
+  const shared = JSON.parse(JSON.stringify(data));
+  delete shared.image.url;
+  if (shared.backImage) delete shared.backImage.url;
+
+  const json = JSON.stringify({ v: SHARE_VERSION, data: shared, view }, roundNumbers);
+  const compressed = await transformBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return `${baseUrl}${FRAGMENT_PREFIX}${toBase64Url(compressed)}`;
+}
+
+/**
+ * Check whether a URL fragment holds a shared view
+ * @param {string} hash - location.hash
+ * @returns {boolean}
+ */
+export function hasSharedState(hash) {
+  return typeof hash === 'string' && hash.startsWith(FRAGMENT_PREFIX);
+}
+
+/**
+ * Decode a shared view from a URL fragment
+ * @param {string} hash - location.hash
+ * @returns {Promise<{data: Object, view: Object|null}>} Visualization data (images by path) and view state
+ * @throws {Error} If the fragment is not a valid share link
+ */
+export async function readSharedState(hash) {
+  if (!hasSharedState(hash)) {
+    throw new Error('No shared view in this link');
+  }
+
+  let state;
+  try {
+    const bytes = fromBase64Url(hash.slice(FRAGMENT_PREFIX.length));
+    const json = new TextDecoder().decode(await transformBytes(bytes, new DecompressionStream('deflate-raw')));
+    state = JSON.parse(json);
+  } catch (error) {
+    throw new Error('The shared link is damaged or incomplete');
+  }
+
+  if (state.v > SHARE_VERSION) {
+    throw new Error('The shared link was made by a newer version of GAIAView');
+  }
+  if (!canShareVisualization(state.data)) {
+    throw new Error('The shared link does not contain a star field');
+  }
+  return { data: state.data, view: state.view || null };
+}
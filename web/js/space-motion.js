@@ -0,0 +1,140 @@
+/**
+ * Space motion
+ * Moves stars in a straight line through space from their proper motion and radial velocity,
+ * giving the image position and distance of each star some time before or after the observation
+ */
+
+import { visualizationWCS, skyVector } from './coordinate-converter.js';
+import { toScaledDistance } from './distance-scale.js';
+import { LY_PER_PC, hasValue, parallaxDistanceRangePc } from './utils.js';
+
+const KM_S_PER_MAS_YR_PC = 4.74047e-3; // Tangential velocity of 1 mas/yr at 1 pc
+const PC_PER_MYR_PER_KM_S = 1.02271; // 1 km/s in pc per million years
+export const TIME_RANGE_MYR = 1; // The time slider covers this many Myr either side of now
+
+/**
+ * Whether a star has any motion data (proper motion or radial velocity)
+ * @param {Object} star - Visualization star data
+ * @returns {boolean}
+ */
+export function hasSpaceMotion(star) {
+  return (hasValue(star.pmRA) && hasValue(star.pmDec)) || hasValue(star.RV);
+}
+
+/**
+ * Unit vector towards a sky position and the unit vectors towards east and north there
+ */
+function skyBasis(ra, dec) {
+  const a = ra * Math.PI / 180;
+  const d = dec * Math.PI / 180;
+  return {
+    radial: skyVector(ra, dec),
+    east: [-Math.sin(a), Math.cos(a), 0],
+    north: [-Math.sin(d) * Math.cos(a), -Math.sin(d) * Math.sin(a), Math.cos(d)]
+  };
+}
+
+/**
+ * Sky position and distance of a point in space (x, y, z in pc)
+ */
+function cartesianToSky([x, y, z]) {
+  const distancePc = Math.sqrt(x * x + y * y + z * z);
+  let ra = Math.atan2(y, x) * 180 / Math.PI;
+  if (ra < 0) ra += 360;
+  const dec = Math.asin(Math.max(-1, Math.min(1, z / distancePc))) * 180 / Math.PI;
+  return { ra, dec, distancePc };
+}
+
+/**
+ * Create the function that places a star at a time before or after the observation
+ * Directions on the sky come from catalog RA/Dec or the image's WCS. With only a pixel scale
+ * known, the image is treated as centered on an arbitrary sky position with north up, so
+ * proper motions move stars up (north) and left (east) in the image. Without either, stars
+ * can only move in depth, by their radial velocity.
+ * @param {Object} data - Visualization data (image size, scaling, wcs or pixelScale)
+ * @returns {Function} (star, timeMyr) => {pixelX, pixelY, ra, dec, distanceLy, scaledDistance,
+ *   scaledDistanceNear, scaledDistanceFar}; ra and dec (degrees) are null unless the star's
+ *   direction is known on the real sky, the near/far depths of the 1-sigma distance range are
+ *   null without a parallax error, and distances beyond the ends of the distance scale stay at
+ *   the front or back of the volume
+ */
+export function createMotionModel(data) {
+  const wcs = visualizationWCS(data);
+  const realSky = !!data.wcs;
+
+  const hasPixel = star => hasValue(star.pixelX) && hasValue(star.pixelY);
+
+  // Sky position used for the direction of motion, whether it maps back into the image, and
+  // whether it is a real sky position (not one from an arbitrarily centered WCS)
+  const skyPosition = (star) => {
+    if (realSky && hasValue(star.ra) && hasValue(star.dec)) {
+      return { ra: star.ra, dec: star.dec, inImage: hasPixel(star), real: true };
+    }
+    if (wcs && hasPixel(star)) {
+      return { ...wcs.pixelToWorld(star.pixelX, star.pixelY), inImage: true, real: realSky };
+    }
+    if (hasValue(star.ra) && hasValue(star.dec)) {
+      return { ra: star.ra, dec: star.dec, inImage: false, real: true };
+    }
+    return null;
+  };
+
+  return (star, timeMyr) => {
+    const pmRA = hasValue(star.pmRA) ? star.pmRA : 0;
+    const pmDec = hasValue(star.pmDec) ? star.pmDec : 0;
+    const rv = hasValue(star.RV) ? star.RV : 0;
+    const d0 = star.distancePc;
+
+    let pixelX = star.pixelX;
+    let pixelY = star.pixelY;
+    let ra = null;
+    let dec = null;
+    let distancePc = d0 + rv * PC_PER_MYR_PER_KM_S * timeMyr;
+
+    // Velocity in pc/Myr: radial velocity along the line of sight, proper motion across it
+    const movedFrom = (startRA, startDec) => {
+      const { radial, east, north } = skyBasis(startRA, startDec);
+      const vEast = KM_S_PER_MAS_YR_PC * pmRA * d0;
+      const vNorth = KM_S_PER_MAS_YR_PC * pmDec * d0;
+      return cartesianToSky(radial.map((r, i) =>
+        d0 * r + (rv * r + vEast * east[i] + vNorth * north[i]) * PC_PER_MYR_PER_KM_S * timeMyr
+      ));
+    };
+
+    const sky = skyPosition(star);
+    if (sky && d0 > 0) {
+      const moved = movedFrom(sky.ra, sky.dec);
+      distancePc = moved.distancePc;
+      // Real sky position at that time (not the one above when the WCS is arbitrarily centered)
+      const real = sky.real ? moved : (hasValue(star.ra) && hasValue(star.dec) ? movedFrom(star.ra, star.dec) : null);
+      if (real) {
+        ra = real.ra;
+        dec = real.dec;
+      }
+
+      // Offset from where the WCS puts the star now, so the marked pixel position is kept exactly
+      const start = wcs && sky.inImage ? wcs.worldToPixel(sky.ra, sky.dec) : null;
+      const end = start ? wcs.worldToPixel(moved.ra, moved.dec) : null;
+      if (start && end) {
+        pixelX = star.pixelX + end.x - start.x;
+        pixelY = star.pixelY + end.y - start.y;
+      }
+    }
+
+    const distanceLy = Math.max(0, distancePc) * LY_PER_PC;
+    // The parallax error stays the same, so the range widens as the star moves away
+    const rangePc = parallaxDistanceRangePc(distancePc, null, star.parallaxErrorMas);
+    return {
+      pixelX,
+      pixelY,
+      ra,
+      dec,
+      distanceLy,
+      scaledDistance: toScaledDistance(distanceLy, data.scaling),
+      scaledDistanceNear: rangePc ? toScaledDistance(rangePc.nearPc * LY_PER_PC, data.scaling) : null,
+      scaledDistanceFar: rangePc
+        ? (rangePc.farPc !== null ? toScaledDistance(rangePc.farPc * LY_PER_PC, data.scaling) : 1)
+        : null
+    };
+  };
+}
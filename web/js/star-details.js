@@ -0,0 +1,137 @@
+/**
+ * Star details panel
+ * Side panel in the 3D view with everything known about one star: catalog identifiers,
+ * sky and image position, distance, brightness, temperature and derived luminosity
+ */
+
+import { WCS, degreesToRAHMS, degreesToDecDMS } from './coordinate-converter.js';
+import { absoluteMagnitude, luminositySolar } from './astrophysics.js';
+import { formatDistance, LY_PER_PC, escapeHtml, hasValue } from './utils.js';
+
+/**
+ * RA as "hh mm ss.ss" and Dec as "±dd mm ss.s"
+ */
+function formatSkyPosition(ra, dec) {
+  const { hours, minutes, seconds } = degreesToRAHMS(ra);
+  const d = degreesToDecDMS(dec);
+  const pad = (n, width = 2) => String(Math.floor(n)).padStart(width, '0');
+  const raText = `${pad(hours)}h ${pad(minutes)}m ${seconds.toFixed(2).padStart(5, '0')}s`;
+  const decText = `${d.sign < 0 ? '−' : '+'}${pad(d.degrees)}° ${pad(d.minutes)}′ ${d.seconds.toFixed(1).padStart(4, '0')}″`;
+  return { raText, decText };
+}
+
+/**
+ * Luminosity with a sensible number of digits
+ */
+function formatLuminosity(luminosity) {
+  if (luminosity >= 100) return `${Math.round(luminosity).toLocaleString()} L☉`;
+  if (luminosity >= 1) return `${luminosity.toFixed(1)} L☉`;
+  return `${luminosity.toPrecision(2)} L☉`;
+}
+
+/**
+ * Sky position of a star: catalog RA/Dec, or computed from its pixel position with the
+ * image's WCS (only when the WCS came from a real sky position)
+ * @returns {{ra: number, dec: number, fromImage: boolean}|null}
+ */
+function starSkyPosition(star, wcsJSON) {
+  if (hasValue(star.ra) && hasValue(star.dec)) {
+    return { ra: star.ra, dec: star.dec, fromImage: false };
+  }
+  if (wcsJSON && hasValue(star.pixelX) && hasValue(star.pixelY)) {
+    const { ra, dec } = WCS.fromJSON(wcsJSON).pixelToWorld(star.pixelX, star.pixelY);
+    return { ra, dec, fromImage: true };
+  }
+  return null;
+}
+
+/**
+ * Table rows for a star
+ * @param {Object} star - Visualization star data
+ * @param {Object} options
+ * @param {string} options.unit - Preferred distance unit ('ly' or 'pc'), shown first
+ * @param {Object|null} options.wcs - WCS JSON of the image (for stars without catalog RA/Dec)
+ * @returns {Array<[string, string]>} Label and HTML value pairs
+ */
+export function starDetailRows(star, { unit = 'ly', wcs = null } = {}) {
+  const rows = [];
+  const na = '<span style="color: #777;">N/A</span>';
+
+  rows.push(['HIP', hasValue(star.hip) ? escapeHtml(String(star.hip)) : na]);
+
+  const sky = starSkyPosition(star, wcs);
+  if (sky) {
+    const { raText, decText } = formatSkyPosition(sky.ra, sky.dec);
+    const note = sky.fromImage ? ' <span style="color: #999;">(from image)</span>' : '';
+    rows.push(['RA', raText + note]);
+    rows.push(['Dec', decText + note]);
+  } else {
+    rows.push(['RA / Dec', na]);
+  }
+
+  rows.push(['Pixel', hasValue(star.pixelX) && hasValue(star.pixelY)
+    ? `${star.pixelX.toFixed(1)}, ${star.pixelY.toFixed(1)}`
+    : na]);
+
+  // Distance in both units, preferred unit first, with the 1-sigma range if known
+  const distances = { ly: star.distanceLy, pc: star.distancePc };
+  const other = unit === 'pc' ? 'ly' : 'pc';
+  let distanceText = `${formatDistance(distances[unit], unit, 1)} (${formatDistance(distances[other], other, 1)})`;
+  if (hasValue(star.distanceNearLy)) {
+    const factor = unit === 'pc' ? 1 / LY_PER_PC : 1;
+    const near = formatDistance(star.distanceNearLy * factor, unit, 1);
+    const far = hasValue(star.distanceFarLy) ? formatDistance(star.distanceFarLy * factor, unit, 1) : '∞';
+    distanceText += `<br><span style="color: #999;">1σ range ${near} – ${far}</span>`;
+  }
+  rows.push(['Distance', distanceText]);
+
+  if (hasValue(star.parallaxMas)) {
+    const error = hasValue(star.parallaxErrorMas) ? ` ± ${star.parallaxErrorMas.toFixed(2)}` : '';
+    rows.push(['Parallax', `${star.parallaxMas.toFixed(2)}${error} mas`]);
+  }
+
+  rows.push(['Magnitude', hasValue(star.magnitude) ? star.magnitude.toFixed(2) : na]);
+  rows.push(['Temperature', hasValue(star.temperature) ? `${Math.round(star.temperature).toLocaleString()} K` : na]);
+  rows.push(['Spectral class', star.spectralClass ? escapeHtml(star.spectralClass) : na]);
+
+  // Stored with the data (extinction corrected); data generated before then is worked out here
+  const extinction = hasValue(star.extinctionMag) ? star.extinctionMag : 0;
+  if (extinction > 0) {
+    rows.push(['Extinction', `A<sub>V</sub> = ${extinction.toFixed(2)} mag`]);
+  }
+  const absMag = hasValue(star.absMagnitude) ? star.absMagnitude : absoluteMagnitude(star.magnitude, star.distancePc, extinction);
+  rows.push(['Absolute mag.', absMag !== null ? absMag.toFixed(2) : na]);
+  const luminosity = hasValue(star.luminosity) ? star.luminosity : luminositySolar(absMag);
+  rows.push(['Luminosity', luminosity !== null ? formatLuminosity(luminosity) : na]);
+
+  return rows;
+}
+
+/**
+ * Show the details panel for a star
+ * @param {Object} star - Visualization star data
+ * @param {Object} options - See starDetailRows
+ */
+export function showStarDetails(star, options = {}) {
+  const panel = document.getElementById('star-details-panel');
+  const title = document.getElementById('star-details-title');
+  const table = document.getElementById('star-details-table');
+  if (!panel || !table) return;
+
+  if (title) {
+    title.textContent = star.name || `HIP ${star.hip}`;
+    title.style.color = star.spectralColorHex || '#cc3333';
+  }
+  table.innerHTML = starDetailRows(star, options)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`)
+    .join('');
+  panel.style.display = 'block';
+}
+
+/**
+ * Hide the details panel
+ */
+export function hideStarDetails() {
+  const panel = document.getElementById('star-details-panel');
+  if (panel) panel.style.display = 'none';
+}
@@ -0,0 +1,109 @@
+/**
+ * Star picking in the 3D view
+ * Raycasts from the mouse into the star spheres to report the hovered star and clicked star;
+ * drags (which rotate or pan the view) are not treated as clicks
+ */
+
+import * as THREE from 'three';
+
+const CLICK_TOLERANCE = 4; // Pixels the pointer may move between press and release
+
+/**
+ * Hover and click picking of StarVisualization objects
+ */
+export class StarPicker {
+  /**
+   * @param {THREE.Camera} camera
+   * @param {HTMLElement} domElement - Renderer canvas
+   * @param {Object} options
+   * @param {Function} options.getStars - Returns the current StarVisualization list
+   * @param {Function} options.onHover - Called with the hovered star (or null) when it changes
+   * @param {Function} options.onSelect - Called with the clicked star (or null for empty space)
+   */
+  constructor(camera, domElement, { getStars, onHover, onSelect }) {
+    this.camera = camera;
+    this.domElement = domElement;
+    this.getStars = getStars;
+    this.onHover = onHover;
+    this.onSelect = onSelect;
+
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.hovered = null;
+    this.pressPosition = null;
+    this.enabled = true;
+
+    this.attachEvents();
+  }
+
+  /**
+   * Star under a pointer event, nearest to the camera
+   * @param {PointerEvent} event
+   * @returns {StarVisualization|null}
+   */
+  pick(event) {
+    const stars = this.getStars() || [];
+    const targets = [];
+    const owners = new Map();
+    stars.forEach(star => {
+      star.getPickTargets().forEach(mesh => {
+        targets.push(mesh);
+        owners.set(mesh, star);
+      });
+    });
+    if (targets.length === 0) return null;
+
+    const rect = this.domElement.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    this.raycaster.setFromCamera(this.pointer, this.camera);
+
+    const hit = this.raycaster.intersectObjects(targets, false)[0];
+    return hit ? owners.get(hit.object) : null;
+  }
+
+  /**
+   * Report a change of the hovered star
+   */
+  setHovered(star) {
+    if (star === this.hovered) return;
+    this.hovered = star;
+    this.domElement.style.cursor = star ? 'pointer' : '';
+    this.onHover(star);
+  }
+
+  /**
+   * Turn picking on or off (off clears the hover)
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.setHovered(null);
+  }
+
+  /**
+   * Listen for pointer movement and clicks on the canvas
+   */
+  attachEvents() {
+    this.domElement.addEventListener('pointermove', (e) => {
+      // No hover feedback while dragging the view
+      if (!this.enabled || e.buttons !== 0) return;
+      this.setHovered(this.pick(e));
+    });
+
+    this.domElement.addEventListener('pointerleave', () => this.setHovered(null));
+
+    this.domElement.addEventListener('pointerdown', (e) => {
+      this.pressPosition = e.button === 0 ? { x: e.clientX, y: e.clientY } : null;
+    });
+
+    this.domElement.addEventListener('pointerup', (e) => {
+      const press = this.pressPosition;
+      this.pressPosition = null;
+      if (!this.enabled || !press || e.button !== 0) return;
+      if (Math.hypot(e.clientX - press.x, e.clientY - press.y) > CLICK_TOLERANCE) return;
+      this.onSelect(this.pick(e));
+    });
+  }
+}
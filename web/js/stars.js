@@ -3,25 +3,40 @@
  */
 
 import * as THREE from 'three';
-import { pixelTo3D, scaleDistance, formatDistance } from './utils.js';
+import { pixelTo3D, scaleDistance, formatDistance, hasValue } from './utils.js';
+import { absoluteMagnitude, luminositySolar } from './astrophysics.js';
 
 /**
  * Create star representation (point + line + label)
  */
 export class StarVisualization {
-  constructor(starData, volumeConfig, imageConfig, labelSize = 1.0, starLabelSize = 1.0, starLabelColor = '#ffffff') {
+  /**
+   * @param {Object} starData - Visualization star data
+   * @param {Object} volumeConfig - Volume width, height and depth
+   * @param {Object} imageConfig - Image width and height in pixels
+   * @param {number} labelSize - Info label size multiplier
+   * @param {number} starLabelSize - Star label size multiplier
+   * @param {string} starLabelColor - Star label color
+   * @param {string} sizeMode - Sphere size from 'magnitude' (apparent brightness) or 'luminosity'
+   */
+  constructor(starData, volumeConfig, imageConfig, labelSize = 1.0, starLabelSize = 1.0, starLabelColor = '#ffffff', sizeMode = 'magnitude') {
     this.starData = starData;
     this.volumeConfig = volumeConfig;
     this.imageConfig = imageConfig;
     this.labelSize = labelSize;
     this.starLabelSize = starLabelSize;
     this.starLabelColor = starLabelColor;
+    this.sizeMode = sizeMode;
     
     this.group = new THREE.Group();
     this.point = null;
     this.line = null;
     this.starLabel = null;
     this.infoLabel = null;
+    this.errorBar = null; // Translucent 1-sigma distance range segment
+    this.errorBarRadius = null;
+    this.errorBarShown = true; // Error bars switched on
+    this.errorBarEmpty = false; // The range has no length where the star is (the bar is hidden)
     this.endPoint = null; // Store the star sphere
     this.glowSphere = null; // Store inner glow sphere
     this.outerGlowSphere = null; // Store outer glow sphere
@@ -29,6 +44,7 @@ export class StarVisualization {
     this.baseStarRadius = null; // Store base star radius
     this.baseStarLabelScale = null;
     this.baseInfoLabelScale = null;
+    this.highlighted = false;
     
     this.createVisualization();
   }
@@ -83,18 +99,13 @@ export class StarVisualization {
     this.baseLineRadius = baseRadius; // Store for later scaling
     this.group.add(this.line);
     
+    // Create translucent segment covering the 1-sigma distance range (if parallax error known)
+    this.createErrorBar(pos2D, frontZ, volDepth, tubeRadius, starColor);
+    
     // Create point at 3D position (larger sphere representing the star)
-    // Calculate star size based on magnitude (brighter = larger)
+    // Calculate star size based on magnitude or luminosity (brighter = larger)
     const baseStarRadius = Math.max(volWidth, volHeight) * 0.008;
-    const magnitude = this.starData.magnitude !== null && this.starData.magnitude !== undefined 
-      ? this.starData.magnitude 
-      : 5.0; // Default magnitude if not provided
-    
-    // Scale size: brighter stars (lower magnitude) are larger
-    // Formula: size varies inversely with magnitude
-    // Brightest stars (mag ~1-2) get ~1.5x, dimmest (mag ~8-9) get ~0.5x
-    const magnitudeScale = Math.max(0.4, Math.min(1.5, 1.0 - (magnitude - 3) * 0.15));
-    const starRadius = baseStarRadius * magnitudeScale;
+    const starRadius = baseStarRadius * this.getSizeScale();
     
     // Create glow halo (larger transparent sphere around the star)
     const glowRadius = starRadius * 2.5;
@@ -196,13 +207,109 @@ export class StarVisualization {
     this.group.add(this.starLabel);
   }
   
-  createInfoLabel(position, distanceLy, distancePc) {
-    // Create canvas for info label (HIP, distance, magnitude)
+  createErrorBar(pos2D, frontZ, volDepth, lineRadius, color) {
+    const { scaledDistanceNear, scaledDistanceFar } = this.starData;
+    if (!hasValue(scaledDistanceNear)) return;
+    
+    this.errorBarRadius = lineRadius * 3.0;
+    const geometry = this.errorBarGeometry(pos2D, scaledDistanceNear, scaledDistanceFar);
+    if (!geometry) return;
+    
+    const material = new THREE.MeshBasicMaterial({
+      color,
+      opacity: 0.25,
+      transparent: true,
+      depthWrite: false
+    });
+    this.errorBar = new THREE.Mesh(geometry, material);
+    this.group.add(this.errorBar);
+  }
+  
+  /**
+   * Tube along a 1-sigma distance range at a position on the image plane
+   * @param {{x: number, y: number}} pos2D - Scene position on the image plane
+   * @param {number} scaledNear - Depth of the near end (0 front, 1 back)
+   * @param {number|null} scaledFar - Depth of the far end; null runs to the back face
+   *   (parallax within 1 sigma of zero)
+   * @returns {THREE.TubeGeometry|null} Null when the range has no length
+   */
+  errorBarGeometry(pos2D, scaledNear, scaledFar) {
+    const { depth: volDepth } = this.volumeConfig;
+    const frontZ = volDepth / 2;
+    const nearZ = frontZ - scaleDistance(scaledNear, volDepth, 1.0);
+    const farZ = frontZ - scaleDistance(hasValue(scaledFar) ? scaledFar : 1, volDepth, 1.0);
+    if (Math.abs(nearZ - farZ) < 1e-6) return null;
+    
+    const curve = new THREE.CatmullRomCurve3([
+      new THREE.Vector3(pos2D.x, pos2D.y, nearZ),
+      new THREE.Vector3(pos2D.x, pos2D.y, farZ)
+    ]);
+    return new THREE.TubeGeometry(curve, 8, this.errorBarRadius, 12, false);
+  }
+  
+  /**
+   * Sphere size multiplier for the size mode
+   * @returns {number} Between 0.4 and 1.5
+   */
+  getSizeScale() {
+    const { magnitude, distancePc, extinctionMag } = this.starData;
+    
+    if (this.sizeMode === 'luminosity') {
+      // Data generated before luminosity was stored is worked out here
+      const luminosity = this.starData.luminosity ?? luminositySolar(absoluteMagnitude(magnitude, distancePc, extinctionMag ?? 0));
+      if (luminosity > 0) {
+        // Log scale: the Sun gets 0.6x, 1,000 L☉ ~1x, 100,000 L☉ and up 1.35-1.5x
+        return Math.max(0.4, Math.min(1.5, 0.6 + Math.log10(luminosity) * 0.15));
+      }
+      // No magnitude or distance: size from the apparent magnitude instead
+    }
+    
+    // Scale size: brighter stars (lower magnitude) are larger
+    // Formula: size varies inversely with magnitude
+    // Brightest stars (mag ~1-2) get ~1.5x, dimmest (mag ~8-9) get ~0.5x
+    const apparent = magnitude !== null && magnitude !== undefined ? magnitude : 5.0; // Default magnitude if not provided
+    return Math.max(0.4, Math.min(1.5, 1.0 - (apparent - 3) * 0.15));
+  }
+  
+  /**
+   * Text lines for the info label (HIP, distance, 1-sigma range, magnitude)
+   * @param {string} unit - Distance unit ('ly' or 'pc')
+   * @returns {string[]} Label lines
+   */
+  getInfoLabelLines(unit) {
+    const distance = unit === 'pc' ? this.starData.distancePc : this.starData.distanceLy;
+    const magnitude = this.starData.magnitude !== null && this.starData.magnitude !== undefined 
+      ? this.starData.magnitude.toFixed(1) 
+      : 'N/A';
+    
+    const lines = [`HIP ${this.starData.hip}`, formatDistance(distance, unit, 1)];
+    
+    const { distanceNearLy, distanceFarLy } = this.starData;
+    if (distanceNearLy !== null && distanceNearLy !== undefined) {
+      const toUnit = (ly) => (unit === 'pc' ? ly / 3.26156 : ly);
+      const near = toUnit(distanceNearLy).toFixed(1);
+      lines.push(distanceFarLy !== null && distanceFarLy !== undefined
+        ? `${near}–${toUnit(distanceFarLy).toFixed(1)} ${unit}`
+        : `> ${near} ${unit}`);
+    }
+    
+    lines.push(`m = ${magnitude}`);
+    return lines;
+  }
+  
+  /**
+   * Draw the info label onto a new canvas at the current label size
+   * @param {string} unit - Distance unit ('ly' or 'pc')
+   * @returns {{canvas: HTMLCanvasElement, scaleY: number}} Canvas and base sprite height
+   */
+  renderInfoLabelCanvas(unit) {
+    const lines = this.getInfoLabelLines(unit);
     const baseFontSize = 14;
     const fontSize = Math.round(baseFontSize * this.labelSize);
-    // Reduced canvas size - tighter fit around text
+    // Reduced canvas size - tighter fit around text, one extra row for the distance range
+    const baseHeight = 50 + (lines.length - 3) * 16;
     const canvasWidth = Math.round(130 * this.labelSize);
-    const canvasHeight = Math.round(50 * this.labelSize); // Reduced from 60
+    const canvasHeight = Math.round(baseHeight * this.labelSize);
     
     const canvas = document.createElement('canvas');
     const context = canvas.getContext('2d');
@@ -217,21 +324,19 @@ export class StarVisualization {
     context.font = `${fontSize}px Arial`;
     context.textAlign = 'center';
     
-    const hip = this.starData.hip;
-    const distLy = formatDistance(distanceLy, 'ly', 1);
-    const magnitude = this.starData.magnitude !== null && this.starData.magnitude !== undefined 
-      ? this.starData.magnitude.toFixed(1) 
-      : 'N/A';
-    
     // Draw text with tighter spacing
     let yPos = fontSize + 4; // Reduced top padding
-    context.fillText(`HIP ${hip}`, canvas.width / 2, yPos);
-    
-    yPos += fontSize + 2;
-    context.fillText(distLy, canvas.width / 2, yPos);
+    lines.forEach(line => {
+      context.fillText(line, canvas.width / 2, yPos);
+      yPos += fontSize + 2;
+    });
     
-    yPos += fontSize + 2;
-    context.fillText(`m = ${magnitude}`, canvas.width / 2, yPos);
+    return { canvas, scaleY: 4 * baseHeight / 50 };
+  }
+  
+  createInfoLabel(position, distanceLy, distancePc) {
+    // Create canvas for info label (HIP, distance, magnitude)
+    const { canvas, scaleY } = this.renderInfoLabelCanvas('ly');
     
     const texture = new THREE.CanvasTexture(canvas);
     texture.needsUpdate = true;
@@ -245,7 +350,7 @@ export class StarVisualization {
     this.infoLabel.position.copy(position);
     // Reduced scale to match smaller canvas
     const baseScaleX = 13;
-    const baseScaleY = 4;
+    const baseScaleY = scaleY;
     this.infoLabel.scale.set(baseScaleX * this.labelSize, baseScaleY * this.labelSize, 1);
     this.baseInfoLabelScale = { x: baseScaleX, y: baseScaleY };
     
@@ -255,42 +360,7 @@ export class StarVisualization {
   updateDistanceUnit(unit) {
     // Update info label with new distance unit
     if (this.infoLabel) {
-      const baseFontSize = 14;
-      const fontSize = Math.round(baseFontSize * this.labelSize);
-      // Use same reduced canvas size as createInfoLabel
-      const canvasWidth = Math.round(130 * this.labelSize);
-      const canvasHeight = Math.round(50 * this.labelSize);
-      
-      const canvas = document.createElement('canvas');
-      const context = canvas.getContext('2d');
-      canvas.width = canvasWidth;
-      canvas.height = canvasHeight;
-      
-      context.fillStyle = 'rgba(0, 0, 0, 0.8)';
-      context.fillRect(0, 0, canvas.width, canvas.height);
-      
-      context.fillStyle = '#ffffff';
-      context.font = `${fontSize}px Arial`;
-      context.textAlign = 'center';
-      
-      const hip = this.starData.hip;
-      const dist = formatDistance(
-        unit === 'pc' ? this.starData.distancePc : this.starData.distanceLy,
-        unit,
-        1
-      );
-      const magnitude = this.starData.magnitude !== null && this.starData.magnitude !== undefined 
-        ? this.starData.magnitude.toFixed(1) 
-        : 'N/A';
-      
-      let yPos = fontSize + 4;
-      context.fillText(`HIP ${hip}`, canvas.width / 2, yPos);
-      
-      yPos += fontSize + 2;
-      context.fillText(dist, canvas.width / 2, yPos);
-      
-      yPos += fontSize + 2;
-      context.fillText(`m = ${magnitude}`, canvas.width / 2, yPos);
+      const { canvas, scaleY } = this.renderInfoLabelCanvas(unit);
       
       // Dispose old texture and create new one
       this.infoLabel.material.map.dispose();
@@ -300,8 +370,7 @@ export class StarVisualization {
       
       // Update scale to match new canvas size
       const baseScaleX = 13;
-      const baseScaleY = 4;
-      this.infoLabel.scale.set(baseScaleX * this.labelSize, baseScaleY * this.labelSize, 1);
+      this.infoLabel.scale.set(baseScaleX * this.labelSize, scaleY * this.labelSize, 1);
     }
   }
   
@@ -447,12 +516,106 @@ export class StarVisualization {
     this.group.visible = visible;
   }
   
+  /**
+   * Meshes that can be hovered or clicked (the star and its inner glow, when shown)
+   * @returns {THREE.Mesh[]}
+   */
+  getPickTargets() {
+    if (!this.group.visible || !this.endPoint || !this.endPoint.visible) return [];
+    return [this.endPoint, this.glowSphere].filter(Boolean);
+  }
+  
+  /**
+   * Emphasize the star and its line (while hovered or selected)
+   * @param {boolean} highlighted - Whether to highlight
+   */
+  setHighlighted(highlighted) {
+    if (this.highlighted === highlighted) return;
+    this.highlighted = highlighted;
+    
+    const scale = highlighted ? 1.4 : 1.0;
+    [this.endPoint, this.glowSphere, this.outerGlowSphere].forEach(mesh => {
+      if (mesh) mesh.scale.setScalar(scale);
+    });
+    if (this.glowSphere) {
+      this.glowSphere.material.opacity = highlighted ? 0.5 : 0.3;
+    }
+    if (this.line) {
+      this.line.material.opacity = highlighted ? 1.0 : 0.6;
+    }
+  }
+  
+  /**
+   * Tint the glow around the star (e.g. for cluster members)
+   * @param {string|null} color - CSS color, or null for the star's own color
+   */
+  setTint(color) {
+    const glowColor = color || getSpectralClassColor(this.starData.spectralClass || 'A2', this.starData.spectralColorHex || null);
+    if (this.glowSphere) {
+      this.glowSphere.material.color.set(glowColor);
+    }
+    if (this.outerGlowSphere) {
+      this.outerGlowSphere.material.color.set(glowColor);
+      this.outerGlowSphere.material.opacity = color ? 0.35 : 0.15;
+    }
+  }
+
+  /**
+   * Move the star to another image position and depth (e.g. where it is at another time)
+   * The star data keeps the observed values
+   * @param {number} pixelX - Image X in pixels
+   * @param {number} pixelY - Image Y in pixels
+   * @param {number} scaledDistance - Depth from 0 (front) to 1 (back)
+   * @param {Object} [range] - Depths of the 1-sigma distance range there ({scaledDistanceNear,
+   *   scaledDistanceFar}); the observed range when not given
+   */
+  setPosition(pixelX, pixelY, scaledDistance, range = this.starData) {
+    const { width: imgWidth, height: imgHeight } = this.imageConfig;
+    const { width: volWidth, height: volHeight, depth: volDepth } = this.volumeConfig;
+    const frontZ = volDepth / 2;
+    const pos2D = pixelTo3D(pixelX, pixelY, imgWidth, imgHeight, volWidth, volHeight);
+    const pos3D = new THREE.Vector3(pos2D.x, pos2D.y, frontZ - scaleDistance(scaledDistance, volDepth, 1.0));
+
+    this.point.position.set(pos2D.x, pos2D.y, frontZ);
+    [this.endPoint, this.glowSphere, this.outerGlowSphere].forEach(mesh => {
+      if (mesh) mesh.position.copy(pos3D);
+    });
+
+    if (this.errorBar) {
+      const geometry = hasValue(range.scaledDistanceNear)
+        ? this.errorBarGeometry(pos2D, range.scaledDistanceNear, range.scaledDistanceFar)
+        : null;
+      if (geometry) {
+        this.errorBar.geometry.dispose();
+        this.errorBar.geometry = geometry;
+      }
+      this.errorBarEmpty = !geometry;
+      this.errorBar.visible = this.errorBarShown && !!geometry;
+    }
+
+    if (this.line) {
+      const curve = new THREE.CatmullRomCurve3([new THREE.Vector3(pos2D.x, pos2D.y, frontZ), pos3D.clone()]);
+      const tubeRadius = this.baseLineRadius * (this.lineThickness ?? 2.0);
+      this.line.geometry.dispose();
+      this.line.geometry = new THREE.TubeGeometry(curve, 8, tubeRadius, 8, false);
+    }
+
+    this.updateLabelPositions();
+  }
+
   setLineVisible(visible) {
     if (this.line) {
       this.line.visible = visible;
     }
   }
   
+  setErrorBarVisible(visible) {
+    this.errorBarShown = visible;
+    if (this.errorBar) {
+      this.errorBar.visible = visible && !this.errorBarEmpty;
+    }
+  }
+  
   setSphereVisible(visible) {
     if (this.endPoint) {
       this.endPoint.visible = visible;
@@ -468,42 +631,9 @@ export class StarVisualization {
   updateLabelSize(size) {
     this.labelSize = size;
     if (this.infoLabel) {
-      const baseFontSize = 14;
-      const fontSize = Math.round(baseFontSize * this.labelSize);
-      // Use same reduced canvas size as createInfoLabel
-      const canvasWidth = Math.round(130 * this.labelSize);
-      const canvasHeight = Math.round(50 * this.labelSize);
-      
       // Create new canvas (can't resize existing canvas)
-      const canvas = document.createElement('canvas');
-      const context = canvas.getContext('2d');
-      canvas.width = canvasWidth;
-      canvas.height = canvasHeight;
-      
-      // Redraw info label
-      const distanceLy = this.starData.distanceLy;
-      const distancePc = this.starData.distancePc;
       const currentUnit = document.getElementById('distance-unit')?.value || 'ly';
-      
-      // Redraw the label content
-      context.fillStyle = 'rgba(0, 0, 0, 0.8)';
-      context.fillRect(0, 0, canvas.width, canvas.height);
-      context.fillStyle = '#ffffff';
-      context.font = `${fontSize}px Arial`;
-      context.textAlign = 'center';
-      
-      const hip = this.starData.hip;
-      const distText = formatDistance(currentUnit === 'ly' ? distanceLy : distancePc, currentUnit, 1);
-      const magnitude = this.starData.magnitude !== null && this.starData.magnitude !== undefined 
-        ? this.starData.magnitude.toFixed(1) 
-        : 'N/A';
-      
-      let yPos = fontSize + 4;
-      context.fillText(`HIP ${hip}`, canvas.width / 2, yPos);
-      yPos += fontSize + 2;
-      context.fillText(distText, canvas.width / 2, yPos);
-      yPos += fontSize + 2;
-      context.fillText(`m = ${magnitude}`, canvas.width / 2, yPos);
+      const { canvas, scaleY } = this.renderInfoLabelCanvas(currentUnit);
       
       // Dispose old texture and create new one
       this.infoLabel.material.map.dispose();
@@ -513,8 +643,7 @@ export class StarVisualization {
       
       // Update scale to match new canvas size
       const baseScaleX = 13;
-      const baseScaleY = 4;
-      this.infoLabel.scale.set(baseScaleX * this.labelSize, baseScaleY * this.labelSize, 1);
+      this.infoLabel.scale.set(baseScaleX * this.labelSize, scaleY * this.labelSize, 1);
     }
     this.updateLabelPositions();
   }
@@ -617,6 +746,10 @@ export class StarVisualization {
       this.line.geometry.dispose();
       this.line.material.dispose();
     }
+    if (this.errorBar) {
+      this.errorBar.geometry.dispose();
+      this.errorBar.material.dispose();
+    }
     if (this.endPoint) {
       this.endPoint.geometry.dispose();
       this.endPoint.material.dispose();
@@ -658,7 +791,7 @@ function getRandomSpectralClass() {
  * @param {string} hexColor - Hex color string (e.g., "#FFF3E7")
  * @returns {number} Color as hex number for Three.js
  */
-function getSpectralClassColor(spectralClass, hexColor = null) {
+export function getSpectralClassColor(spectralClass, hexColor = null) {
   // If hex color is provided, use it
   if (hexColor) {
     // Convert hex string to number (remove # and parse)
@@ -679,7 +812,7 @@ function getSpectralClassColor(spectralClass, hexColor = null) {
   return colors[firstChar] || 0xffffff; // Default to white
 }
 
-export function createStars(starsData, volumeConfig, imageConfig, labelSize = 1.0, starLabelSize = 1.0, starLabelColor = '#ffffff') {
-  return starsData.map(star => new StarVisualization(star, volumeConfig, imageConfig, labelSize, starLabelSize, starLabelColor));
+export function createStars(starsData, volumeConfig, imageConfig, labelSize = 1.0, starLabelSize = 1.0, starLabelColor = '#ffffff', sizeMode = 'magnitude') {
+  return starsData.map(star => new StarVisualization(star, volumeConfig, imageConfig, labelSize, starLabelSize, starLabelColor, sizeMode));
 }
 
@@ -0,0 +1,198 @@
+/**
+ * Stereoscopic rendering
+ * Draws the view for two eyes either side of the camera: as a red/cyan anaglyph (for paper
+ * 3D glasses), side by side for parallel viewing (left eye on the left) or for cross-eye
+ * viewing (left eye on the right)
+ */
+
+import * as THREE from 'three';
+
+export const STEREO_MODES = ['off', 'anaglyph', 'side-by-side', 'cross-eye'];
+
+// Dubois least-squares red/cyan matrices (column-major), which keep more of the star colors
+// and cause less ghosting than passing only the red and cyan channels
+const ANAGLYPH_LEFT = new THREE.Matrix3().fromArray([
+  0.456100, -0.0400822, -0.0152161,
+  0.500484, -0.0378246, -0.0205971,
+  0.176381, -0.0157589, -0.00546856
+]);
+const ANAGLYPH_RIGHT = new THREE.Matrix3().fromArray([
+  -0.0434706, 0.378476, -0.0721527,
+  -0.0879388, 0.73364, -0.112961,
+  -0.00155529, -0.0184503, 1.2264
+]);
+
+/**
+ * Renders a scene in mono or one of the stereo modes
+ */
+export class StereoView {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   */
+  constructor(renderer) {
+    this.renderer = renderer;
+    this.mode = 'off';
+    this.eyeSeparation = 1; // Scene units
+    this.stereoCamera = new THREE.StereoCamera();
+    this.size = new THREE.Vector2();
+
+    // Anaglyph: each eye is rendered to a texture, then both are mixed on a full-screen quad
+    this.eyeTargets = null;
+    this.compositeScene = null;
+    this.compositeCamera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+  }
+
+  /**
+   * True when the two eyes share the window (the view is not one image for the mouse)
+   * @returns {boolean}
+   */
+  get splitScreen() {
+    return this.mode === 'side-by-side' || this.mode === 'cross-eye';
+  }
+
+  /**
+   * Choose the render mode
+   * @param {string} mode - One of STEREO_MODES
+   */
+  setMode(mode) {
+    this.mode = STEREO_MODES.includes(mode) ? mode : 'off';
+    if (this.mode !== 'anaglyph') this.dispose();
+  }
+
+  /**
+   * Render the scene as the mode says
+   * @param {THREE.Scene} scene
+   * @param {THREE.PerspectiveCamera} camera
+   * @param {number} focus - Distance from the camera that appears at the screen (no parallax);
+   *   nearer objects stand out in front of it
+   */
+  render(scene, camera, focus) {
+    if (this.mode === 'off') {
+      this.renderer.render(scene, camera);
+      return;
+    }
+
+    if (scene.matrixWorldAutoUpdate) scene.updateMatrixWorld();
+    if (camera.parent === null && camera.matrixWorldAutoUpdate) camera.updateMatrixWorld();
+
+    camera.focus = focus;
+    this.stereoCamera.eyeSep = this.eyeSeparation;
+    this.stereoCamera.aspect = this.splitScreen ? 0.5 : 1;
+    this.stereoCamera.update(camera);
+    // The eyes see what the camera sees (the Earth view uses its own layer)
+    this.stereoCamera.cameraL.layers.mask = camera.layers.mask;
+    this.stereoCamera.cameraR.layers.mask = camera.layers.mask;
+
+    if (this.mode === 'anaglyph') {
+      this.renderAnaglyph(scene);
+    } else {
+      this.renderSideBySide(scene, this.mode === 'cross-eye');
+    }
+  }
+
+  /**
+   * Each eye in its own half of the window
+   * @param {boolean} crossed - Left eye on the right (for cross-eye viewing)
+   */
+  renderSideBySide(scene, crossed) {
+    const { renderer } = this;
+    const { cameraL, cameraR } = this.stereoCamera;
+    renderer.getSize(this.size);
+    const half = this.size.x / 2;
+
+    if (renderer.autoClear) renderer.clear();
+    renderer.setScissorTest(true);
+    [[crossed ? cameraR : cameraL, 0], [crossed ? cameraL : cameraR, half]].forEach(([eye, left]) => {
+      renderer.setScissor(left, 0, half, this.size.y);
+      renderer.setViewport(left, 0, half, this.size.y);
+      renderer.render(scene, eye);
+    });
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, this.size.x, this.size.y);
+  }
+
+  /**
+   * Both eyes mixed into one red/cyan image
+   */
+  renderAnaglyph(scene) {
+    const { renderer } = this;
+    const { cameraL, cameraR } = this.stereoCamera;
+    renderer.getDrawingBufferSize(this.size);
+    this.prepareAnaglyph(this.size.x, this.size.y);
+
+    const currentTarget = renderer.getRenderTarget();
+    [[this.eyeTargets[0], cameraL], [this.eyeTargets[1], cameraR]].forEach(([target, eye]) => {
+      renderer.setRenderTarget(target);
+      renderer.clear();
+      renderer.render(scene, eye);
+    });
+    renderer.setRenderTarget(currentTarget);
+    renderer.render(this.compositeScene, this.compositeCamera);
+  }
+
+  /**
+   * Create the eye textures and the mixing quad, or resize the textures to the window
+   */
+  prepareAnaglyph(width, height) {
+    if (this.eyeTargets) {
+      if (this.eyeTargets[0].width !== width || this.eyeTargets[0].height !== height) {
+        this.eyeTargets.forEach(target => target.setSize(width, height));
+      }
+      return;
+    }
+
+    // sRGB textures keep the dark sky free of banding
+    this.eyeTargets = [0, 1].map(() => new THREE.WebGLRenderTarget(width, height, {
+      colorSpace: THREE.SRGBColorSpace,
+      samples: 4
+    }));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        mapLeft: { value: this.eyeTargets[0].texture },
+        mapRight: { value: this.eyeTargets[1].texture },
+        colorMatrixLeft: { value: ANAGLYPH_LEFT },
+        colorMatrixRight: { value: ANAGLYPH_RIGHT }
+      },
+      vertexShader: `
+        varying vec2 vUv;
+        void main() {
+          vUv = uv;
+          gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+      `,
+      fragmentShader: `
+        uniform sampler2D mapLeft;
+        uniform sampler2D mapRight;
+        uniform mat3 colorMatrixLeft;
+        uniform mat3 colorMatrixRight;
+        varying vec2 vUv;
+        void main() {
+          vec4 colorL = texture2D(mapLeft, vUv);
+          vec4 colorR = texture2D(mapRight, vUv);
+          vec3 color = clamp(colorMatrixLeft * colorL.rgb + colorMatrixRight * colorR.rgb, 0.0, 1.0);
+          gl_FragColor = vec4(color, max(colorL.a, colorR.a));
+          #include <colorspace_fragment>
+        }
+      `,
+      depthTest: false,
+      depthWrite: false
+    });
+    this.compositeScene = new THREE.Scene();
+    this.compositeScene.add(new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material));
+  }
+
+  /**
+   * Free the anaglyph textures (they are made again when needed)
+   */
+  dispose() {
+    if (!this.eyeTargets) return;
+    this.eyeTargets.forEach(target => target.dispose());
+    this.compositeScene.children.forEach(mesh => {
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+    });
+    this.eyeTargets = null;
+    this.compositeScene = null;
+  }
+}
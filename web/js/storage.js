@@ -0,0 +1,114 @@
+/**
+ * IndexedDB storage
+ * Small promise wrapper around the browser database that keeps GAIAView data between visits
+ */
+
+const DB_NAME = 'gaiaview';
+const DB_VERSION = 2;
+
+let databasePromise = null;
+
+/**
+ * Open (and create or upgrade) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('calibrations')) {
+          const store = db.createObjectStore('calibrations', { keyPath: 'id' });
+          store.createIndex('imageHash', 'imageHash', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('drafts')) {
+          db.createObjectStore('drafts', { keyPath: 'id' });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the page (in another tab) upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          databasePromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Allow another attempt (e.g. after the user closes a blocking tab)
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+/**
+ * Run a request against an object store and wait for its transaction to complete
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} Result of the request
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Read a record by key
+ * @returns {Promise<Object|undefined>}
+ */
+export function getRecord(storeName, key) {
+  return withStore(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Read all records of a store
+ * @returns {Promise<Object[]>}
+ */
+export function getAllRecords(storeName) {
+  return withStore(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Read all records whose index matches a value
+ * @returns {Promise<Object[]>}
+ */
+export function getRecordsByIndex(storeName, indexName, value) {
+  return withStore(storeName, 'readonly', store => store.index(indexName).getAll(value));
+}
+
+/**
+ * Insert or replace a record
+ * @returns {Promise<*>} Key of the record
+ */
+export function putRecord(storeName, record) {
+  return withStore(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Delete a record by key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+  return withStore(storeName, 'readwrite', store => store.delete(key));
+}
@@ -2,6 +2,76 @@
  * Utility functions for coordinate conversion and distance scaling
  */
 
+export const LY_PER_PC = 3.26156; // Light-years per parsec
+
+/**
+ * Blackbody color stops for stellar temperatures, 2000K (coolest/red) to 50000K (hottest/blue)
+ * Star colors are interpolated between them in data entry, and the capture legend draws the same scale
+ */
+export const TEMPERATURE_COLOR_STOPS = [
+  { temp: 2000, hex: '#8B3A3A' },   // Dark red (coolest)
+  { temp: 3000, hex: '#FF8C42' },    // Orange-red
+  { temp: 4000, hex: '#FFB347' },    // Orange
+  { temp: 5000, hex: '#FFE85C' },    // Yellow
+  { temp: 6000, hex: '#FFF8DC' },     // Light yellow/white
+  { temp: 7000, hex: '#E6F3FF' },    // Light blue-white
+  { temp: 10000, hex: '#B3D9FF' },   // Light blue
+  { temp: 20000, hex: '#8BB3FF' },   // Blue
+  { temp: 30000, hex: '#6B9FFF' },   // Darker blue
+  { temp: 50000, hex: '#4A7FFF' }    // Deep blue (hottest)
+];
+
+/**
+ * Whether a value was provided (not null, undefined or NaN)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function hasValue(value) {
+  return value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value));
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Escape a CSV field (quotes if it contains comma, quote, or newline)
+ * @param {*} field
+ * @returns {string}
+ */
+export function escapeCSVField(field) {
+  if (field == null) return '';
+  const str = String(field);
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return str;
+}
+
+/**
+ * Save a blob as a file through the browser's download
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+export function downloadBlob(blob, fileName) {
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
 /**
  * Convert pixel coordinates to normalized coordinates (-1 to 1)
  * @param {number} pixelX - Pixel X coordinate
@@ -73,3 +143,34 @@ export function scaleDistance(scaledDistance, volumeDepth, depthScale = 1.0) {
   return scaledDistance * volumeDepth * depthScale;
 }
 
+
+/**
+ * Calculate the 1-sigma distance range implied by a parallax measurement
+ * @param {number} distancePc - Adopted distance in parsecs (used when parallax is missing)
+ * @param {number|null} parallaxMas - Parallax in milliarcseconds
+ * @param {number|null} parallaxErrorMas - 1-sigma parallax error in milliarcseconds
+ * @returns {{nearPc: number, farPc: number|null}|null} Distance range (farPc is null when
+ *   the parallax is within 1 sigma of zero), or null if no error is known
+ */
+export function parallaxDistanceRangePc(distancePc, parallaxMas, parallaxErrorMas) {
+  if (!parallaxErrorMas || parallaxErrorMas <= 0) return null;
+  
+  const parallax = parallaxMas && parallaxMas > 0
+    ? parallaxMas
+    : (distancePc > 0 ? 1000 / distancePc : null);
+  if (!parallax) return null;
+  
+  const nearPc = 1000 / (parallax + parallaxErrorMas);
+  const farPc = parallax - parallaxErrorMas > 0 ? 1000 / (parallax - parallaxErrorMas) : null;
+  
+  return { nearPc, farPc };
+}
+
+/**
+ * Ease in and out (slow start and stop), for camera flights
+ * @param {number} t - Progress from 0 to 1
+ * @returns {number} Eased progress from 0 to 1
+ */
+export function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
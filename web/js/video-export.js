@@ -0,0 +1,294 @@
+/**
+ * Video export dialog
+ * Renders a turntable orbit or the camera tour frame by frame at a chosen resolution and
+ * frame rate, and saves it as a WebM video or an animated GIF
+ */
+
+import * as THREE from 'three';
+import { withRenderSize, maxRenderSize } from './offscreen-render.js';
+import { createWebMEncoder } from './webm-encoder.js';
+import { GIFEncoder } from './gif-encoder.js';
+import { downloadBlob } from './utils.js';
+
+const MAX_FRAMES = 3600;
+
+let view = null; // Options given to initVideoExport
+let run = null; // {cancelled} while exporting
+
+/**
+ * Show a status message in the dialog
+ */
+function setStatus(text, color = '#999') {
+  const status = document.getElementById('video-export-status');
+  if (status) {
+    status.textContent = text;
+    status.style.color = color;
+  }
+}
+
+/**
+ * Show the progress bar filled to a fraction (null hides it)
+ */
+function setProgress(fraction) {
+  const progress = document.getElementById('video-export-progress');
+  progress.style.display = fraction === null ? 'none' : 'block';
+  document.getElementById('video-export-bar').style.width = `${Math.round((fraction || 0) * 100)}%`;
+}
+
+/**
+ * Swap the Export button for Cancel while exporting, and lock the options
+ */
+function setRunning(running) {
+  document.getElementById('video-export-start').style.display = running ? 'none' : 'block';
+  document.getElementById('video-export-cancel').style.display = running ? 'block' : 'none';
+  document.getElementById('video-export-close').disabled = running;
+  ['video-path', 'video-duration', 'video-resolution', 'video-fps', 'video-format', 'video-burn-labels']
+    .forEach(id => {
+      document.getElementById(id).disabled = running;
+    });
+  if (!running) updateOptions();
+}
+
+/**
+ * Keep the options consistent: the tour needs keyframes and sets its own length,
+ * and GIF frames cannot be shorter than 1/50 s
+ */
+function updateOptions() {
+  const path = document.getElementById('video-path');
+  const tourOption = path.querySelector('option[value="tour"]');
+  tourOption.disabled = view.cameraTour.keyframes.length === 0;
+  if (tourOption.disabled && path.value === 'tour') path.value = 'turntable';
+
+  const duration = document.getElementById('video-duration');
+  duration.disabled = path.value === 'tour';
+  if (path.value === 'tour') duration.value = view.cameraTour.duration.toFixed(1);
+
+  const isGIF = document.getElementById('video-format').value === 'gif';
+  const fps = document.getElementById('video-fps');
+  fps.querySelector('option[value="60"]').disabled = isGIF;
+  if (isGIF && fps.value === '60') fps.value = '30';
+  document.getElementById('video-format-hint').style.display = isGIF ? 'block' : 'none';
+}
+
+/**
+ * Open the dialog
+ */
+function openDialog() {
+  document.getElementById('video-export-panel').style.display = 'block';
+  setProgress(null);
+  setStatus('');
+  updateOptions();
+}
+
+/**
+ * Close the dialog (not while exporting)
+ */
+function closeDialog() {
+  if (run) return;
+  document.getElementById('video-export-panel').style.display = 'none';
+}
+
+/**
+ * Frame size in pixels: even numbers (video encoders need them) the renderer can draw
+ */
+function frameSize() {
+  const choice = document.getElementById('video-resolution').value;
+  let [width, height] = choice === 'window'
+    ? [window.innerWidth, window.innerHeight]
+    : choice.split('x').map(Number);
+
+  const limit = maxRenderSize(view.renderer);
+  const shrink = Math.min(1, limit / Math.max(width, height));
+  width = Math.floor(width * shrink / 2) * 2;
+  height = Math.floor(height * shrink / 2) * 2;
+  return [width, height];
+}
+
+/**
+ * Camera pose part way around a turntable orbit: the camera circles the target about the
+ * vertical axis, keeping its height and distance
+ * @param {{position: THREE.Vector3, target: THREE.Vector3, up: THREE.Vector3}} start
+ * @param {number} turn - Fraction of a full turn
+ */
+function turntablePose(start, turn) {
+  const offset = new THREE.Spherical().setFromVector3(start.position.clone().sub(start.target));
+  offset.theta += turn * 2 * Math.PI;
+  return {
+    position: start.target.clone().add(new THREE.Vector3().setFromSpherical(offset)),
+    target: start.target,
+    up: start.up
+  };
+}
+
+/**
+ * Draw a tour caption at the bottom of a frame, as the caption box shows it on screen
+ */
+function drawCaption(context, caption, width, height) {
+  const fontSize = Math.round(height / 24);
+  context.font = `${fontSize}px Arial`;
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+
+  const textWidth = Math.min(context.measureText(caption).width, width * 0.8);
+  const boxWidth = textWidth + fontSize * 1.6;
+  const boxHeight = fontSize * 2;
+  const top = height - boxHeight - fontSize * 1.5;
+  context.fillStyle = 'rgba(0, 0, 0, 0.8)';
+  context.fillRect((width - boxWidth) / 2, top, boxWidth, boxHeight);
+  context.fillStyle = '#ffffff';
+  context.fillText(caption, width / 2, top + boxHeight / 2, width * 0.8);
+}
+
+/**
+ * Render and encode the video with the chosen options, then download it
+ */
+async function runExport() {
+  if (run) return;
+  const { renderer, camera, controls, cameraTour } = view;
+
+  const path = document.getElementById('video-path').value;
+  const format = document.getElementById('video-format').value;
+  const fps = parseInt(document.getElementById('video-fps').value, 10);
+  const burnLabels = document.getElementById('video-burn-labels').checked;
+  const duration = path === 'tour' ? cameraTour.duration : parseFloat(document.getElementById('video-duration').value);
+  if (!(duration > 0)) {
+    setStatus('Choose a length of at least one second.', '#ff6666');
+    return;
+  }
+  const frameCount = Math.max(1, Math.round(duration * fps));
+  if (frameCount > MAX_FRAMES) {
+    setStatus(`That is ${frameCount} frames; keep it under ${MAX_FRAMES} with a shorter video or lower frame rate.`, '#ff6666');
+    return;
+  }
+
+  const [width, height] = frameSize();
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+
+  let encoder;
+  try {
+    encoder = format === 'gif'
+      ? new GIFEncoder(width, height, { frameDelayMs: 1000 / fps })
+      : await createWebMEncoder({ canvas, width, height, fps });
+  } catch (error) {
+    setStatus(error.message, '#ff6666');
+    return;
+  }
+
+  run = { cancelled: false };
+  setRunning(true);
+  setProgress(0);
+
+  // Put everything back afterwards: the tour switches view settings as it plays
+  const start = { position: camera.position.clone(), target: controls.target.clone(), up: camera.up.clone() };
+  const { camera: savedCamera, tour, ...savedView } = view.getViewState();
+  view.setExporting(true);
+  view.setLabelsVisible(burnLabels);
+
+  let blob = null;
+  try {
+    await withRenderSize(renderer, camera, width, height, async () => {
+      let keyframeIndex = -1;
+      let caption = '';
+      for (let i = 0; i < frameCount && !run.cancelled; i++) {
+        let pose;
+        if (path === 'tour') {
+          pose = cameraTour.poseAt(i / fps);
+          if (pose.index !== keyframeIndex) {
+            keyframeIndex = pose.index;
+            const keyframe = cameraTour.keyframes[keyframeIndex];
+            cameraTour.applyView(keyframe.view);
+            view.setLabelsVisible(burnLabels); // A rebuilt scene shows its labels again
+            caption = keyframe.caption;
+          }
+        } else {
+          pose = turntablePose(start, i / frameCount); // The last frame stops short of the first, so the video loops
+        }
+
+        camera.up.copy(pose.up);
+        camera.position.copy(pose.position);
+        controls.target.copy(pose.target);
+        camera.lookAt(pose.target);
+        view.render();
+
+        context.drawImage(renderer.domElement, 0, 0, width, height);
+        if (caption) drawCaption(context, caption, width, height);
+        if (format === 'gif') {
+          encoder.addFrame(context.getImageData(0, 0, width, height).data);
+        } else {
+          await encoder.addFrame(canvas);
+        }
+
+        setProgress((i + 1) / frameCount);
+        setStatus(`Frame ${i + 1} of ${frameCount}${encoder.realTime ? ' (recording in real time)' : ''}`);
+        // Let the page update between frames
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    });
+
+    if (run.cancelled) {
+      if (encoder.cancel) encoder.cancel();
+    } else {
+      setStatus('Encoding...');
+      blob = await encoder.finish();
+    }
+  } catch (error) {
+    console.error('Error exporting video:', error);
+    setStatus(`Export failed: ${error.message}`, '#ff6666');
+    if (encoder.cancel) encoder.cancel();
+  } finally {
+    if (path === 'tour') cameraTour.applyView(savedView);
+    view.setLabelsVisible(true);
+    camera.up.copy(start.up);
+    camera.position.copy(start.position);
+    controls.target.copy(start.target);
+    camera.lookAt(start.target);
+    view.setExporting(false);
+
+    const cancelled = run.cancelled;
+    run = null;
+    setRunning(false);
+    setProgress(null);
+    if (cancelled) setStatus('Export cancelled.');
+  }
+
+  if (blob) {
+    const fileName = `starfield-${path}.${format}`;
+    downloadBlob(blob, fileName);
+    setStatus(`Saved ${fileName} (${(blob.size / 1048576).toFixed(1)} MB)`, '#66cc66');
+  }
+}
+
+/**
+ * Wire up the video export dialog
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {THREE.PerspectiveCamera} options.camera
+ * @param {OrbitControls} options.controls
+ * @param {CameraTour} options.cameraTour - Its keyframes give the tour camera path
+ * @param {Function} options.getViewState - Returns the current view state (see main.js)
+ * @param {Function} options.setExporting - Called with true while frames are being rendered,
+ *   so the view stops animating and responding to input
+ * @param {Function} options.setLabelsVisible - Called with false to hide the star and distance
+ *   labels, and with true to show them as the view settings say
+ * @param {Function} options.render - Renders the view as the screen shows it (including stereo
+ *   modes), called after the camera moves for each frame
+ */
+export function initVideoExport(options) {
+  const openButton = document.getElementById('video-export-btn');
+  if (!openButton) return;
+
+  view = options;
+
+  openButton.addEventListener('click', openDialog);
+  document.getElementById('video-export-close').addEventListener('click', closeDialog);
+  document.getElementById('video-export-start').addEventListener('click', runExport);
+  document.getElementById('video-export-cancel').addEventListener('click', () => {
+    if (run) run.cancelled = true;
+  });
+  ['video-path', 'video-format'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateOptions);
+  });
+}
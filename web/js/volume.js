@@ -92,6 +92,109 @@ function createRectangleWireframe(p1, p2, p3, p4, material) {
   return group;
 }
 
+/**
+ * Text sprite for a depth ruler label
+ */
+function createRulerLabel(text) {
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  canvas.width = 128;
+  canvas.height = 32;
+  context.fillStyle = '#ffffff';
+  context.font = 'bold 20px Arial';
+  context.textAlign = 'center';
+  context.fillText(text, canvas.width / 2, 23);
+  
+  const texture = new THREE.CanvasTexture(canvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+  sprite.scale.set(24, 6, 1);
+  return sprite;
+}
+
+/**
+ * Create a depth ruler along the top left edge of the volume
+ * Major ticks are labelled; minor ticks are short marks between them
+ * @param {Array<{value: number, scaled: number, major: boolean}>} ticks - Ticks (see distanceTicks)
+ * @param {number} width - Volume width
+ * @param {number} height - Volume height
+ * @param {number} depth - Volume depth
+ * @param {string} unit - Unit shown in the labels ('ly' or 'pc')
+ * @param {number[]} breakDepths - Depths (0-1) of broken-axis edges, drawn as slanted marks
+ * @returns {THREE.Group} Group containing the ruler
+ */
+export function createDepthRuler(ticks, width, height, depth, unit, breakDepths = []) {
+  const group = new THREE.Group();
+  const material = new THREE.LineBasicMaterial({ color: 0xffffff, opacity: 0.6, transparent: true });
+  const x = -width / 2;
+  const y = height / 2;
+  const zAt = (scaled) => depth / 2 - scaled * depth;
+  const addSegment = (start, end) => {
+    const geometry = new THREE.BufferGeometry().setFromPoints([start, end]);
+    group.add(new THREE.Line(geometry, material));
+  };
+  
+  ticks.forEach(tick => {
+    const z = zAt(tick.scaled);
+    const length = tick.major ? 4 : 2;
+    addSegment(new THREE.Vector3(x, y, z), new THREE.Vector3(x - length, y + length, z));
+    
+    // The front and back corners already have distance labels
+    if (tick.major && tick.scaled >= 0.05 && tick.scaled <= 0.95) {
+      const label = createRulerLabel(`${tick.value} ${unit}`);
+      label.position.set(x - 14, y + 8, z);
+      group.add(label);
+    }
+  });
+  
+  breakDepths.forEach(scaled => {
+    const z = zAt(scaled);
+    addSegment(new THREE.Vector3(x - 3, y - 3, z + 1.5), new THREE.Vector3(x + 3, y + 3, z - 1.5));
+  });
+  
+  return group;
+}
+
+/**
+ * Create translucent planes across the volume at the given depths
+ * Lets students read a star's depth against the ruler
+ * @param {number[]} depths - Depths from 0 (front) to 1 (back)
+ * @param {number} width - Volume width
+ * @param {number} height - Volume height
+ * @param {number} depth - Volume depth
+ * @returns {THREE.Group} Group containing the planes
+ */
+export function createGridPlanes(depths, width, height, depth) {
+  const group = new THREE.Group();
+  const geometry = new THREE.PlaneGeometry(width, height);
+  const material = new THREE.MeshBasicMaterial({
+    color: 0x66aaff,
+    opacity: 0.05,
+    transparent: true,
+    side: THREE.DoubleSide,
+    depthWrite: false // Keep stars behind the planes visible
+  });
+  const outlineMaterial = new THREE.LineBasicMaterial({ color: 0x66aaff, opacity: 0.3, transparent: true });
+  const halfWidth = width / 2;
+  const halfHeight = height / 2;
+  
+  depths.forEach(scaled => {
+    const z = depth / 2 - scaled * depth;
+    const plane = new THREE.Mesh(geometry, material);
+    plane.position.z = z;
+    group.add(plane);
+    
+    group.add(createRectangleWireframe(
+      new THREE.Vector3(-halfWidth, halfHeight, z),
+      new THREE.Vector3(halfWidth, halfHeight, z),
+      new THREE.Vector3(halfWidth, -halfHeight, z),
+      new THREE.Vector3(-halfWidth, -halfHeight, z),
+      outlineMaterial
+    ));
+  });
+  
+  return group;
+}
+
 /**
  * Create image plane with texture
  * @param {string} imageUrl - URL to the star field image
@@ -0,0 +1,279 @@
+/**
+ * WebM video encoder
+ * Encodes frames with WebCodecs (VP9, else VP8) and writes them into a WebM file. Browsers
+ * without WebCodecs record the canvas with MediaRecorder instead, which has to run in real time.
+ */
+
+const KEYFRAME_SECONDS = 2; // A keyframe (and a new cluster) this often, so players can seek
+const BITS_PER_PIXEL = 0.15; // Bitrate per pixel per frame
+
+/**
+ * Concatenate byte arrays
+ */
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+/**
+ * Big-endian bytes of a non-negative integer (at least one byte)
+ */
+function uintBytes(value) {
+  const bytes = [];
+  let rest = value;
+  do {
+    bytes.unshift(rest % 256);
+    rest = Math.floor(rest / 256);
+  } while (rest > 0);
+  return new Uint8Array(bytes);
+}
+
+/**
+ * EBML element size as a variable-length integer
+ */
+function sizeBytes(size) {
+  let length = 1;
+  while (length < 8 && size >= 2 ** (7 * length) - 1) length++;
+  const bytes = new Uint8Array(length);
+  let rest = size;
+  for (let i = length - 1; i >= 0; i--) {
+    bytes[i] = rest % 256;
+    rest = Math.floor(rest / 256);
+  }
+  bytes[0] |= 1 << (8 - length);
+  return bytes;
+}
+
+/**
+ * EBML element (the ID includes its length marker, e.g. 0x1A45DFA3)
+ */
+function element(id, payload) {
+  return concat([uintBytes(id), sizeBytes(payload.length), payload]);
+}
+
+function uintElement(id, value) {
+  return element(id, uintBytes(value));
+}
+
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, bytes);
+}
+
+function stringElement(id, text) {
+  return element(id, new TextEncoder().encode(text));
+}
+
+/**
+ * Write encoded frames into a WebM file
+ * @param {Object} video
+ * @param {number} video.width
+ * @param {number} video.height
+ * @param {string} video.codecId - 'V_VP9' or 'V_VP8'
+ * @param {number} video.durationMs
+ * @param {Array<{data: Uint8Array, timestampMs: number, key: boolean}>} video.frames - In order
+ * @returns {Blob}
+ */
+function muxWebM({ width, height, codecId, durationMs, frames }) {
+  const header = element(0x1A45DFA3, concat([
+    uintElement(0x4286, 1), // EBMLVersion
+    uintElement(0x42F7, 1), // EBMLReadVersion
+    uintElement(0x42F2, 4), // EBMLMaxIDLength
+    uintElement(0x42F3, 8), // EBMLMaxSizeLength
+    stringElement(0x4282, 'webm'), // DocType
+    uintElement(0x4287, 2), // DocTypeVersion
+    uintElement(0x4285, 2) // DocTypeReadVersion
+  ]));
+
+  const info = element(0x1549A966, concat([
+    uintElement(0x2AD7B1, 1000000), // TimecodeScale: timestamps in ms
+    stringElement(0x4D80, 'StarField3D'), // MuxingApp
+    stringElement(0x5741, 'StarField3D'), // WritingApp
+    floatElement(0x4489, durationMs) // Duration
+  ]));
+
+  const tracks = element(0x1654AE6B, element(0xAE, concat([
+    uintElement(0xD7, 1), // TrackNumber
+    uintElement(0x73C5, 1), // TrackUID
+    uintElement(0x83, 1), // TrackType: video
+    stringElement(0x86, codecId),
+    element(0xE0, concat([uintElement(0xB0, width), uintElement(0xBA, height)]))
+  ])));
+
+  // A cluster starts at each keyframe; block times are relative to it (16-bit)
+  const clusters = [];
+  let clusterStart = 0;
+  let blocks = [];
+  const closeCluster = () => {
+    if (blocks.length > 0) clusters.push(element(0x1F43B675, concat([uintElement(0xE7, clusterStart), ...blocks])));
+    blocks = [];
+  };
+  frames.forEach(frame => {
+    if (blocks.length === 0 || frame.key || frame.timestampMs - clusterStart > 30000) {
+      closeCluster();
+      clusterStart = frame.timestampMs;
+    }
+    const relative = frame.timestampMs - clusterStart;
+    blocks.push(element(0xA3, concat([
+      new Uint8Array([0x81, (relative >> 8) & 0xff, relative & 0xff, frame.key ? 0x80 : 0x00]),
+      frame.data
+    ])));
+  });
+  closeCluster();
+
+  const segmentSize = [info, tracks, ...clusters].reduce((total, part) => total + part.length, 0);
+  return new Blob(
+    [header, uintBytes(0x18538067), sizeBytes(segmentSize), info, tracks, ...clusters],
+    { type: 'video/webm' }
+  );
+}
+
+/**
+ * Frames encoded with WebCodecs
+ */
+class WebCodecsVideoEncoder {
+  constructor(config, codecId) {
+    this.config = config;
+    this.codecId = codecId;
+    this.frames = [];
+    this.frameCount = 0;
+    this.error = null;
+    this.realTime = false;
+
+    this.encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.frames.push({ data, timestampMs: Math.round(chunk.timestamp / 1000), key: chunk.type === 'key' });
+      },
+      error: (error) => {
+        this.error = error;
+      }
+    });
+    this.encoder.configure(config);
+  }
+
+  async addFrame(canvas) {
+    if (this.error) throw this.error;
+
+    const { framerate } = this.config;
+    const frame = new VideoFrame(canvas, {
+      timestamp: Math.round(this.frameCount * 1e6 / framerate),
+      duration: Math.round(1e6 / framerate)
+    });
+    this.encoder.encode(frame, { keyFrame: this.frameCount % Math.round(KEYFRAME_SECONDS * framerate) === 0 });
+    frame.close();
+    this.frameCount++;
+
+    // Let the encoder catch up rather than queueing every frame in memory
+    while (this.encoder.encodeQueueSize > 2) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  async finish() {
+    await this.encoder.flush();
+    this.encoder.close();
+    if (this.error) throw this.error;
+
+    return muxWebM({
+      width: this.config.width,
+      height: this.config.height,
+      codecId: this.codecId,
+      durationMs: this.frameCount * 1000 / this.config.framerate,
+      frames: this.frames
+    });
+  }
+
+  cancel() {
+    if (this.encoder.state !== 'closed') this.encoder.close();
+  }
+}
+
+/**
+ * Frames recorded from the canvas with MediaRecorder
+ * The recorder stamps each frame with the time it arrives, so frames are added at the frame rate.
+ */
+class RecorderVideoEncoder {
+  constructor(canvas, fps, bitrate) {
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record WebM video. Try GIF instead.');
+
+    this.fps = fps;
+    this.frameCount = 0;
+    this.start = null;
+    this.realTime = true;
+    this.chunks = [];
+
+    this.stream = canvas.captureStream(0);
+    this.track = this.stream.getVideoTracks()[0];
+    this.recorder = new MediaRecorder(this.stream, { mimeType, videoBitsPerSecond: bitrate });
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+  }
+
+  async addFrame() {
+    if (this.start === null) {
+      this.recorder.start();
+      this.start = performance.now();
+    }
+    this.track.requestFrame();
+    this.frameCount++;
+
+    const wait = this.start + this.frameCount * 1000 / this.fps - performance.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+  }
+
+  finish() {
+    return new Promise((resolve) => {
+      this.recorder.onstop = () => {
+        this.track.stop();
+        resolve(new Blob(this.chunks, { type: 'video/webm' }));
+      };
+      this.recorder.stop();
+    });
+  }
+
+  cancel() {
+    if (this.recorder.state !== 'inactive') this.recorder.stop();
+    this.track.stop();
+  }
+}
+
+/**
+ * Create a WebM encoder for frames drawn on a canvas
+ * @param {Object} options
+ * @param {HTMLCanvasElement} options.canvas - Canvas each frame is drawn on before addFrame
+ * @param {number} options.width - Even number of pixels
+ * @param {number} options.height - Even number of pixels
+ * @param {number} options.fps - Frame rate
+ * @returns {Promise<{addFrame: Function, finish: Function, cancel: Function, realTime: boolean}>}
+ *   addFrame(canvas) and finish() (resolving to the WebM Blob) are async; realTime is true
+ *   when frames have to be added at the frame rate
+ * @throws {Error} If the browser cannot encode WebM video
+ */
+export async function createWebMEncoder({ canvas, width, height, fps }) {
+  const bitrate = Math.round(width * height * fps * BITS_PER_PIXEL);
+
+  if (typeof VideoEncoder !== 'undefined') {
+    for (const [codec, codecId] of [['vp09.00.10.08', 'V_VP9'], ['vp8', 'V_VP8']]) {
+      const config = { codec, width, height, framerate: fps, bitrate };
+      const support = await VideoEncoder.isConfigSupported(config).catch(() => null);
+      if (support && support.supported) return new WebCodecsVideoEncoder(config, codecId);
+    }
+  }
+
+  if (typeof MediaRecorder !== 'undefined' && canvas.captureStream) {
+    return new RecorderVideoEncoder(canvas, fps, bitrate);
+  }
+
+  throw new Error('This browser cannot encode WebM video. Try GIF instead.');
+}
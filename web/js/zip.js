@@ -0,0 +1,204 @@
+/**
+ * Minimal ZIP archive support
+ * Writes stored or deflated entries and reads stored or deflated entries,
+ * using the browser's CompressionStream/DecompressionStream for deflate
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte array (as used by ZIP)
+ * @param {Uint8Array} bytes
+ * @returns {number} Unsigned 32-bit CRC
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert entry data to bytes
+ * @param {string|Uint8Array|ArrayBuffer|Blob} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (data instanceof Uint8Array) return data;
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+  throw new Error('Unsupported ZIP entry data');
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ */
+async function transformBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Date and time in MS-DOS format
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Create a ZIP archive
+ * @param {Array<{name: string, data: string|Uint8Array|ArrayBuffer|Blob, compress?: boolean}>} files
+ *   Entries in archive order; compress deflates the entry (images are usually better stored)
+ * @param {Object} options
+ * @param {string} options.type - MIME type of the resulting Blob
+ * @returns {Promise<Blob>}
+ */
+export async function createZip(files, { type = 'application/zip' } = {}) {
+  const parts = [];
+  const centralDirectory = [];
+  const { time, date } = dosDateTime(new Date());
+  const canDeflate = typeof CompressionStream !== 'undefined';
+  let offset = 0;
+
+  for (const file of files) {
+    const name = new TextEncoder().encode(file.name);
+    const bytes = await toBytes(file.data);
+    const crc = crc32(bytes);
+
+    let method = METHOD_STORED;
+    let stored = bytes;
+    if (file.compress && canDeflate) {
+      const deflated = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+      if (deflated.length < bytes.length) {
+        method = METHOD_DEFLATE;
+        stored = deflated;
+      }
+    }
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true); // Local header offset
+
+    parts.push(local, name, stored);
+    centralDirectory.push(central, name);
+    offset += 30 + name.length + stored.length;
+  }
+
+  const centralSize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralDirectory, end], { type });
+}
+
+/**
+ * Read all entries of a ZIP archive
+ * @param {Blob|ArrayBuffer} source - Archive contents
+ * @returns {Promise<Map<string, Uint8Array>>} Entry data keyed by name (directories are skipped)
+ * @throws {Error} If the archive is invalid or uses an unsupported compression method
+ */
+export async function readZip(source) {
+  const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // The end of central directory record is in the last 22 bytes plus an optional comment
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP file');
+  }
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const entries = new Map();
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = view.getUint16(pointer + 10, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+
+    // Sizes in the local header may be zero (data descriptor), so use the central directory's
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === METHOD_STORED) {
+      entries.set(name, data);
+    } else if (method === METHOD_DEFLATE) {
+      entries.set(name, await transformBytes(data, new DecompressionStream('deflate-raw')));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+  }
+
+  return entries;
+}